@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+/**
+ * bz2api - Command line interface for the Battlezone 2 lobby
+ *
+ * Thin wrapper around bz2api.js: every subcommand drives fetchSessions()/fetchRaw()
+ * with the options given on the command line.
+ */
+
+'use strict';
+
+const BZ2API = require('../bz2api.js');
+
+const USAGE = `Usage: bz2api <command> [options]
+
+Commands:
+  sessions              List active sessions
+  players               List players across all sessions
+  session <guid>        Show one session (matches guid or RakNet id)
+  watch                 Poll the lobby and print change events
+  maps vsr              List built-in VSR map metadata
+
+Options:
+  --json                Print JSON instead of text
+  --table               Print an aligned table (default for lists)
+  --raw                 Print the unparsed fetchRaw() response
+  --enrich-maps         Fetch map names/images (enrichMaps)
+  --enrich-vsr          Add VSR map metadata (enrichVsrMaps)
+  --filter <query>      Only sessions matching a query, e.g.
+                        "gameBalance:VSR hasOpenSlots:true minPlayers:2"
+  --sort <keys>         Sort sessions, e.g. -playerCount,name
+  --limit <n>           Show at most n sessions
+  --api-url <url>       Lobby server URL
+  --interval <seconds>  Poll interval for watch (default: 30)
+  --record <file>       Append every raw lobby response to a capture file
+  --replay <file>       Read sessions from a capture file instead of the lobby
+  --speed <n>           Replay speed multiplier for watch (default: 1)
+  --proxies             Fall back to CORS proxies if direct fetch fails
+  -h, --help            Show this help
+`;
+
+/**
+ * Parse argv into positional arguments and flags
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} { args, flags }
+ */
+function parseArgs(argv) {
+  const VALUE_FLAGS = ['filter', 'sort', 'limit', 'api-url', 'interval', 'record', 'replay', 'speed'];
+  const args = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      flags.help = true;
+    } else if (arg.startsWith('--')) {
+      const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+      if (VALUE_FLAGS.includes(name)) {
+        const value = inlineValue ?? argv[++i];
+        if (value === undefined) throw new Error(`--${name} requires a value`);
+        flags[name] = value;
+      } else {
+        flags[name] = true;
+      }
+    } else {
+      args.push(arg);
+    }
+  }
+
+  return { args, flags };
+}
+
+/**
+ * Build query criteria from the --filter, --sort and --limit flags
+ * @param {Object} flags - Parsed flags
+ * @returns {Object} Criteria for BZ2API.query()
+ */
+function buildCriteria(flags) {
+  const criteria = BZ2API.parseQuery(flags.filter || '');
+  if (flags.sort) criteria.sort = flags.sort.split(',');
+  if (flags.limit) {
+    criteria.limit = Number(flags.limit);
+    if (!Number.isInteger(criteria.limit) || criteria.limit < 0) throw new Error('--limit must be a non-negative integer');
+  }
+  return criteria;
+}
+
+/**
+ * Render rows as an aligned text table
+ * @param {string[]} headers - Column headers
+ * @param {Array[]} rows - Row values
+ * @returns {string} Table text
+ */
+function formatTable(headers, rows) {
+  const cells = [headers, ...rows].map(row => row.map(value => (value === null || value === undefined ? '-' : String(value))));
+  const widths = headers.map((_, col) => Math.max(...cells.map(row => row[col].length)));
+  return cells
+    .map(row => row.map((value, col) => value.padEnd(widths[col])).join('  ').trimEnd())
+    .join('\n');
+}
+
+function printJson(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+/**
+ * Strip debugging payloads that make JSON output unreadable
+ */
+function toPublicSession(session) {
+  const { _raw, ...rest } = session;
+  return rest;
+}
+
+function sessionRows(sessions) {
+  return sessions.map(s => [
+    s.guid,
+    s.name,
+    s.mapName || s.mapFile,
+    s.gameMode,
+    s.gameBalance,
+    s.state,
+    `${s.playerCount}/${s.maxPlayers}`,
+    s.hasPassword ? 'yes' : 'no'
+  ]);
+}
+
+function printSessions(sessions, flags) {
+  if (flags.json) return printJson(sessions.map(toPublicSession));
+  console.log(formatTable(['GUID', 'NAME', 'MAP', 'MODE', 'BALANCE', 'STATE', 'PLAYERS', 'PASSWORD'], sessionRows(sessions)));
+}
+
+function printPlayers(sessions, flags) {
+  const players = sessions.flatMap(s => s.players.map(p => ({ ...p, sessionGuid: s.guid, sessionName: s.name })));
+  if (flags.json) return printJson(players);
+  console.log(formatTable(
+    ['NAME', 'PLATFORM', 'ID', 'TEAM', 'KILLS', 'DEATHS', 'SCORE', 'SESSION'],
+    players.map(p => [p.name, p.platform, p.steamId || p.gogId, p.team, p.kills, p.deaths, p.score, p.sessionName])
+  ));
+}
+
+function printSession(session, flags) {
+  if (flags.json) return printJson(toPublicSession(session));
+  console.log(`${session.name} [${session.guid}]`);
+  console.log(`  Map:     ${session.mapName ? `${session.mapName} (${session.mapFile})` : session.mapFile}`);
+  console.log(`  Mode:    ${session.gameModeName}${session.gameBalance ? ` (${session.gameBalance})` : ''}`);
+  console.log(`  State:   ${session.state} (${session.stateDetail})`);
+  console.log(`  Players: ${session.playerCount}/${session.maxPlayers}`);
+  if (session.teams.length > 0) {
+    const teams = session.teams.map(t => `${t.name || `Team ${t.team}`} (${t.playerCount}/5, score ${t.score})`);
+    console.log(`  Teams:   ${teams.join(' vs ')}`);
+  }
+  console.log(`  Version: ${session.version}`);
+  if (session.steamJoinUrl) console.log(`  Join:    ${session.steamJoinUrl}`);
+  console.log('');
+  printPlayers([session], flags);
+}
+
+function printVsrMaps(flags) {
+  const maps = Object.entries(BZ2API.VSR_MAP_DATA).map(([file, data]) => ({ file, ...data }));
+  if (flags.json) return printJson(maps);
+  console.log(formatTable(
+    ['FILE', 'POOLS', 'LOOSE', 'AUTHOR', 'SIZE', 'BASE-TO-BASE'],
+    maps.map(m => [m.file, m.pools, m.loose, m.author, m.size, m.baseToBase])
+  ));
+}
+
+/**
+ * Describe a watcher event as one line of text
+ */
+function describeEvent(event) {
+  const where = `"${event.session.name}"`;
+  switch (event.type) {
+    case 'session:created': return `${where} created on ${event.session.mapFile}`;
+    case 'session:closed': return `${where} closed`;
+    case 'session:stateChanged': return `${where} ${event.from} -> ${event.to}`;
+    case 'session:mapChanged': return `${where} map ${event.from} -> ${event.to}`;
+    case 'player:joined': return `${event.player.name} joined ${where}`;
+    case 'player:left': return `${event.player.name} left ${where}`;
+    case 'player:teamChanged': return `${event.player.name} moved team ${event.from} -> ${event.to} in ${where}`;
+    default: return event.type;
+  }
+}
+
+function watch(client, fetchOptions, criteria, flags) {
+  const interval = Number(flags.interval || 30) * 1000;
+  if (!Number.isFinite(interval) || interval <= 0) throw new Error('--interval must be a positive number');
+
+  const watcher = client.createSessionWatcher({ ...fetchOptions, interval });
+  watcher.on('*', (event, type) => {
+    if (type === 'update' || type === 'error') return;
+    if (!BZ2API.matchSession(event.session, criteria)) return;
+    if (flags.json) {
+      const { session, previous, ...rest } = event;
+      console.log(JSON.stringify({ ...rest, sessionName: session.name }));
+    } else {
+      console.log(`[${event.timestamp}] ${describeEvent(event)}`);
+    }
+  });
+  watcher.on('error', e => console.error(`Poll failed: ${e.message}`));
+  // A finished replay has nothing more to show
+  watcher.on('update', () => {
+    if (fetchOptions.source?.isDone()) watcher.stop();
+  });
+  watcher.start();
+
+  process.on('SIGINT', () => {
+    watcher.stop();
+    process.exit(0);
+  });
+}
+
+async function main(argv) {
+  const { args, flags } = parseArgs(argv);
+  const [command, ...rest] = args;
+
+  if (flags.help || !command) {
+    console.log(USAGE);
+    return command || flags.help ? 0 : 2;
+  }
+
+  const client = BZ2API.createClient({
+    apiUrl: flags['api-url'],
+    useProxies: Boolean(flags.proxies),
+    record: flags.record
+  });
+  const fetchOptions = {
+    enrichMaps: Boolean(flags['enrich-maps']),
+    enrichVsrMaps: Boolean(flags['enrich-vsr'])
+  };
+  if (flags.replay) {
+    const speed = flags.speed === undefined ? 1 : Number(flags.speed);
+    // One-shot commands show the first frame; watch plays the capture out
+    fetchOptions.source = BZ2API.createReplaySource(await BZ2API.readCapture(flags.replay), { speed });
+  }
+  const criteria = buildCriteria(flags);
+
+  if (flags.raw && command !== 'maps') {
+    const source = fetchOptions.source || client;
+    printJson(await source.fetchRaw({ apiUrl: client.apiUrl }));
+    return 0;
+  }
+
+  switch (command) {
+    case 'sessions': {
+      const { sessions } = await client.fetchSessions(fetchOptions);
+      printSessions(BZ2API.query(sessions, criteria), flags);
+      return 0;
+    }
+    case 'players': {
+      const { sessions } = await client.fetchSessions(fetchOptions);
+      printPlayers(BZ2API.query(sessions, criteria), flags);
+      return 0;
+    }
+    case 'session': {
+      const [guid] = rest;
+      if (!guid) throw new Error('session requires a <guid>');
+      const { sessions } = await client.fetchSessions(fetchOptions);
+      const session = sessions.find(s => s.guid === guid || s.id === guid);
+      if (!session) {
+        console.error(`No session found with guid ${guid}`);
+        return 1;
+      }
+      printSession(session, flags);
+      return 0;
+    }
+    case 'watch':
+      watch(client, fetchOptions, criteria, flags);
+      return null;
+    case 'maps':
+      if (rest[0] !== 'vsr') throw new Error('Usage: bz2api maps vsr');
+      printVsrMaps(flags);
+      return 0;
+    default:
+      throw new Error(`Unknown command: ${command}`);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => {
+      if (code !== null) process.exitCode = code;
+    })
+    .catch(e => {
+      console.error(`bz2api: ${e.message}`);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { main, parseArgs, formatTable };
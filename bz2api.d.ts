@@ -0,0 +1,1835 @@
+/**
+ * Type definitions for bz2api.js
+ *
+ * Field descriptions mirror RESULT_SCHEMA in bz2api.js (and the generated
+ * data/bz2-schema.json); when a parsed field is added or changed, update both.
+ */
+
+export = BZ2API;
+export as namespace BZ2API;
+
+declare namespace BZ2API {
+  // ==========================================================================
+  // RAW API DATA
+  // ==========================================================================
+
+  /** Player entry as served by the lobby server */
+  interface RawPlayer {
+    /** Name, Base64 of cp1252 bytes */
+    n: string;
+    /** Platform ID prefixed with S (Steam) or G (GOG) */
+    i?: string;
+    /** Team slot (1-5 team 1, 6-10 team 2, 255 hidden) */
+    t?: number;
+    /** Kills */
+    k?: number;
+    /** Deaths */
+    d?: number;
+    /** Score */
+    s?: number;
+  }
+
+  /** Session entry as served by the lobby server */
+  interface RawSession {
+    /** RakNet GUID in custom Base64 */
+    g: string;
+    /** Session name, Base64 of cp1252 bytes */
+    n: string;
+    /** Game version */
+    v?: string;
+    /** Map file */
+    m?: string;
+    /** Custom map download URL */
+    mu?: string;
+    /** Mod hash */
+    d?: string;
+    /** NAT type (see NATType) */
+    t?: number;
+    /** Game type (see GameType) */
+    gt?: number;
+    /** Game sub type, bit-packed mode/respawn flags */
+    gtd?: number;
+    /** Server info mode (see ServerInfoMode) */
+    si?: number;
+    /** Max players */
+    pm?: number;
+    /** Semicolon-separated Workshop mod IDs */
+    mm?: string;
+    /** 1 if locked */
+    l?: number;
+    /** 1 if password protected */
+    k?: number;
+    /** Message of the day */
+    h?: string;
+    /** Ticks per second */
+    tps?: number;
+    /** Max allowed ping */
+    pgm?: number;
+    /** Worst ping observed */
+    pg?: number;
+    /** Minutes elapsed, capped at 255 */
+    gtm?: number;
+    /** Time limit in minutes */
+    ti?: number;
+    /** Kill limit */
+    ki?: number;
+    /** Players */
+    pl?: RawPlayer[];
+  }
+
+  /** Lobby server response */
+  interface RawResponse {
+    GET?: RawSession[];
+  }
+
+  // ==========================================================================
+  // VALIDATION
+  // ==========================================================================
+
+  /** The subset of JSON Schema the library validates against */
+  interface JsonSchema {
+    $schema?: string;
+    title?: string;
+    type?: string | string[];
+    enum?: unknown[];
+    const?: unknown;
+    minimum?: number;
+    maximum?: number;
+    pattern?: string;
+    format?: 'base64' | 'date-time';
+    anyOf?: JsonSchema[];
+    required?: string[];
+    properties?: Record<string, JsonSchema>;
+    additionalProperties?: boolean | JsonSchema;
+    items?: JsonSchema;
+    description?: string;
+  }
+
+  interface ValidationWarning {
+    /** Path of the offending value, e.g. 'pl[2].t' or 'sessions[0].state' */
+    path: string;
+    /** JSON Schema keyword that failed, or 'teamSlot' for out-of-team slots */
+    keyword: string;
+    message: string;
+    value: unknown;
+  }
+
+  interface ParseSessionOptions {
+    /** Throw instead of attaching warnings (default: false) */
+    strict?: boolean;
+    /** State rules (default: DEFAULT_STATE_RULES) */
+    stateRules?: StateRule[];
+  }
+
+  /** Error thrown by parseSession in strict mode */
+  interface InvalidSessionError extends Error {
+    warnings: ValidationWarning[];
+  }
+
+  interface RejectedSession {
+    /** Raw g field */
+    id: string | undefined;
+    warnings: ValidationWarning[];
+    raw: RawSession;
+  }
+
+  // ==========================================================================
+  // PLAYER
+  // ==========================================================================
+
+  interface PlayerBase {
+    /** Player's in-game display name (decoded from Base64/cp1252) */
+    name: string;
+    /** Original player ID string with platform prefix (S=Steam, G=GOG) */
+    rawId: string | undefined;
+    /** Player's kill count (null if not in-game or hidden) */
+    kills: number | null;
+    /** Player's death count (null if not in-game or hidden) */
+    deaths: number | null;
+    /** Player's total score (null if not in-game or hidden) */
+    score: number | null;
+    /** Raw team slot number (1-5 = Team 1, 6-10 = Team 2, 255 = hidden) */
+    teamSlot: number | null;
+    /** Parsed team number: 1 or 2 (null for DM/hidden players) */
+    team: 1 | 2 | null;
+    /** True if player is team leader (slot 1 or 6) */
+    isTeamLeader: boolean;
+    /** True if player is commander in STRAT/MPI games (same as team leader) */
+    isCommander: boolean;
+    /** Zero-based index within their team (0-4) */
+    teamIndex: number | null;
+    /** True if this player is the session host (always first in list) */
+    isHost: boolean;
+    /** True if player has no team assignment (spectator or glitched state) */
+    isHidden: boolean;
+  }
+
+  interface SteamPlayer extends PlayerBase {
+    platform: 'Steam';
+    /** Steam 64-bit ID */
+    steamId: string;
+    gogId: null;
+    /** Link to player's Steam profile page */
+    profileUrl: string;
+  }
+
+  interface GogPlayer extends PlayerBase {
+    platform: 'GOG';
+    steamId: null;
+    /** Cleaned GOG Galaxy ID with high bits removed */
+    gogId: string;
+    /** Original GOG Galaxy ID before cleaning (for debugging) */
+    gogIdRaw: string;
+    /** Link to player's GOG profile page */
+    profileUrl: string;
+  }
+
+  interface UnknownPlatformPlayer extends PlayerBase {
+    platform: null;
+    steamId: null;
+    gogId: null;
+    profileUrl: null;
+  }
+
+  /** Parsed player, discriminated by `platform` */
+  type Player = SteamPlayer | GogPlayer | UnknownPlatformPlayer;
+
+  // ==========================================================================
+  // SESSION
+  // ==========================================================================
+
+  type DeathmatchGameMode =
+    | 'DM' | 'TEAM_DM'
+    | 'KOTH' | 'TEAM_KOTH'
+    | 'CTF' | 'TEAM_CTF'
+    | 'LOOT' | 'TEAM_LOOT'
+    | 'RACE' | 'TEAM_RACE';
+
+  type StrategyGameMode = 'FFA' | 'STRAT' | 'MPI';
+
+  type ParsedGameMode = DeathmatchGameMode | StrategyGameMode;
+
+  type Respawn = 'One' | 'Race' | 'Any';
+
+  interface GameInfoBase {
+    /** Respawn rules: 'One' (one life), 'Race' (same race), 'Any' (any race) */
+    respawn: Respawn;
+    /** True if players must stay in vehicles (no pilot mode) */
+    vehicleOnly: boolean;
+    /** Original gt field value from Rebellion API (1=DM, 2=STRAT) */
+    rawGameType: number | undefined;
+    /** Original gtd field value encoding mode, team, and respawn flags */
+    rawGameSubType: number | undefined;
+  }
+
+  interface DeathmatchGameInfo extends GameInfoBase {
+    gameType: 'DM';
+    gameTypeName: 'Deathmatch';
+    /** Specific game mode (null if gtd is missing) */
+    gameMode: DeathmatchGameMode | null;
+    gameModeName: string | null;
+    /** True if this is a team-based game mode */
+    isTeamGame: boolean;
+  }
+
+  interface FfaGameInfo extends GameInfoBase {
+    gameType: 'STRAT';
+    gameTypeName: 'Strategy';
+    gameMode: 'FFA';
+    gameModeName: 'Free for All';
+    isTeamGame: false;
+  }
+
+  interface TeamStrategyGameInfo extends GameInfoBase {
+    gameType: 'STRAT';
+    gameTypeName: 'Strategy';
+    gameMode: 'STRAT';
+    /** 'Strategy' when the sub type is unrecognized */
+    gameModeName: 'Team Strategy' | 'Strategy';
+    isTeamGame: boolean;
+  }
+
+  interface MpiGameInfo extends GameInfoBase {
+    gameType: 'STRAT';
+    gameTypeName: 'Strategy';
+    gameMode: 'MPI';
+    gameModeName: 'MPI';
+    /** MPI is co-op: one human team vs AI */
+    isTeamGame: true;
+  }
+
+  interface UnknownStrategyGameInfo extends GameInfoBase {
+    gameType: 'STRAT';
+    gameTypeName: 'Strategy';
+    gameMode: null;
+    gameModeName: null;
+    isTeamGame: false;
+  }
+
+  interface UnknownGameInfo extends GameInfoBase {
+    gameType: 'ALL' | null;
+    gameTypeName: 'All' | null;
+    gameMode: null;
+    gameModeName: null;
+    isTeamGame: false;
+  }
+
+  /** Result of parseGameTypeAndMode, discriminated by `gameType` then `gameMode` */
+  type GameInfo =
+    | DeathmatchGameInfo
+    | FfaGameInfo
+    | TeamStrategyGameInfo
+    | MpiGameInfo
+    | UnknownStrategyGameInfo
+    | UnknownGameInfo;
+
+  interface SessionStateBase {
+    /** Raw si field value (1-5) indicating server state */
+    serverInfoMode: number | undefined;
+    /** True if session has room for more players */
+    hasOpenSlots: boolean;
+    /** Share of the state rules' weight that voted for state (0-1) */
+    stateConfidence: number;
+    /** Why state was chosen, from the winning state rules */
+    stateReason: string;
+  }
+
+  interface PreGameState extends SessionStateBase {
+    state: 'PreGame';
+    stateDetail: 'waiting' | 'full';
+  }
+
+  interface InGameState extends SessionStateBase {
+    state: 'InGame';
+    /** Inferred from stats or game time while si still says waiting: 'playing' */
+    stateDetail: 'playing' | 'full';
+  }
+
+  interface PostGameState extends SessionStateBase {
+    state: 'PostGame';
+    stateDetail: 'exiting';
+  }
+
+  interface UnknownState extends SessionStateBase {
+    state: 'Unknown';
+    stateDetail: 'unknown';
+  }
+
+  /** Result of parseSessionState, discriminated by `state` */
+  type SessionStateInfo = PreGameState | InGameState | PostGameState | UnknownState;
+
+  type SessionState = SessionStateInfo['state'];
+
+  interface NatInfo {
+    /** NAT type ID (see NATType) */
+    id: number | undefined;
+    /** Human-readable NAT type name */
+    name: string;
+    /** True if direct connection is possible (None or UPnP) */
+    canDirectConnect: boolean;
+    /** True if NAT is symmetric (hardest to connect through) */
+    isSymmetric: boolean;
+  }
+
+  interface TimeLimitInfo {
+    unlimited: boolean;
+    minutes: number | null;
+    maxedOut: boolean;
+  }
+
+  /** Steam Workshop enrichment fields (enrichModDetails: true) */
+  interface ModEnrichment {
+    /** Workshop item title */
+    title: string | null;
+    /** Workshop preview image URL */
+    previewUrl: string | null;
+    /** Workshop file size in bytes */
+    fileSize: number | null;
+    /** ISO 8601 timestamp of the last Workshop update */
+    updatedAt: string | null;
+    /** Workshop tags */
+    tags: string[];
+  }
+
+  interface SessionMod extends Partial<ModEnrichment> {
+    /** Steam Workshop item ID (or '0' for stock game) */
+    id: string;
+    /** Mod name ('Stock' for ID 0; otherwise null until enriched) */
+    name: string | null;
+    /** Link to Steam Workshop page for this mod (null for stock) */
+    workshopUrl: string | null;
+  }
+
+  interface TeamNames {
+    team1: string | null;
+    team2: string | null;
+  }
+
+  /** One team of a team game (see buildTeams) */
+  interface Team {
+    /** Team number (MPI has only team 1, the humans) */
+    team: 1 | 2;
+    /** Custom team name from teamNames (requires enrichMaps: true) */
+    name: string | null;
+    /** Players on this team, in slot order */
+    players: Player[];
+    playerCount: number;
+    /** Name of the player in the team leader slot (slot 1 or 6) */
+    leader: string | null;
+    /** Name of the commander in STRAT/MPI games (null otherwise) */
+    commander: string | null;
+    /** Free slots out of 5, limited by the room left in the session */
+    openSlots: number;
+    score: number;
+    kills: number;
+    deaths: number;
+  }
+
+  interface TeamBalance {
+    sizeDifference: number;
+    /** Team with more players (null if even) */
+    largerTeam: 1 | 2 | null;
+    scoreDifference: number;
+    /** Team with the higher total score (null if tied) */
+    leadingTeam: 1 | 2 | null;
+    /** Team 1's share of the combined score (null before anyone has scored) */
+    scoreShare: number | null;
+    isEven: boolean;
+  }
+
+  /** Fields added by enrichMaps: true */
+  interface MapEnrichment {
+    /** Human-readable map name from GameListAssets API */
+    mapName?: string | null;
+    /** Map description from GameListAssets API */
+    mapDescription?: string | null;
+    /** URL to map preview image from GameListAssets */
+    mapImageUrl?: string | null;
+    /** Team name customizations from map data */
+    teamNames?: TeamNames;
+  }
+
+  /** Fields added by enrichVsrMaps: true (null if not a known VSR map) */
+  interface VsrEnrichment {
+    /** Number of biometal pools on this map */
+    vsrPools?: number | null;
+    /** Amount of loose scrap on this map (-1 = unknown) */
+    vsrLoose?: number | null;
+    /** Creator of this map */
+    vsrAuthor?: string | null;
+    /** Map dimensions in game units */
+    vsrMapSize?: number | null;
+    /** Distance between starting bases in game units (0 = overlapping/unknown) */
+    vsrBaseToBase?: number | null;
+  }
+
+  interface SessionBase extends MapEnrichment, VsrEnrichment {
+    /** RakNet GUID in custom Base64 encoding (used as NAT punch-through address) */
+    id: string;
+    /** Decoded 64-bit GUID as 16-character hexadecimal string */
+    guid: string | null;
+    /** Session name set by the host (decoded from Base64/cp1252) */
+    name: string;
+    /** Game client version (e.g., '2.0.204.1') */
+    version: string | undefined;
+    /** Game balance paradigm identifier (e.g., 'VSR' for Vet Strategy Recycler) */
+    gameBalance: 'VSR' | null;
+    /** Full name of the game balance paradigm */
+    gameBalanceName: string | null;
+    /** Map filename without extension (e.g., 'rckcnynvsr') */
+    mapFile: string | undefined;
+    /** Custom map download URL if provided by host */
+    mapUrl: string | null;
+    /** Array of players currently in the session */
+    players: Player[];
+    /** Number of players currently in the session */
+    playerCount: number;
+    /** Maximum players allowed in the session */
+    maxPlayers: number | undefined;
+    /** Array of commander player names (quick reference for STRAT/MPI) */
+    commanders: string[];
+    /** Array of hidden player names (spectators or glitched) */
+    hiddenPlayers: string[];
+    /** Players grouped by team (empty for FFA/DM, one human team for MPI) */
+    teams: Team[];
+    /** Team size and score comparison (null unless there are two teams) */
+    teamBalance: TeamBalance | null;
+    /** Array of mod objects required for this session */
+    mods: SessionMod[];
+    /** Primary mod ID (first in the mod list) */
+    primaryMod: string;
+    /** Short hash identifying the mod combination */
+    modHash: string | undefined;
+    /** True if no mods are required (vanilla game) */
+    isStock: boolean;
+    /** True if host has locked the session (no new players allowed) */
+    isLocked: boolean;
+    /** True if session requires a password to join */
+    hasPassword: boolean;
+    /** Message of the day set by the host (null if not set) */
+    motd: string | null;
+    /** NAT traversal information for the session */
+    nat: NatInfo;
+    /** Steam protocol URL to join directly (null if locked or password-protected) */
+    steamJoinUrl: string | null;
+    /** Server tick rate (ticks per second, usually 20) */
+    tps: number | undefined;
+    /** Maximum allowed ping in milliseconds */
+    maxPing: number | undefined;
+    /** Highest ping seen among current players */
+    worstPingObserved: number | undefined;
+    /** Time elapsed since session was created (capped at 255) */
+    gameTimeMinutes: number | undefined;
+    /** Formatted time elapsed (shows '>255' if maxed out) */
+    timeElapsedMinutes: number | '>255' | undefined;
+    /** Time limit for the match if set (null if unlimited) */
+    timeLimitMinutes: number | null;
+    /** Kill/score limit for the match if set (null if unlimited) */
+    killLimit: number | null;
+    /** Raw fields that didn't match the expected lobby protocol (empty if the payload looked normal) */
+    warnings: ValidationWarning[];
+    /** Raw API data (for debugging) */
+    _raw: RawSession;
+  }
+
+  /**
+   * Parsed session
+   * Narrow on `state` for stateDetail and on `gameType`/`gameMode` for mode details.
+   */
+  type Session = SessionBase & GameInfo & SessionStateInfo;
+
+  // ==========================================================================
+  // DATA CACHE & ENRICHMENT
+  // ==========================================================================
+
+  /** Steam/GOG enrichment fields (enrichPlayers: true) */
+  interface PlayerEnrichment {
+    /** Steam persona name or GOG username */
+    displayName: string | null;
+    /** Full-size avatar image URL */
+    avatar: string | null;
+    /** ISO 3166-1 country code if public on the Steam profile (null for GOG) */
+    countryCode: string | null;
+    /** Steam persona state (see SteamPersonaStateNames) */
+    onlineStatus: number | null;
+    /** Human-readable Steam persona state */
+    onlineStatusName: string | null;
+    /** ISO 8601 timestamp the Steam/GOG account was created, if public */
+    accountCreated: string | null;
+  }
+
+  interface DataCachePlayer extends Partial<PlayerEnrichment> {
+    /** Player's platform ID (Steam or GOG) */
+    id: string;
+    /** Steam 64-bit ID (null if GOG player) */
+    steamId: string | null;
+    /** GOG Galaxy ID (null if Steam player) */
+    gogId: string | null;
+    /** Platform identifier: 'Steam' or 'GOG' */
+    platform: 'Steam' | 'GOG' | null;
+    /** Link to player's Steam or GOG profile page */
+    profileUrl: string | null;
+  }
+
+  interface DataCacheMod extends Partial<ModEnrichment> {
+    /** Steam Workshop item ID (or '0' for stock) */
+    id: string;
+    /** Mod name (only 'Stock' for ID 0, null otherwise) */
+    name: string | null;
+    /** Link to Steam Workshop page (null for stock) */
+    workshopUrl: string | null;
+  }
+
+  /** Consolidated cache of unique players and mods across all sessions */
+  interface DataCache {
+    /** Map of player IDs to player metadata */
+    players: Record<string, DataCachePlayer>;
+    /** Map of mod IDs to mod metadata */
+    mods: Record<string, DataCacheMod>;
+  }
+
+  /** Parsed GameListAssets getdata.php response */
+  interface MapData {
+    name: string | null;
+    description: string | null;
+    imageUrl: string | null;
+    mapFile: string;
+    teamNames: TeamNames;
+    netVars: Record<string, string> | null;
+    mods: Record<string, { name?: string; workshop_name?: string; [key: string]: unknown }> | null;
+  }
+
+  /** Built-in VSR map metadata */
+  interface VsrMapData {
+    pools: number;
+    loose: number;
+    author: string;
+    size: number;
+    baseToBase: number;
+  }
+
+  /** Custom VSR map entry (vsrMapData option) */
+  interface VsrMapEntry extends VsrMapData {
+    file: string;
+  }
+
+  type VsrMapDataMode = 'replace' | 'merge';
+
+  // ==========================================================================
+  // STATUS EVENTS
+  // ==========================================================================
+
+  type StatusStatus = 'pending' | 'success' | 'failed';
+
+  /** onStatus payloads, discriminated by `step` */
+  type StatusEvent =
+    | { step: 'direct'; status: StatusStatus; message: string }
+    | { step: 'proxy'; status: StatusStatus; proxy: string; message: string }
+    | { step: 'error'; status: 'failed'; message: string }
+    | { step: 'replay'; status: 'success'; message: string }
+    | { step: 'parse'; status: 'pending'; message: string }
+    | { step: 'enrich-maps' | 'enrich-vsr' | 'enrich-players' | 'enrich-mods'; status: StatusStatus; message: string }
+    | { step: 'complete'; status: 'success'; message: string };
+
+  type StatusCallback = (event: StatusEvent) => void;
+
+  // ==========================================================================
+  // TRANSPORT
+  // ==========================================================================
+
+  type FetchLike = (input: string, init?: RequestInit) => Promise<Response>;
+
+  interface TransportOptions {
+    /** fetch implementation (default: global fetch) */
+    fetch?: FetchLike;
+    /** CORS proxy URL prefixes (default: CORS_PROXIES) */
+    proxies?: string[];
+    /** Fall back to proxies when direct fetch fails (default: true) */
+    useProxies?: boolean;
+    /** Per-request timeout in ms, 0 to disable (default: 15000) */
+    timeout?: number;
+    /** Extra attempts per URL on network errors/5xx (default: 0) */
+    retries?: number;
+    /** Base backoff delay in ms, doubled each retry (default: 500) */
+    retryDelay?: number;
+  }
+
+  interface FetchJsonOptions {
+    /** Use only this proxy (no fallback, no caching) */
+    proxyUrl?: string;
+    /** Override the transport proxy list for this request */
+    proxies?: string[];
+    /** Override proxy fallback for this request */
+    useProxies?: boolean;
+    /** fetch init options (method, headers, body...) */
+    init?: RequestInit;
+    onStatus?: StatusCallback;
+  }
+
+  interface Transport {
+    request(url: string, init?: RequestInit): Promise<Response>;
+    fetchJson<T = any>(url: string, options?: FetchJsonOptions): Promise<T>;
+    getProxyOrder(proxyList?: string[]): string[];
+    /** null, 'direct' or the proxy URL that last worked */
+    getLastSuccessfulMethod(): string | null;
+    reset(): void;
+    proxies: string[];
+    /** Whether fetchJson falls back to proxies by default */
+    useProxies: boolean;
+  }
+
+  // ==========================================================================
+  // RECORD & REPLAY
+  // ==========================================================================
+
+  interface CaptureFrame {
+    /** ISO 8601 time the response was received */
+    timestamp: string;
+    response: RawResponse;
+  }
+
+  /** Capture file path (Node.js) or callback receiving each frame */
+  type CaptureTarget = string | ((frame: CaptureFrame) => void | Promise<void>);
+
+  /** Anything fetchSessions can read raw data from instead of the lobby server */
+  interface SessionSource {
+    fetchRaw(options?: FetchRawOptions): Promise<RawResponse>;
+    /** Timestamp reported for the last fetched data (default: now) */
+    getTimestamp?(): string | null;
+  }
+
+  interface ReplayOptions {
+    /** Playback speed multiplier; Infinity serves one frame per fetch (default: 1) */
+    speed?: number;
+    /** Start over after the last frame (default: false) */
+    loop?: boolean;
+    /** Clock function, for tests (default: Date.now) */
+    now?: () => number;
+  }
+
+  interface ReplaySource extends SessionSource {
+    getTimestamp(): string | null;
+    getFrameIndex(): number;
+    isDone(): boolean;
+    reset(): void;
+    frames: CaptureFrame[];
+  }
+
+  // ==========================================================================
+  // CLIENT & FETCH OPTIONS
+  // ==========================================================================
+
+  interface FetchRawOptions {
+    /** Optional specific CORS proxy URL to use */
+    proxyUrl?: string;
+    /** API URL (defaults to the client's lobby server) */
+    apiUrl?: string;
+    /** Add cache-busting param (default: true) */
+    bustCache?: boolean;
+    /** Proxy list overriding the transport's */
+    corsProxies?: string[];
+    /** Transport to use (default: client transport) */
+    transport?: Transport;
+    /** Append every response to this capture target */
+    record?: CaptureTarget;
+    onStatus?: StatusCallback;
+  }
+
+  interface FetchSessionsOptions extends FetchRawOptions {
+    /** Enable map data enrichment (default: false) */
+    enrichMaps?: boolean;
+    /** Enable VSR map metadata enrichment (default: false) */
+    enrichVsrMaps?: boolean;
+    /** Custom VSR map data (requires vsrMapDataMode) */
+    vsrMapData?: VsrMapEntry[];
+    vsrMapDataMode?: VsrMapDataMode;
+    /** Enable Steam/GOG player enrichment (default: false) */
+    enrichPlayers?: boolean;
+    /** Steam Web API key (overrides the client's) */
+    steamApiKey?: string;
+    /** Steam Web API base URL (overrides the client's) */
+    steamApiUrl?: string;
+    /** GOG embed API base URL (overrides the client's) */
+    gogApiUrl?: string;
+    /** Enable Steam Workshop mod enrichment (default: false) */
+    enrichModDetails?: boolean;
+    /** Read raw data from this source instead of the lobby server */
+    source?: SessionSource;
+    /** Drop sessions that fail raw validation into rejectedSessions (default: false) */
+    strict?: boolean;
+    /** Rules used to infer session state (default: DEFAULT_STATE_RULES) */
+    stateRules?: StateRule[];
+  }
+
+  interface FetchSessionsResult {
+    sessions: Session[];
+    /** ISO 8601 timestamp when the data was fetched (or recorded, when replayed) */
+    timestamp: string;
+    /** Original API response */
+    rawResponse: RawResponse;
+    dataCache: DataCache;
+    /** Sessions dropped by strict mode (always empty otherwise) */
+    rejectedSessions: RejectedSession[];
+    /** True if map data enrichment was enabled for this fetch */
+    enrichedMaps: boolean;
+    /** True if VSR map metadata enrichment was enabled for this fetch */
+    enrichedVsrMaps: boolean;
+    /** True if Steam/GOG player enrichment was enabled for this fetch */
+    enrichedPlayers: boolean;
+    /** True if Steam Workshop mod enrichment was enabled for this fetch */
+    enrichedModDetails: boolean;
+  }
+
+  interface TransportFetchOptions {
+    transport?: Transport;
+  }
+
+  interface SteamFetchOptions extends TransportFetchOptions {
+    steamApiKey?: string;
+    steamApiUrl?: string;
+  }
+
+  interface GogFetchOptions extends TransportFetchOptions {
+    gogApiUrl?: string;
+    gogConcurrency?: number;
+  }
+
+  interface ClientOptions extends Omit<TransportOptions, 'proxies'> {
+    /** Lobby server URL (default: DEFAULT_API_URL) */
+    apiUrl?: string;
+    /** GameListAssets base URL (default: MAP_API_BASE_URL) */
+    mapApiBaseUrl?: string;
+    /** CORS proxy list (default: CORS_PROXIES) */
+    corsProxies?: string[];
+    /** Transport to use (default: one built from the transport options) */
+    transport?: Transport;
+    vsrMapData?: VsrMapEntry[];
+    vsrMapDataMode?: VsrMapDataMode;
+    /** Map data cache lifetime in ms (default: 24 hours) */
+    mapCacheTtl?: number;
+    /** Lifetime of failed map lookups in ms (default: 10 minutes) */
+    mapCacheNegativeTtl?: number;
+    /** Maximum cached maps (default: 500) */
+    mapCacheMaxEntries?: number;
+    /** Storage adapter to persist map data (default: none) */
+    mapCacheStorage?: StorageAdapter | null;
+    steamApiKey?: string;
+    /** Steam Web API base URL (default: STEAM_API_BASE_URL) */
+    steamApiUrl?: string;
+    /** Steam profile cache lifetime in ms (default: 5 minutes) */
+    playerCacheTtl?: number;
+    /** GOG embed API base URL (default: GOG_API_BASE_URL) */
+    gogApiUrl?: string;
+    /** Maximum parallel GOG requests (default: 4) */
+    gogConcurrency?: number;
+    /** GOG profile cache lifetime in ms (default: 15 minutes) */
+    gogCacheTtl?: number;
+    /** Lifetime of unknown or failed GOG lookups in ms (default: 1 minute) */
+    gogCacheNegativeTtl?: number;
+    /** Storage adapter for Workshop details (default: getDefaultCacheStorage(); null for in-memory) */
+    modCacheStorage?: StorageAdapter | null;
+    /** Workshop details cache lifetime in ms (default: 24 hours) */
+    modCacheTtl?: number;
+    /** Lifetime of missing or unlisted Workshop items in ms (default: 10 minutes) */
+    modCacheNegativeTtl?: number;
+    /** Record every fetchRaw response (default: none) */
+    record?: CaptureTarget | null;
+  }
+
+  interface Client {
+    fetchSessions(options?: FetchSessionsOptions): Promise<FetchSessionsResult>;
+    fetchRaw(options?: FetchRawOptions): Promise<RawResponse>;
+    fetchMapData(mapFile: string, modId?: string, options?: TransportFetchOptions): Promise<MapData | null>;
+    enrichSessionsWithMapData(sessions: Session[], options?: TransportFetchOptions): Promise<void>;
+    clearMapCache(): Promise<void>;
+    fetchSteamPlayerSummaries(steamIds: string[], options?: SteamFetchOptions): Promise<Record<string, PlayerEnrichment>>;
+    fetchGogPlayerInfo(gogIds: string[], options?: GogFetchOptions): Promise<Record<string, PlayerEnrichment>>;
+    enrichPlayerData(dataCache: DataCache, options?: SteamFetchOptions & GogFetchOptions): Promise<DataCache>;
+    clearPlayerCache(): Promise<void>;
+    fetchWorkshopDetails(modIds: string[], options?: SteamFetchOptions): Promise<Record<string, ModEnrichment & { name: string | null }>>;
+    enrichModData(sessions: Session[], dataCache?: DataCache | null, options?: SteamFetchOptions): Promise<void>;
+    clearModCache(): Promise<void>;
+    getVsrMapData(mapFile: string): VsrMapData | null;
+    mapCache: Cache<MapData>;
+    createSessionWatcher(options?: SessionWatcherOptions): SessionWatcher;
+    transport: Transport;
+    apiUrl: string;
+    mapApiBaseUrl: string;
+    vsrMapData: Record<string, VsrMapData>;
+  }
+
+  // ==========================================================================
+  // SESSION WATCHER
+  // ==========================================================================
+
+  interface SessionEventBase {
+    /** Session key (see getSessionKey) */
+    key: string;
+    session: Session;
+    /** Timestamp of the poll that produced the event (set by watchers) */
+    timestamp?: string;
+  }
+
+  interface SessionCreatedEvent extends SessionEventBase {
+    type: 'session:created';
+  }
+
+  interface SessionClosedEvent extends SessionEventBase {
+    type: 'session:closed';
+  }
+
+  interface SessionStateChangedEvent extends SessionEventBase {
+    type: 'session:stateChanged';
+    previous: Session;
+    from: SessionState;
+    to: SessionState;
+  }
+
+  interface SessionMapChangedEvent extends SessionEventBase {
+    type: 'session:mapChanged';
+    previous: Session;
+    from: string | undefined;
+    to: string | undefined;
+  }
+
+  interface PlayerJoinedEvent extends SessionEventBase {
+    type: 'player:joined';
+    player: Player;
+    playerKey: string;
+  }
+
+  interface PlayerLeftEvent extends SessionEventBase {
+    type: 'player:left';
+    player: Player;
+    playerKey: string;
+  }
+
+  interface PlayerTeamChangedEvent extends SessionEventBase {
+    type: 'player:teamChanged';
+    player: Player;
+    playerKey: string;
+    previousPlayer: Player;
+    from: 1 | 2 | null;
+    to: 1 | 2 | null;
+  }
+
+  /** Change event from diffSessions(), discriminated by `type` */
+  type SessionChangeEvent =
+    | SessionCreatedEvent
+    | SessionClosedEvent
+    | SessionStateChangedEvent
+    | SessionMapChangedEvent
+    | PlayerJoinedEvent
+    | PlayerLeftEvent
+    | PlayerTeamChangedEvent;
+
+  type SessionEventType = SessionChangeEvent['type'];
+
+  interface WatcherUpdate {
+    result: FetchSessionsResult;
+    events: SessionChangeEvent[];
+    /** True for the first successful poll */
+    initial: boolean;
+  }
+
+  type WatcherEventMap = {
+    [K in SessionEventType]: Extract<SessionChangeEvent, { type: K }>;
+  } & {
+    update: WatcherUpdate;
+    error: Error;
+  };
+
+  type Unsubscribe = () => void;
+
+  interface SessionWatcherOptions extends FetchSessionsOptions {
+    /** Poll interval in ms (default: 30000) */
+    interval?: number;
+    /** Emit session:created for sessions found on the first poll (default: true) */
+    emitInitial?: boolean;
+    /** Custom fetch function (default: BZ2API.fetchSessions) */
+    fetchSessions?: (options: FetchSessionsOptions) => Promise<FetchSessionsResult>;
+    /** Re-infers state across polls before diffing (default: createStateTracker with stateRules; null to disable) */
+    stateTracker?: StateTracker | null;
+  }
+
+  interface SessionWatcher {
+    on<K extends keyof WatcherEventMap>(event: K, handler: (payload: WatcherEventMap[K], event: K) => void): Unsubscribe;
+    on(event: '*', handler: (payload: WatcherEventMap[keyof WatcherEventMap], event: keyof WatcherEventMap) => void): Unsubscribe;
+    off(event: keyof WatcherEventMap | '*', handler: (...args: any[]) => void): void;
+    once<K extends keyof WatcherEventMap>(event: K, handler: (payload: WatcherEventMap[K], event: K) => void): Unsubscribe;
+    once(event: '*', handler: (payload: WatcherEventMap[keyof WatcherEventMap], event: keyof WatcherEventMap) => void): Unsubscribe;
+    start(): void;
+    stop(): void;
+    poll(): Promise<SessionChangeEvent[]>;
+    isRunning(): boolean;
+    getSessions(): Session[];
+  }
+
+  // ==========================================================================
+  // SESSION STATE INFERENCE
+  // ==========================================================================
+
+  interface StateSignalsInput {
+    si: number | undefined;
+    players?: Array<Pick<PlayerBase, 'name' | 'rawId' | 'kills' | 'deaths' | 'score'> & { steamId?: string | null; gogId?: string | null }>;
+    /** Raw gtm value */
+    gameTimeMinutes?: number;
+    timestamp?: string | null;
+  }
+
+  /** What state rules look at. Fields comparing with the previous poll are null without one. */
+  interface StateSignals extends Required<StateSignalsInput> {
+    playerCount: number;
+    /** True if any player has a non-zero score, kills or deaths */
+    hasStats: boolean;
+    /** "kills/deaths/score" keyed by player key */
+    stats: Map<string, string>;
+    /** Signals and inferred state from the previous poll (tracker only) */
+    previous: (StateSignals & InferredState) | null;
+    elapsedMs: number | null;
+    /** True if a player seen in both polls has different non-zero stats */
+    statsChanged: boolean | null;
+    gameTimeAdvanced: boolean | null;
+    playerCountChanged: boolean | null;
+  }
+
+  interface StateVote {
+    state: SessionState;
+    /** Votes for the same state add up; must be positive to count */
+    weight: number;
+    reason: string;
+    stateDetail?: string;
+  }
+
+  interface StateRule {
+    name: string;
+    /** Return null to abstain */
+    evaluate(signals: StateSignals): StateVote | null;
+  }
+
+  interface InferredState {
+    state: SessionState;
+    stateDetail: string;
+    stateConfidence: number;
+    stateReason: string;
+  }
+
+  interface StateTracker {
+    /** Re-infer state for a snapshot, updating the sessions in place */
+    update(snapshot: SnapshotInput, timestamp?: string): Session[];
+    reset(): void;
+  }
+
+  // ==========================================================================
+  // SESSION QUERIES
+  // ==========================================================================
+
+  interface QueryOperators {
+    eq?: Criterion;
+    ne?: Criterion;
+    gt?: number | string;
+    gte?: number | string;
+    lt?: number | string;
+    lte?: number | string;
+    in?: Criterion[];
+    nin?: Criterion[];
+    match?: RegExp | string;
+  }
+
+  /** Scalar (strict equality), array (any of), RegExp, predicate or operator object */
+  type Criterion =
+    | string
+    | number
+    | boolean
+    | null
+    | RegExp
+    | ((value: any, session: Session) => unknown)
+    | Criterion[]
+    | QueryOperators;
+
+  type SortKey = string | string[];
+
+  interface QueryCriteria {
+    /** Minimum playerCount */
+    minPlayers?: Criterion;
+    /** Maximum playerCount */
+    maxPlayerCount?: Criterion;
+    /** Minimum free slots */
+    minOpenSlots?: Criterion;
+    /** Any player by name, Steam ID or GOG ID */
+    player?: Criterion;
+    /** Sort key(s), prefix with '-' for descending */
+    sort?: SortKey;
+    limit?: number;
+    /** Any session field or dotted path (e.g. 'nat.name') */
+    [field: string]: Criterion | SortKey | undefined;
+  }
+
+  interface QueryOptions {
+    sort?: SortKey;
+    limit?: number;
+  }
+
+  // ==========================================================================
+  // STORAGE & CACHE
+  // ==========================================================================
+
+  /** Async key-value interface shared by everything that persists data */
+  interface StorageAdapter<T = any> {
+    get(key: string): Promise<T | null>;
+    set(key: string, value: T): Promise<void>;
+    delete(key: string): Promise<void>;
+    entries(prefix?: string): Promise<Array<[string, T]>>;
+    clear(): Promise<void>;
+  }
+
+  interface JsonLinesStorageOptions {
+    /** Lines per live key that trigger automatic compaction, 0 to disable (default: 4) */
+    compactRatio?: number;
+  }
+
+  interface JsonLinesStorage<T = any> extends StorageAdapter<T> {
+    /** Rewrite the file with live keys only */
+    compact(): Promise<void>;
+  }
+
+  interface CacheOptions {
+    /** Entry lifetime in ms, 0 = never expires (default: 0) */
+    ttl?: number;
+    /** Lifetime of null entries in ms, 0 = never expires (default: 5 minutes) */
+    negativeTtl?: number;
+    /** Maximum entries before least-recently-used eviction (default: Infinity) */
+    maxEntries?: number;
+    /** Storage adapter for persistence (default: none) */
+    storage?: StorageAdapter | null;
+    /** Key prefix inside the storage adapter (default: 'cache:') */
+    namespace?: string;
+  }
+
+  interface Cache<T = any> {
+    /** Cached value, null for a negative entry, undefined on a miss */
+    get(key: string): Promise<T | null | undefined>;
+    /** Store a value; null/undefined stores a negative entry */
+    set(key: string, value: T | null | undefined, ttl?: number): Promise<void>;
+    has(key: string): Promise<boolean>;
+    delete(key: string): Promise<void>;
+    clear(): Promise<void>;
+    /** Drop expired entries; resolves to the number removed */
+    prune(): Promise<number>;
+    size(): number;
+  }
+
+  // ==========================================================================
+  // SESSION HISTORY
+  // ==========================================================================
+
+  /** Snapshot input accepted by recorders, stats and trackers */
+  type SnapshotInput = FetchSessionsResult | Session[];
+
+  interface SessionRecord {
+    guid: string;
+    id: string;
+    name: string;
+    version: string | undefined;
+    gameType: GameInfo['gameType'];
+    gameMode: GameInfo['gameMode'];
+    gameBalance: 'VSR' | null;
+    mapFile: string | undefined;
+    mapName: string | null;
+    primaryMod: string;
+    maxPlayers: number | undefined;
+    peakPlayerCount: number;
+    state: SessionState;
+    states: SessionState[];
+    playerKeys: string[];
+    snapshotCount: number;
+    firstSeen: string;
+    lastSeen: string;
+  }
+
+  interface AppearanceRecord {
+    guid: string;
+    playerKey: string;
+    name: string;
+    steamId: string | null;
+    gogId: string | null;
+    platform: 'Steam' | 'GOG' | null;
+    team: 1 | 2 | null;
+    isCommander: boolean;
+    kills: number | null;
+    deaths: number | null;
+    score: number | null;
+    firstSeen: string;
+    lastSeen: string;
+  }
+
+  interface TimeWindow {
+    /** ISO timestamp lower bound */
+    from?: string;
+    /** ISO timestamp upper bound */
+    to?: string;
+  }
+
+  interface SessionRecorder {
+    record(snapshot: SnapshotInput, timestamp?: string): Promise<void>;
+    attach(watcher: SessionWatcher): Unsubscribe;
+    getSession(guid: string): Promise<SessionRecord | null>;
+    getSessions(filter: TimeWindow & { mapFile?: string; playerKey?: string; includePlayers: true }): Promise<Array<SessionRecord & { players: AppearanceRecord[] }>>;
+    getSessions(filter?: TimeWindow & { mapFile?: string; playerKey?: string; includePlayers?: boolean }): Promise<SessionRecord[]>;
+    getAppearances(filter?: TimeWindow & { guid?: string; playerKey?: string }): Promise<AppearanceRecord[]>;
+    storage: StorageAdapter;
+  }
+
+  // ==========================================================================
+  // PLAYER STATISTICS
+  // ==========================================================================
+
+  interface PlayerStatsEntry {
+    /** Player key (see getPlayerKey) */
+    id: string;
+    steamId: string | null;
+    gogId: string | null;
+    platform: 'Steam' | 'GOG' | null;
+    /** Most recent name */
+    name: string;
+    /** Every name seen */
+    names: string[];
+    gamesPlayed: number;
+    timeInGameMs: number;
+    timeInGameMinutes: number;
+    kills: number;
+    deaths: number;
+    score: number;
+    commanderGames: number;
+    /** Games per map file */
+    maps: Record<string, number>;
+    /** Games per mod ID */
+    mods: Record<string, number>;
+    favouriteMaps: Array<{ mapFile: string; count: number }>;
+    preferredMods: Array<{ modId: string; count: number }>;
+    lastSeen: string | null;
+  }
+
+  interface PlayerStats {
+    add(snapshot: SnapshotInput, timestamp?: string): void;
+    flush(): void;
+    getPlayer(playerId: string): PlayerStatsEntry | null;
+    getPlayers(options?: { sortBy?: keyof PlayerStatsEntry }): PlayerStatsEntry[];
+    reset(): void;
+  }
+
+  // ==========================================================================
+  // MATCH RESULTS
+  // ==========================================================================
+
+  interface MatchPlayer {
+    playerKey: string;
+    name: string;
+    steamId: string | null;
+    gogId: string | null;
+    platform: 'Steam' | 'GOG' | null;
+    team: 1 | 2 | null;
+    teamSlot: number | null;
+    isCommander: boolean;
+    kills: number | null;
+    deaths: number | null;
+    score: number | null;
+    /** True if the player wasn't in the final snapshot */
+    leftEarly: boolean;
+  }
+
+  interface MatchTeam {
+    team: 1 | 2;
+    playerKeys: string[];
+    score: number;
+    kills: number;
+    deaths: number;
+  }
+
+  interface MatchOutcome {
+    teams: MatchTeam[];
+    winningTeam: 1 | 2 | null;
+    winnerPlayerKey: string | null;
+    isDraw: boolean;
+  }
+
+  type MatchEndReason = 'postgame' | 'restarted' | 'disappeared';
+
+  interface MatchResult extends MatchOutcome {
+    /** "{guid}:{startedAt}" */
+    matchId: string;
+    guid: string;
+    sessionName: string;
+    mapFile: string | undefined;
+    mapName: string | null;
+    gameType: GameInfo['gameType'];
+    gameMode: GameInfo['gameMode'];
+    gameModeName: string | null;
+    gameBalance: 'VSR' | null;
+    isTeamGame: boolean;
+    mods: string[];
+    startedAt: string;
+    endedAt: string;
+    durationMinutes: number;
+    endReason: MatchEndReason;
+    /** True only when the final scoreboard was seen (PostGame) */
+    complete: boolean;
+    players: MatchPlayer[];
+  }
+
+  interface MatchTracker {
+    update(snapshot: SnapshotInput, timestamp?: string): MatchResult[];
+    attach(watcher: SessionWatcher): Unsubscribe;
+    on(event: 'match', handler: (result: MatchResult) => void): Unsubscribe;
+    off(event: 'match', handler: (result: MatchResult) => void): void;
+    once(event: 'match', handler: (result: MatchResult) => void): Unsubscribe;
+    reset(): void;
+  }
+
+  // ==========================================================================
+  // PLAYER RATINGS
+  // ==========================================================================
+
+  /** 'DM' or 'STRAT' with the default getModeFamily; any string with a custom one */
+  type ModeFamily = string;
+
+  interface RatingEngineOptions {
+    /** Storage adapter (default: in-memory) */
+    storage?: StorageAdapter;
+    /** Rating of a player's first match (default: 1500) */
+    initialRating?: number;
+    /** Maximum rating change per match (default: 32) */
+    kFactor?: number;
+    /** Weight of commanders in Strategy games (default: 2) */
+    commanderWeight?: number;
+    /** Skip matches without a final scoreboard (default: true) */
+    completeOnly?: boolean;
+    /** Maps a match to a family name, or null to skip it */
+    getModeFamily?: (match: MatchResult) => ModeFamily | null;
+  }
+
+  interface PlayerRating {
+    playerKey: string;
+    family: ModeFamily;
+    name: string;
+    steamId: string | null;
+    gogId: string | null;
+    platform: 'Steam' | 'GOG' | null;
+    rating: number;
+    peakRating: number;
+    matches: number;
+    wins: number;
+    draws: number;
+    losses: number;
+    commanderMatches: number;
+    /** endedAt of the last rated match */
+    lastPlayed: string;
+  }
+
+  interface RatingChange {
+    playerKey: string;
+    name: string;
+    team: 1 | 2 | null;
+    before: number;
+    after: number;
+    delta: number;
+  }
+
+  interface RatedMatch {
+    matchId: string;
+    family: ModeFamily;
+    changes: RatingChange[];
+  }
+
+  interface LeaderboardQuery {
+    /** Mode family (default: 'STRAT') */
+    family?: ModeFamily;
+    /** Leave out players with fewer rated matches (default: 1) */
+    minMatches?: number;
+    /** Maximum number of entries (default: 50) */
+    limit?: number;
+  }
+
+  interface RatingEngine {
+    /** Resolves to null if the match was skipped (incomplete, unratable or already rated) */
+    rateMatch(match: MatchResult): Promise<RatedMatch | null>;
+    attach(tracker: MatchTracker): Unsubscribe;
+    getRating(playerKey: string, family: ModeFamily): Promise<PlayerRating | null>;
+    getLeaderboard(query?: LeaderboardQuery): Promise<Array<PlayerRating & { rank: number }>>;
+    reset(): Promise<void>;
+    on(event: 'rated', handler: (rated: RatedMatch) => void): Unsubscribe;
+    off(event: 'rated', handler: (rated: RatedMatch) => void): void;
+    once(event: 'rated', handler: (rated: RatedMatch) => void): Unsubscribe;
+    storage: StorageAdapter;
+  }
+
+  // ==========================================================================
+  // TEAM BALANCER
+  // ==========================================================================
+
+  interface TeamSplitOptions {
+    /** Ratings keyed by player key (see getPlayerKey) */
+    ratings?: Record<string, number> | Map<string, number>;
+    /** Alternative to ratings */
+    getRating?: (player: Player) => number | null | undefined;
+    /** Rating of players without one (default: 1500) */
+    defaultRating?: number;
+    /** Keep current commanders on their team (default: true) */
+    lockCommanders?: boolean;
+    /** Weight of commanders in team strength (default: 2) */
+    commanderWeight?: number;
+    /** Maximum number of proposals (default: 3) */
+    limit?: number;
+  }
+
+  interface ProposedTeam {
+    team: 1 | 2;
+    players: Array<{ playerKey: string; name: string; rating: number }>;
+    /** Actual commander for the current teams; in proposals, the locked commander or else the strongest player */
+    commander: string | null;
+    /** Commander-weighted average rating (null for an empty team) */
+    rating: number | null;
+  }
+
+  interface TeamMove {
+    playerKey: string;
+    name: string;
+    from: 1 | 2 | null;
+    to: 1 | 2;
+  }
+
+  interface TeamSplit {
+    teams: [ProposedTeam, ProposedTeam];
+    ratingDifference: number | null;
+    /** Elo expectation for team 1 (0.5 = even) */
+    team1WinProbability: number | null;
+    favoredTeam: 1 | 2 | null;
+    /** Players who would have to switch teams */
+    moves: TeamMove[];
+  }
+
+  interface TeamSplitSuggestions {
+    /** The lobby's teams as they are now */
+    current: TeamSplit;
+    /** Most even first, then fewest moves */
+    proposals: TeamSplit[];
+  }
+
+  // ==========================================================================
+  // SESSION CLOCK
+  // ==========================================================================
+
+  interface SessionClockOptions {
+    /** Slack added to each start-time window for lobby update lag (default: 5000) */
+    toleranceMs?: number;
+  }
+
+  interface SessionClockEstimate {
+    /** Session key (see getSessionKey) */
+    key: string;
+    /** Estimated start of the session clock; null if first seen with gtm saturated */
+    startedAt: string | null;
+    /** The estimate is off by at most this many minutes */
+    accuracyMinutes: number | null;
+    /** Elapsed minutes, not capped at 255 */
+    elapsedMinutes: number;
+    /** True if elapsedMinutes is only a lower bound (startedAt unknown) */
+    isLowerBound: boolean;
+    timeLimitMinutes: number | null;
+    /** Minutes left before timeLimitMinutes; null if unlimited or unknown */
+    remainingMinutes: number | null;
+    endsAt: string | null;
+    killLimit: number | null;
+    /** Kills the top player still needs to reach killLimit */
+    killsRemaining: number | null;
+    /** Times gtm went backwards (game restarted) */
+    restarts: number;
+    firstSeen: string;
+    lastSeen: string;
+  }
+
+  interface SessionClock {
+    update(snapshot: SnapshotInput, timestamp?: string): SessionClockEstimate[];
+    attach(watcher: SessionWatcher): Unsubscribe;
+    get(session: Session): SessionClockEstimate | null;
+    reset(): void;
+  }
+
+  // ==========================================================================
+  // DISCORD NOTIFIER
+  // ==========================================================================
+
+  interface NotifierRule {
+    name: string;
+    /** Query criteria the session must match (see parseQuery) */
+    when?: QueryCriteria | string;
+    /** Embed title, or a function building it (default: describeLobby) */
+    message?: string | ((session: Session) => string);
+    /** Overrides the notifier's cooldownMs for this rule */
+    cooldownMs?: number;
+  }
+
+  interface DiscordPayloadOptions {
+    message?: string | ((session: Session) => string);
+    username?: string;
+    avatarUrl?: string;
+    color?: number;
+  }
+
+  interface DiscordEmbedField {
+    name: string;
+    value: string;
+    inline?: boolean;
+  }
+
+  interface DiscordPayload {
+    username?: string;
+    avatar_url?: string;
+    embeds: Array<{
+      title: string;
+      description: string;
+      color: number;
+      fields: DiscordEmbedField[];
+      timestamp: string;
+      image?: { url: string };
+    }>;
+    allowed_mentions: { parse: string[] };
+  }
+
+  interface DiscordNotifierOptions {
+    /** Discord webhook URL (any URL that accepts the same POST) */
+    webhookUrl: string;
+    /** Watch rules (default: open PreGame lobbies) */
+    rules?: NotifierRule[];
+    /** Minimum time between pings for a session and rule (default: 30 minutes) */
+    cooldownMs?: number;
+    /** Posts allowed per minute (default: 5) */
+    maxPerMinute?: number;
+    /** Queued posts kept when rate limited; oldest are dropped (default: 20) */
+    maxQueue?: number;
+    username?: string;
+    avatarUrl?: string;
+    color?: number;
+    /** Build the payload yourself (default: buildDiscordPayload) */
+    format?: (session: Session, options: DiscordPayloadOptions & { rule: NotifierRule }) => object;
+    /** Extra attempts per post on network errors, 429 and 5xx (default: 3) */
+    retries?: number;
+    /** Base backoff delay in ms when Discord sends no Retry-After (default: 1000) */
+    retryDelay?: number;
+    /** Transport used to post (default: the default client's) */
+    transport?: Transport;
+  }
+
+  interface QueuedNotification {
+    /** Name of the rule that fired */
+    rule: string;
+    session: Session;
+    payload: object;
+  }
+
+  interface DiscordNotifier {
+    update(snapshot: SnapshotInput, timestamp?: string): QueuedNotification[];
+    attach(watcher: SessionWatcher): Unsubscribe;
+    /** Resolves once every queued ping has been posted (or has failed) */
+    flush(): Promise<void>;
+    clear(): void;
+    on(event: 'sent', handler: (notification: QueuedNotification) => void): Unsubscribe;
+    on(event: 'error', handler: (error: Error & { notification: QueuedNotification }) => void): Unsubscribe;
+    /** A queued ping was discarded because the queue was full */
+    on(event: 'dropped', handler: (notification: QueuedNotification) => void): Unsubscribe;
+    off(event: 'sent' | 'error' | 'dropped', handler: (...args: any[]) => void): void;
+    once(event: 'sent', handler: (notification: QueuedNotification) => void): Unsubscribe;
+    once(event: 'error', handler: (error: Error & { notification: QueuedNotification }) => void): Unsubscribe;
+    once(event: 'dropped', handler: (notification: QueuedNotification) => void): Unsubscribe;
+  }
+
+  // ==========================================================================
+  // WEBHOOK SINKS
+  // ==========================================================================
+
+  /** Compact JSON form of a change event (serializeEvent) */
+  interface SerializedEvent {
+    type: SessionEventType;
+    timestamp: string;
+    key: string;
+    session: {
+      name: string;
+      state: Session['state'];
+      mapFile: Session['mapFile'];
+      mapName: string | null;
+      gameMode: Session['gameMode'];
+      gameBalance: Session['gameBalance'];
+      playerCount: number;
+      maxPlayers: Session['maxPlayers'];
+      hasPassword: boolean;
+      steamJoinUrl: Session['steamJoinUrl'];
+    };
+    player?: {
+      key: string;
+      name: string;
+      steamId: string | null;
+      gogId: string | null;
+      team: 1 | 2 | null;
+      isCommander: boolean;
+    };
+    from?: unknown;
+    to?: unknown;
+  }
+
+  /** Values available to {{path}} placeholders in a sink template */
+  type WebhookTemplateContext = SessionChangeEvent & {
+    timestamp: string;
+    /** serializeEvent() output */
+    event: SerializedEvent;
+    /** describeEvent() output */
+    text: string;
+    /** Event time in epoch ms */
+    time: number;
+  };
+
+  interface WebhookSinkOptions {
+    /** Endpoint URL */
+    url: string;
+    /** Event types to forward (default: every SessionEvent) */
+    events?: SessionEventType[];
+    /** Query criteria the event's session must match */
+    filter?: QueryCriteria | string;
+    /** JSON template with {{path}} placeholders, or a function building each item (default: serializeEvent) */
+    template?: object | string | ((event: SessionChangeEvent & { timestamp: string }, context: WebhookTemplateContext) => unknown);
+    /** Events per request (default: 1) */
+    batchSize?: number;
+    /** Longest wait before sending a partial batch in ms (default: 5000) */
+    batchIntervalMs?: number;
+    /** Build the body for a batch (default: { events: items }) */
+    wrapBatch?: (items: unknown[]) => unknown;
+    /** HTTP method (default: 'POST') */
+    method?: string;
+    /** Extra request headers */
+    headers?: Record<string, string>;
+    /** HMAC-SHA256 secret; each body is signed into signatureHeader */
+    secret?: string;
+    /** Signature header name (default: 'X-BZ2API-Signature') */
+    signatureHeader?: string;
+    /** Extra attempts per request on network errors, 429 and 5xx (default: 3) */
+    retries?: number;
+    /** Base backoff delay in ms, doubled each retry; a Retry-After header (seconds or HTTP date) takes precedence (default: 1000) */
+    retryDelay?: number;
+    /** Transport used to post (default: the default client's) */
+    transport?: Transport;
+  }
+
+  interface WebhookDelivery {
+    events: SessionChangeEvent[];
+    body: unknown;
+    status: number;
+  }
+
+  interface WebhookSink {
+    /** Render and queue one event; false if the type or session filter rejected it */
+    send(event: SessionChangeEvent): boolean;
+    attach(watcher: SessionWatcher): Unsubscribe;
+    /** Sends any partial batch now; resolves once every request has finished */
+    flush(): Promise<void>;
+    on(event: 'sent', handler: (delivery: WebhookDelivery) => void): Unsubscribe;
+    on(event: 'error', handler: (error: Error & { events: SessionChangeEvent[] }) => void): Unsubscribe;
+    off(event: 'sent' | 'error', handler: (...args: any[]) => void): void;
+    once(event: 'sent', handler: (delivery: WebhookDelivery) => void): Unsubscribe;
+    once(event: 'error', handler: (error: Error & { events: SessionChangeEvent[] }) => void): Unsubscribe;
+  }
+
+  // ==========================================================================
+  // ENCODERS
+  // ==========================================================================
+
+  interface GameSubTypeInput {
+    gameMode: ParsedGameMode | null;
+    respawn?: Respawn;
+    vehicleOnly?: boolean;
+  }
+
+  /** Parsed-session fields read by buildRawSession */
+  type RawSessionInput = Partial<Omit<SessionBase, 'players' | 'mods' | 'guid' | 'nat'>> & Partial<GameInfo> & Partial<SessionStateBase> & {
+    guid?: string | number | bigint | null;
+    state?: SessionState;
+    nat?: { id: number | undefined };
+    mods?: Array<string | { id: string }>;
+    players?: Array<Partial<PlayerBase> & { name: string; steamId?: string | null; gogId?: string | null; gogIdRaw?: string }>;
+  };
+
+  // ==========================================================================
+  // FUNCTIONS
+  // ==========================================================================
+
+  // Main functions (default client)
+  function fetchSessions(options?: FetchSessionsOptions): Promise<FetchSessionsResult>;
+  function fetchRaw(options?: FetchRawOptions): Promise<RawResponse>;
+  function parseSession(raw: RawSession, options?: ParseSessionOptions): Session;
+  function parsePlayer(rawPlayer: RawPlayer, index?: number, isTeamGame?: boolean, isMPI?: boolean, gameMode?: string | null): Player;
+  function buildRawSession(session: RawSessionInput): RawSession;
+  function buildDataCache(sessions: Session[]): DataCache;
+
+  // Validation
+  function validateRawSession(raw: unknown): ValidationWarning[];
+  function validateResult(result: unknown): ValidationWarning[];
+  const RAW_SESSION_SCHEMA: JsonSchema;
+  const RAW_PLAYER_SCHEMA: JsonSchema;
+  /** JSON Schema for fetchSessions() results; data/bz2-schema.json is generated from it */
+  const RESULT_SCHEMA: JsonSchema;
+
+  // Clients
+  function createClient(options?: ClientOptions): Client;
+
+  // Map enrichment (opt-in)
+  function fetchMapData(mapFile: string, modId?: string, options?: TransportFetchOptions): Promise<MapData | null>;
+  function enrichSessionsWithMapData(sessions: Session[], options?: TransportFetchOptions): Promise<void>;
+  function clearMapCache(): Promise<void>;
+  function parseMapData(data: any, mapFile: string, mapApiBaseUrl?: string): MapData | null;
+
+  // Player enrichment (opt-in)
+  function fetchSteamPlayerSummaries(steamIds: string[], options?: SteamFetchOptions): Promise<Record<string, PlayerEnrichment>>;
+  function fetchGogPlayerInfo(gogIds: string[], options?: GogFetchOptions): Promise<Record<string, PlayerEnrichment>>;
+  function enrichPlayerData(dataCache: DataCache, options?: SteamFetchOptions & GogFetchOptions): Promise<DataCache>;
+  function clearPlayerCache(): Promise<void>;
+  function parseSteamPlayerSummary(summary: any): PlayerEnrichment;
+  function parseGogUserInfo(info: any): PlayerEnrichment;
+
+  // Mod enrichment (opt-in)
+  function fetchWorkshopDetails(modIds: string[], options?: SteamFetchOptions): Promise<Record<string, ModEnrichment & { name: string | null }>>;
+  function enrichModData(sessions: Session[], dataCache?: DataCache | null, options?: SteamFetchOptions): Promise<void>;
+  function clearModCache(): Promise<void>;
+  function parseWorkshopFileDetails(details: any): (ModEnrichment & { name: string | null }) | null;
+
+  // VSR map enrichment (opt-in)
+  function getVsrMapData(mapFile: string, customData?: Record<string, VsrMapData> | null): VsrMapData | null;
+  function enrichSessionsWithVsrData(sessions: Session[], vsrLookup: Record<string, VsrMapData>): void;
+  function buildVsrMapLookup(vsrMapData: VsrMapEntry[] | undefined, vsrMapDataMode?: VsrMapDataMode): Record<string, VsrMapData>;
+
+  // Session watching
+  function createSessionWatcher(options?: SessionWatcherOptions): SessionWatcher;
+  function diffSessions(previousSessions?: Session[], currentSessions?: Session[]): SessionChangeEvent[];
+  function getSessionKey(session: Pick<Session, 'guid' | 'id'>): string;
+  function getPlayerKey(player: Pick<PlayerBase, 'name' | 'rawId'> & { steamId?: string | null; gogId?: string | null }): string;
+
+  // Session state inference
+  function createStateTracker(options?: { rules?: StateRule[] }): StateTracker;
+  function inferSessionState(signals: StateSignals, rules?: StateRule[]): InferredState;
+  function buildStateSignals(current: StateSignalsInput, previous?: (StateSignals & InferredState) | null): StateSignals;
+  const DEFAULT_STATE_RULES: StateRule[];
+
+  // Record & replay
+  function createReplaySource(frames: CaptureFrame[] | string, options?: ReplayOptions): ReplaySource;
+  function readCapture(filePath: string): Promise<CaptureFrame[]>;
+  function parseCapture(text: string): CaptureFrame[];
+
+  // Session queries
+  function query(sessions: Session[], criteria?: QueryCriteria | string, options?: QueryOptions): Session[];
+  /** Throws on terms that aren't field:value and on a non-numeric limit */
+  function parseQuery(queryString: string): QueryCriteria;
+  function matchSession(session: Session, criteria?: QueryCriteria | string): boolean;
+
+  // Storage adapters
+  function createMemoryStorage<T = any>(): StorageAdapter<T>;
+  function createJsonLinesStorage<T = any>(filePath: string, options?: JsonLinesStorageOptions): JsonLinesStorage<T>;
+  function createIndexedDBStorage<T = any>(dbName?: string, storeName?: string): StorageAdapter<T>;
+  function createLocalStorageStorage<T = any>(prefix?: string, store?: Storage): StorageAdapter<T>;
+  /** Shared persistent storage: ~/.cache/bz2api/cache.jsonl in Node.js, localStorage in browsers */
+  function getDefaultCacheStorage(): StorageAdapter;
+
+  // Caching
+  function createCache<T = any>(options?: CacheOptions): Cache<T>;
+
+  // Session history
+  function createSessionRecorder(options?: { storage?: StorageAdapter }): SessionRecorder;
+
+  // Player statistics
+  function createPlayerStats(options?: { maxGapMs?: number }): PlayerStats;
+
+  // Match results
+  function createMatchTracker(): MatchTracker;
+  function inferMatchOutcome(players: Array<Pick<MatchPlayer, 'playerKey' | 'team' | 'score' | 'kills' | 'deaths'>>, session: Pick<Session, 'gameMode' | 'isTeamGame'>): MatchOutcome;
+
+  // Player ratings
+  function createRatingEngine(options?: RatingEngineOptions): RatingEngine;
+  function getModeFamily(match: Pick<MatchResult, 'gameType' | 'gameMode'>): ModeFamily | null;
+
+  // Team balancing
+  function suggestTeamSplits(session: Session, options?: TeamSplitOptions): TeamSplitSuggestions;
+
+  // Session clock
+  function createSessionClock(options?: SessionClockOptions): SessionClock;
+
+  // Discord notifications
+  function createDiscordNotifier(options: DiscordNotifierOptions): DiscordNotifier;
+  function buildDiscordPayload(session: Session, options?: DiscordPayloadOptions): DiscordPayload;
+  function describeLobby(session: Pick<Session, 'isTeamGame' | 'gameMode' | 'gameModeName' | 'gameBalance' | 'maxPlayers' | 'playerCount' | 'mapFile' | 'mapName'>): string;
+
+  // Webhook sinks
+  function createWebhookSink(options: WebhookSinkOptions): WebhookSink;
+  function serializeEvent(event: SessionChangeEvent): SerializedEvent;
+  function describeEvent(event: SessionChangeEvent): string;
+  function renderTemplate(template: unknown, context: object): unknown;
+  function signWebhookBody(body: string, secret: string | CryptoKey): Promise<string>;
+  const WEBHOOK_SIGNATURE_HEADER: 'X-BZ2API-Signature';
+
+  // Utilities
+  function decodeBase64Name(base64String: string | null | undefined): string;
+  function decodeRakNetGuid(encodedGuid: string | null | undefined): bigint | null;
+  function encodeBase64Name(name: string | null | undefined): string;
+  function encodeRakNetGuid(guid: bigint | string | number | null | undefined): string | null;
+  function encodeGameSubType(options: GameSubTypeInput): number;
+  function cleanGogId(rawGogId: string | null | undefined): string | null;
+  function parseGameTypeAndMode(gt: number | undefined, gtd: number | undefined): GameInfo;
+  function parseSessionState(
+    si: number | undefined,
+    players?: StateSignalsInput['players'],
+    context?: { gameTimeMinutes?: number; rules?: StateRule[] }
+  ): SessionStateInfo;
+  function parseNATType(t: number | undefined): NatInfo;
+  function parseTimeLimit(gtm: number | undefined): TimeLimitInfo;
+  function parseModIds(mm: string | null | undefined): string[];
+  function enrichMods(modIds: string[]): SessionMod[];
+  function buildTeams(session: Pick<Session, 'players' | 'isTeamGame' | 'gameMode'> & { maxPlayers?: number; teamNames?: TeamNames }): Team[];
+  function getTeamBalance(teams: Team[]): TeamBalance | null;
+
+  // URL builders
+  function buildSteamProfileUrl(steamId: string | null | undefined): string | null;
+  function buildGogProfileUrl(gogId: string | null | undefined): string | null;
+  function buildWorkshopUrl(modId: string | null | undefined): string | null;
+  function buildSteamJoinUrl(raw: RawSession): string | null;
+
+  // Transport
+  function createTransport(options?: TransportOptions): Transport;
+
+  // ==========================================================================
+  // CONSTANTS
+  // ==========================================================================
+
+  const ServerInfoMode: {
+    readonly UNKNOWN: 0;
+    readonly OPEN_WAITING: 1;
+    readonly CLOSED_WAITING: 2;
+    readonly OPEN_PLAYING: 3;
+    readonly CLOSED_PLAYING: 4;
+    readonly EXITING: 5;
+  };
+
+  const NATType: {
+    readonly NONE: 0;
+    readonly FULL_CONE: 1;
+    readonly ADDRESS_RESTRICTED: 2;
+    readonly PORT_RESTRICTED: 3;
+    readonly SYMMETRIC: 4;
+    readonly UNKNOWN: 5;
+    readonly DETECTION_IN_PROGRESS: 6;
+    readonly SUPPORTS_UPNP: 7;
+  };
+
+  const NATTypeNames: Readonly<Record<number, string>>;
+  const SteamPersonaStateNames: Readonly<Record<number, string>>;
+
+  const GameType: {
+    readonly ALL: 0;
+    readonly DEATHMATCH: 1;
+    readonly STRATEGY: 2;
+  };
+
+  const GameMode: {
+    readonly UNKNOWN: 0;
+    readonly DM: 1;
+    readonly TEAM_DM: 2;
+    readonly KOTH: 3;
+    readonly TEAM_KOTH: 4;
+    readonly CTF: 5;
+    readonly TEAM_CTF: 6;
+    readonly LOOT: 7;
+    readonly TEAM_LOOT: 8;
+    readonly RACE: 9;
+    readonly TEAM_RACE: 10;
+    readonly STRAT: 11;
+    readonly TEAM_STRAT: 12;
+    readonly MPI: 13;
+    readonly GAMEMODE_MAX: 14;
+  };
+
+  const GameModeNames: Readonly<Record<number, string>>;
+
+  const SessionEvent: {
+    readonly SESSION_CREATED: 'session:created';
+    readonly SESSION_CLOSED: 'session:closed';
+    readonly SESSION_STATE_CHANGED: 'session:stateChanged';
+    readonly SESSION_MAP_CHANGED: 'session:mapChanged';
+    readonly PLAYER_JOINED: 'player:joined';
+    readonly PLAYER_LEFT: 'player:left';
+    readonly PLAYER_TEAM_CHANGED: 'player:teamChanged';
+  };
+
+  const VSR_MOD_ID: '1325933293';
+  const VSR_MAP_DATA: Readonly<Record<string, VsrMapData>>;
+
+  // Config
+  const DEFAULT_API_URL: string;
+  const MAP_API_BASE_URL: string;
+  const STEAM_API_BASE_URL: string;
+  const GOG_API_BASE_URL: string;
+  const CORS_PROXIES: string[];
+}
@@ -9,6 +9,8 @@ const BZ2API = (function() {
 
   const DEFAULT_API_URL = 'http://battlezone99mp.webdev.rebellion.co.uk/lobbyServer';
   const MAP_API_BASE_URL = 'https://gamelistassets.iondriver.com/bzcc';
+  const STEAM_API_BASE_URL = 'https://api.steampowered.com';
+  const GOG_API_BASE_URL = 'https://embed.gog.com';
   
   // Common CORS proxies that can be used if direct fetch fails
   // These are tried in order if direct fetch fails due to CORS
@@ -18,23 +20,6 @@ const BZ2API = (function() {
     'https://api.allorigins.win/raw?url=',
   ];
 
-  // Cache for last successful fetch method (in-memory, per session)
-  // null = no cache, 'direct' = direct fetch worked, or proxy URL string
-  let lastSuccessfulMethod = null;
-
-  /**
-   * Get proxy order with cached successful proxy first
-   * @returns {string[]} Array of proxy URLs in optimized order
-   */
-  function getProxyOrder() {
-    if (lastSuccessfulMethod && lastSuccessfulMethod !== 'direct') {
-      const cached = lastSuccessfulMethod;
-      const others = CORS_PROXIES.filter(p => p !== cached);
-      return [cached, ...others];
-    }
-    return [...CORS_PROXIES];
-  }
-
   // VSR (Vet Strategy Recycler) mod ID - special balance mod
   const VSR_MOD_ID = '1325933293';
 
@@ -90,6 +75,19 @@ const BZ2API = (function() {
     [NATType.SUPPORTS_UPNP]: 'UPnP'
   };
 
+  /**
+   * Steam persona states - The personastate field of GetPlayerSummaries
+   */
+  const SteamPersonaStateNames = {
+    0: 'Offline',
+    1: 'Online',
+    2: 'Busy',
+    3: 'Away',
+    4: 'Snooze',
+    5: 'Looking to Trade',
+    6: 'Looking to Play'
+  };
+
   /**
    * Game Type - The gt field values
    */
@@ -226,6 +224,85 @@ const BZ2API = (function() {
     }
   }
 
+  // ============================================================================
+  // ENCODING UTILITIES
+  // ============================================================================
+  // Inverses of the decoders above, for building fixtures and round-trip tests.
+
+  /**
+   * Encode a string as Base64 using cp1252, the inverse of decodeBase64Name
+   * Characters cp1252 can't represent are replaced with '?'.
+   * @param {string} name - Plain string
+   * @returns {string} Base64 encoded string
+   */
+  function encodeBase64Name(name) {
+    if (!name) return '';
+    let binaryString = '';
+    for (const char of String(name)) {
+      const code = char.codePointAt(0);
+      const mapped = CP1252_MAP.indexOf(code);
+      if (mapped >= 0) {
+        binaryString += String.fromCharCode(0x80 + mapped);
+      } else if (code <= 0xFF && !(code >= 0x80 && code <= 0x9F)) {
+        binaryString += char;
+      } else {
+        binaryString += '?';
+      }
+    }
+    return btoa(binaryString);
+  }
+
+  /**
+   * Encode a 64-bit GUID in RakNet's custom Base64, the inverse of decodeRakNetGuid
+   * @param {BigInt|string|number} guid - GUID as BigInt, number or hex string (as in session.guid)
+   * @returns {string|null} Encoded GUID (11 characters) or null if no GUID given
+   */
+  function encodeRakNetGuid(guid) {
+    if (guid === null || guid === undefined || guid === '') return null;
+    let value = typeof guid === 'string' ? BigInt('0x' + guid.replace(/^0x/i, '')) : BigInt(guid);
+    let encoded = '';
+    for (let i = 0; i < 11; i++) {
+      encoded += RAKNET_B64_CHARS[Number(value & BigInt(63))];
+      value >>= BigInt(6);
+    }
+    return encoded;
+  }
+
+  /**
+   * Deathmatch detail flags by parsed game mode (see parseGameTypeAndMode)
+   */
+  const DM_DETAIL_FLAGS = { DM: 0, KOTH: 1, CTF: 2, LOOT: 3, RACE: 5 };
+
+  /**
+   * Encode a game mode into the gtd field, the inverse of parseGameTypeAndMode
+   * @param {Object} options - Parsed game mode fields
+   * @param {string} options.gameMode - Parsed gameMode (DM, TEAM_DM, ..., FFA, STRAT, MPI)
+   * @param {string} options.respawn - 'One', 'Race' or 'Any' (Deathmatch only, default: 'One')
+   * @param {boolean} options.vehicleOnly - Vehicle-only DM/Race (default: false)
+   * @returns {number} gtd value
+   */
+  function encodeGameSubType({ gameMode, respawn = 'One', vehicleOnly = false } = {}) {
+    switch (gameMode) {
+      case 'FFA': return GameMode.STRAT;
+      case 'STRAT': return GameMode.TEAM_STRAT;
+      case 'MPI': return GameMode.MPI;
+    }
+
+    const isTeamGame = typeof gameMode === 'string' && gameMode.startsWith('TEAM_');
+    const baseMode = isTeamGame ? gameMode.slice(5) : gameMode;
+    if (!(baseMode in DM_DETAIL_FLAGS)) {
+      throw new Error(`Cannot encode game mode: ${gameMode}`);
+    }
+
+    let detailed = DM_DETAIL_FLAGS[baseMode];
+    if (vehicleOnly && baseMode === 'DM') detailed = 7;
+    else if (vehicleOnly && baseMode === 'RACE') detailed = 6;
+    if (respawn === 'Race') detailed |= 256;
+    else if (respawn === 'Any') detailed |= 512;
+
+    return detailed * GameMode.GAMEMODE_MAX + GameMode[isTeamGame ? `TEAM_${baseMode}` : baseMode];
+  }
+
   // ============================================================================
   // STEAM JOIN URL UTILITIES
   // ============================================================================
@@ -322,60 +399,255 @@ const BZ2API = (function() {
     return `https://steamcommunity.com/sharedfiles/filedetails/?id=${modId}`;
   }
 
+  // ============================================================================
+  // SESSION STATE INFERENCE
+  // ============================================================================
+  // si alone isn't reliable: the lobby server has been seen reporting a running
+  // game as waiting, while leftover scores in a restarted lobby look like a game
+  // in progress. Each rule looks at the signals for one session and votes for a
+  // state with a weight; the state with the most weight wins and its share of
+  // the total becomes stateConfidence. Signals from earlier polls (stats and game
+  // time progression, player churn) are only available through createStateTracker.
+
+  const WAITING_MODES = [ServerInfoMode.OPEN_WAITING, ServerInfoMode.CLOSED_WAITING];
+
+  /**
+   * Built-in state rules, in evaluation order
+   * A rule is { name, evaluate(signals) } returning { state, weight, reason, stateDetail? }
+   * or null to abstain. Extend or filter this list and pass it as stateRules.
+   */
+  const DEFAULT_STATE_RULES = [
+    {
+      name: 'serverInfoMode',
+      evaluate({ si }) {
+        switch (si) {
+          case ServerInfoMode.OPEN_WAITING:
+            return { state: 'PreGame', stateDetail: 'waiting', weight: 1, reason: `si=${si} (waiting)` };
+          case ServerInfoMode.CLOSED_WAITING:
+            return { state: 'PreGame', stateDetail: 'full', weight: 1, reason: `si=${si} (waiting, full)` };
+          case ServerInfoMode.OPEN_PLAYING:
+            return { state: 'InGame', stateDetail: 'playing', weight: 1, reason: `si=${si} (playing)` };
+          case ServerInfoMode.CLOSED_PLAYING:
+            return { state: 'InGame', stateDetail: 'full', weight: 1, reason: `si=${si} (playing, full)` };
+          case ServerInfoMode.EXITING:
+            return { state: 'PostGame', stateDetail: 'exiting', weight: 1, reason: `si=${si} (exiting)` };
+          default:
+            return { state: 'Unknown', weight: 0.5, reason: `si=${si} is not a known server state` };
+        }
+      }
+    },
+    {
+      // Without history, scores are the best hint that si is lagging behind
+      name: 'inGameStats',
+      evaluate({ si, hasStats, previous }) {
+        if (previous || !hasStats || !WAITING_MODES.includes(si)) return null;
+        return { state: 'InGame', weight: 1.2, reason: 'players have non-zero stats' };
+      }
+    },
+    {
+      name: 'statsProgress',
+      evaluate({ si, statsChanged }) {
+        if (!statsChanged || !WAITING_MODES.includes(si)) return null;
+        return { state: 'InGame', weight: 1.5, reason: 'stats changed since the last poll' };
+      }
+    },
+    {
+      // Scores that don't move are left over from the previous game
+      name: 'staleStats',
+      evaluate({ si, hasStats, statsChanged }) {
+        if (statsChanged !== false || !hasStats || !WAITING_MODES.includes(si)) return null;
+        return { state: 'PreGame', weight: 0.8, reason: 'stats unchanged since the last poll' };
+      }
+    },
+    {
+      name: 'gameTimeProgress',
+      evaluate({ si, gameTimeAdvanced }) {
+        if (!gameTimeAdvanced || si === ServerInfoMode.EXITING) return null;
+        return { state: 'InGame', weight: 0.6, reason: 'game time advanced' };
+      }
+    },
+    {
+      name: 'playerChurn',
+      evaluate({ si, playerCountChanged }) {
+        if (!playerCountChanged || !WAITING_MODES.includes(si)) return null;
+        return { state: 'PreGame', weight: 0.3, reason: 'players joining or leaving' };
+      }
+    }
+  ];
+
+  const DEFAULT_STATE_DETAIL = { PreGame: 'waiting', InGame: 'playing', PostGame: 'exiting', Unknown: 'unknown' };
+
+  /**
+   * Summarize a player's stats for change detection
+   */
+  function statsSignature(player) {
+    return `${player.kills || 0}/${player.deaths || 0}/${player.score || 0}`;
+  }
+
+  /**
+   * Collect the signals state rules look at
+   * @param {Object} current - Current observation
+   * @param {number} current.si - ServerInfoMode value
+   * @param {Array} current.players - Parsed players
+   * @param {number} current.gameTimeMinutes - Raw gtm value
+   * @param {string} current.timestamp - ISO timestamp of the observation
+   * @param {Object|null} previous - Signals (plus inferred state) from the previous poll
+   * @returns {Object} Signals
+   */
+  function buildStateSignals(current, previous = null) {
+    const { si, players = [], gameTimeMinutes, timestamp = null } = current;
+    const stats = new Map(players.map(p => [getPlayerKey(p), statsSignature(p)]));
+
+    let statsChanged = null;
+    let gameTimeAdvanced = null;
+    let playerCountChanged = null;
+    let elapsedMs = null;
+    if (previous) {
+      // Only players seen both times count; a reset to all zeros is not progress
+      statsChanged = [...stats].some(([key, signature]) =>
+        previous.stats.has(key) && previous.stats.get(key) !== signature && signature !== '0/0/0'
+      );
+      if (Number.isInteger(gameTimeMinutes) && Number.isInteger(previous.gameTimeMinutes)) {
+        gameTimeAdvanced = gameTimeMinutes > previous.gameTimeMinutes;
+      }
+      playerCountChanged = players.length !== previous.playerCount;
+      if (timestamp && previous.timestamp) elapsedMs = Date.parse(timestamp) - Date.parse(previous.timestamp);
+    }
+
+    return {
+      si,
+      players,
+      playerCount: players.length,
+      hasStats: players.some(p => p.score || p.kills || p.deaths),
+      stats,
+      gameTimeMinutes,
+      timestamp,
+      previous,
+      elapsedMs,
+      statsChanged,
+      gameTimeAdvanced,
+      playerCountChanged
+    };
+  }
+
+  /**
+   * Run state rules over a set of signals and combine their votes
+   * @param {Object} signals - Signals from buildStateSignals
+   * @param {Object[]} rules - State rules (default: DEFAULT_STATE_RULES)
+   * @returns {Object} { state, stateDetail, stateConfidence, stateReason }
+   */
+  function inferSessionState(signals, rules = DEFAULT_STATE_RULES) {
+    const votes = [];
+    for (const rule of rules) {
+      try {
+        const vote = rule.evaluate(signals);
+        if (vote && vote.weight > 0) votes.push(vote);
+      } catch (e) {
+        // A broken custom rule must not break parsing
+        console.warn(`State rule "${rule.name}" failed:`, e.message);
+      }
+    }
+
+    if (votes.length === 0) {
+      return { state: 'Unknown', stateDetail: 'unknown', stateConfidence: 0, stateReason: 'no rule matched' };
+    }
+
+    const scores = new Map();
+    for (const vote of votes) {
+      scores.set(vote.state, (scores.get(vote.state) || 0) + vote.weight);
+    }
+    // Ties go to the state voted for first, i.e. by the earliest rule
+    let state = null;
+    for (const [candidate, score] of scores) {
+      if (state === null || score > scores.get(state)) state = candidate;
+    }
+
+    const total = votes.reduce((sum, vote) => sum + vote.weight, 0);
+    const winning = votes.filter(vote => vote.state === state);
+    return {
+      state,
+      stateDetail: winning.find(vote => vote.stateDetail)?.stateDetail || DEFAULT_STATE_DETAIL[state] || 'unknown',
+      stateConfidence: Math.round((scores.get(state) / total) * 100) / 100,
+      stateReason: winning.map(vote => vote.reason).join('; ')
+    };
+  }
+
+  /**
+   * Create a tracker that re-infers session state using earlier polls
+   * Feed it every snapshot in order; it overwrites state, stateDetail,
+   * stateConfidence and stateReason on the sessions it is given.
+   * Session watchers use one by default.
+   * @param {Object} options - Tracker options
+   * @param {Object[]} options.rules - State rules (default: DEFAULT_STATE_RULES)
+   * @returns {Object} Tracker with update and reset methods
+   */
+  function createStateTracker(options = {}) {
+    const { rules = DEFAULT_STATE_RULES } = options;
+
+    // Last signals and inferred state keyed by session GUID
+    const history = new Map();
+
+    /**
+     * Feed one snapshot
+     * @param {Object|Object[]} resultOrSessions - fetchSessions() result or array of parsed sessions
+     * @param {string} timestamp - ISO timestamp (default: result.timestamp or now)
+     * @returns {Object[]} The same sessions, updated in place
+     */
+    function update(resultOrSessions, timestamp) {
+      const sessions = Array.isArray(resultOrSessions) ? resultOrSessions : resultOrSessions.sessions;
+      const seenAt = timestamp || resultOrSessions.timestamp || new Date().toISOString();
+      const currentKeys = new Set();
+
+      for (const session of sessions) {
+        const key = getSessionKey(session);
+        currentKeys.add(key);
+
+        const signals = buildStateSignals({
+          si: session.serverInfoMode,
+          players: session.players,
+          gameTimeMinutes: session.gameTimeMinutes,
+          timestamp: seenAt
+        }, history.get(key) || null);
+        const inferred = inferSessionState(signals, rules);
+        Object.assign(session, inferred);
+
+        // Keep one poll of history, not a chain
+        history.set(key, { ...signals, previous: null, ...inferred });
+      }
+
+      for (const key of history.keys()) {
+        if (!currentKeys.has(key)) history.delete(key);
+      }
+      return sessions;
+    }
+
+    return {
+      update,
+      reset: () => history.clear()
+    };
+  }
+
   // ============================================================================
   // FIELD PARSERS
   // ============================================================================
 
   /**
-   * Get session state from ServerInfoMode (si) field
+   * Get session state from ServerInfoMode (si) field and player stats
+   * Runs the state rules on a single poll; see createStateTracker for
+   * inference across polls.
    * @param {number} si - ServerInfoMode value
    * @param {Array} players - Player array to check for in-game stats
+   * @param {Object} context - Extra signals
+   * @param {number} context.gameTimeMinutes - Raw gtm value
+   * @param {Object[]} context.rules - State rules (default: DEFAULT_STATE_RULES)
    * @returns {Object} State information
    */
-  function parseSessionState(si, players = []) {
-    // Check if any players have in-game stats (score/kills/deaths)
-    // This can override PreGame state if game has actually started
-    const hasInGameStats = players.some(p => 
-      (p.score && p.score !== 0) || 
-      (p.kills && p.kills !== 0) || 
-      (p.deaths && p.deaths !== 0)
-    );
-
-    let state, stateDetail;
-    
-    switch (si) {
-      case ServerInfoMode.UNKNOWN:
-        state = 'Unknown';
-        stateDetail = 'unknown';
-        break;
-      case ServerInfoMode.OPEN_WAITING:
-      case ServerInfoMode.CLOSED_WAITING:
-        // Override to InGame if players have stats
-        if (hasInGameStats) {
-          state = 'InGame';
-          stateDetail = 'playing';
-        } else {
-          state = 'PreGame';
-          stateDetail = si === ServerInfoMode.OPEN_WAITING ? 'waiting' : 'full';
-        }
-        break;
-      case ServerInfoMode.OPEN_PLAYING:
-      case ServerInfoMode.CLOSED_PLAYING:
-        state = 'InGame';
-        stateDetail = si === ServerInfoMode.OPEN_PLAYING ? 'playing' : 'full';
-        break;
-      case ServerInfoMode.EXITING:
-        state = 'PostGame';
-        stateDetail = 'exiting';
-        break;
-      default:
-        state = 'Unknown';
-        stateDetail = 'unknown';
-    }
+  function parseSessionState(si, players = [], context = {}) {
+    const { gameTimeMinutes, rules = DEFAULT_STATE_RULES } = context;
+    const signals = buildStateSignals({ si, players, gameTimeMinutes });
 
     return {
-      state,
-      stateDetail,
+      ...inferSessionState(signals, rules),
       serverInfoMode: si,
       hasOpenSlots: si === ServerInfoMode.OPEN_WAITING || si === ServerInfoMode.OPEN_PLAYING
     };
@@ -541,6 +813,566 @@ const BZ2API = (function() {
     return { unlimited: false, minutes: gtm, maxedOut: false };
   }
 
+  // Each team has five slots (1-5 and 6-10)
+  const TEAM_SIZE = 5;
+
+  /**
+   * Group a session's players into teams
+   * Two-team games get teams 1 and 2; MPI gets a single human team. FFA and
+   * Deathmatch modes have no teams, so the result is empty. Hidden players are
+   * left out. The players are the session's own player objects.
+   * @param {Object} session - Parsed session (players, isTeamGame, gameMode, maxPlayers, teamNames)
+   * @returns {Object[]} Teams with players, leader/commander names, totals and open slots
+   */
+  function buildTeams(session) {
+    if (!session.isTeamGame) return [];
+
+    const teamNumbers = session.gameMode === 'MPI' ? [1] : [1, 2];
+    const players = session.players || [];
+    const sessionOpenSlots = Number.isInteger(session.maxPlayers)
+      ? Math.max(0, session.maxPlayers - players.length)
+      : TEAM_SIZE;
+
+    return teamNumbers.map(team => {
+      const members = players
+        .filter(p => p.team === team)
+        .sort((a, b) => a.teamIndex - b.teamIndex);
+      const leader = members.find(p => p.isTeamLeader) || null;
+
+      return {
+        team,
+        name: session.teamNames?.[`team${team}`] || null,
+        players: members,
+        playerCount: members.length,
+        leader: leader ? leader.name : null,
+        commander: leader && leader.isCommander ? leader.name : null,
+        // A team can't take more players than the session has room for
+        openSlots: Math.max(0, Math.min(TEAM_SIZE - members.length, sessionOpenSlots)),
+        score: members.reduce((sum, p) => sum + (p.score || 0), 0),
+        kills: members.reduce((sum, p) => sum + (p.kills || 0), 0),
+        deaths: members.reduce((sum, p) => sum + (p.deaths || 0), 0)
+      };
+    });
+  }
+
+  /**
+   * Compare the two teams of a team game by size and aggregate score
+   * @param {Object[]} teams - Teams from buildTeams
+   * @returns {Object|null} Balance info, or null unless there are exactly two teams
+   */
+  function getTeamBalance(teams) {
+    if (teams.length !== 2) return null;
+
+    const [team1, team2] = teams;
+    const pick = (a, b) => (a === b ? null : a > b ? 1 : 2);
+    const totalScore = team1.score + team2.score;
+    return {
+      sizeDifference: Math.abs(team1.playerCount - team2.playerCount),
+      largerTeam: pick(team1.playerCount, team2.playerCount),
+      scoreDifference: Math.abs(team1.score - team2.score),
+      leadingTeam: pick(team1.score, team2.score),
+      // Team 1's share of the combined score (null before anyone has scored)
+      scoreShare: totalScore > 0 ? Math.round((team1.score / totalScore) * 100) / 100 : null,
+      isEven: team1.playerCount === team2.playerCount
+    };
+  }
+
+  // ============================================================================
+  // RAW PAYLOAD VALIDATION
+  // ============================================================================
+  // The lobby protocol is undocumented, so the raw shapes are pinned down as
+  // JSON Schema. Anything outside them (a new field, a slot number we've never
+  // seen) shows up as a warning on the parsed session instead of a silent
+  // 'Unknown' or NaN.
+
+  /**
+   * JSON Schema for a raw player entry (the pl array)
+   */
+  const RAW_PLAYER_SCHEMA = {
+    type: 'object',
+    required: ['n'],
+    additionalProperties: false,
+    properties: {
+      n: { type: 'string', format: 'base64', description: 'Name, Base64 of cp1252 bytes' },
+      i: { type: 'string', pattern: '^[SG][0-9]+$', description: 'Platform ID prefixed with S (Steam) or G (GOG)' },
+      t: {
+        type: 'integer',
+        anyOf: [{ minimum: 1, maximum: 14 }, { const: 255 }],
+        description: 'Team slot (1-5 team 1, 6-10 team 2, 255 hidden)'
+      },
+      k: { type: 'integer', minimum: 0, description: 'Kills' },
+      d: { type: 'integer', minimum: 0, description: 'Deaths' },
+      s: { type: 'integer', description: 'Score' }
+    }
+  };
+
+  /**
+   * JSON Schema for a raw session entry (the GET array)
+   */
+  const RAW_SESSION_SCHEMA = {
+    type: 'object',
+    required: ['g', 'n'],
+    additionalProperties: false,
+    properties: {
+      g: { type: 'string', pattern: '^[@0-9A-Za-z_-]{1,11}$', description: 'RakNet GUID in custom Base64' },
+      n: { type: 'string', format: 'base64', description: 'Session name, Base64 of cp1252 bytes' },
+      v: { type: 'string', description: 'Game version' },
+      m: { type: 'string', description: 'Map file' },
+      mu: { type: 'string', description: 'Custom map download URL' },
+      d: { type: 'string', description: 'Mod hash' },
+      t: { type: 'integer', minimum: 0, maximum: 7, description: 'NAT type (see NATType)' },
+      gt: { type: 'integer', minimum: 0, maximum: 2, description: 'Game type (see GameType)' },
+      gtd: { type: 'integer', minimum: 0, description: 'Game sub type, bit-packed mode/respawn flags' },
+      si: { type: 'integer', minimum: 0, maximum: 5, description: 'Server info mode (see ServerInfoMode)' },
+      pm: { type: 'integer', minimum: 1, maximum: 14, description: 'Max players' },
+      mm: { type: 'string', pattern: '^[0-9;]*$', description: 'Semicolon-separated Workshop mod IDs' },
+      l: { type: 'integer', enum: [0, 1], description: '1 if locked' },
+      k: { type: 'integer', enum: [0, 1], description: '1 if password protected' },
+      h: { type: 'string', description: 'Message of the day' },
+      tps: { type: 'integer', minimum: 1, description: 'Ticks per second' },
+      pgm: { type: 'integer', minimum: 0, description: 'Max allowed ping' },
+      pg: { type: 'integer', minimum: 0, description: 'Worst ping observed' },
+      gtm: { type: 'integer', minimum: 0, maximum: 255, description: 'Minutes elapsed, capped at 255' },
+      ti: { type: 'integer', minimum: 0, description: 'Time limit in minutes' },
+      ki: { type: 'integer', minimum: 0, description: 'Kill limit' },
+      pl: { type: 'array', items: RAW_PLAYER_SCHEMA, description: 'Players' }
+    }
+  };
+
+  /**
+   * Check whether a string decodes as standard Base64
+   */
+  function isBase64(value) {
+    if (!/^[A-Za-z0-9+/]*={0,2}$/.test(value)) return false;
+    try {
+      atob(value);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Get the JSON Schema type name of a value
+   */
+  function schemaTypeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+  }
+
+  /**
+   * Validate a value against the subset of JSON Schema used by this library
+   * Supports type, enum, const, minimum, maximum, pattern, format ('base64',
+   * 'date-time'), anyOf, required, properties, additionalProperties and items.
+   * @param {*} value - Value to check
+   * @param {Object} schema - JSON Schema
+   * @param {string} path - Path of the value, used in warnings ('' for the root)
+   * @param {Object[]} warnings - Array the warnings are appended to
+   * @returns {Object[]} The warnings array
+   */
+  function validateSchema(value, schema, path = '', warnings = []) {
+    const where = path || 'value';
+    const warn = (keyword, message) => warnings.push({ path: where, keyword, message, value });
+
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      const actual = schemaTypeOf(value);
+      if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+        warn('type', `${where} should be ${types.join(' or ')}, got ${actual}`);
+        return warnings;
+      }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      warn('enum', `${where} should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+    }
+    if ('const' in schema && value !== schema.const) {
+      warn('const', `${where} should be ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+    }
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        warn('minimum', `${where} should be at least ${schema.minimum}, got ${value}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        warn('maximum', `${where} should be at most ${schema.maximum}, got ${value}`);
+      }
+    }
+    if (typeof value === 'string') {
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        warn('pattern', `${where} doesn't match ${schema.pattern}: ${JSON.stringify(value)}`);
+      }
+      if (schema.format === 'base64' && !isBase64(value)) {
+        warn('format', `${where} isn't valid Base64: ${JSON.stringify(value)}`);
+      }
+      if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+        warn('format', `${where} isn't a valid timestamp: ${JSON.stringify(value)}`);
+      }
+    }
+    if (schema.anyOf && !schema.anyOf.some(option => validateSchema(value, option, path).length === 0)) {
+      warn('anyOf', `${where} has an unexpected value: ${JSON.stringify(value)}`);
+    }
+
+    if (schemaTypeOf(value) === 'object') {
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) warn('required', `${path ? `${path}.` : ''}${key} is missing`);
+      }
+      for (const [key, child] of Object.entries(value)) {
+        const childPath = path ? `${path}.${key}` : key;
+        if (schema.properties?.[key]) {
+          if (child !== undefined) validateSchema(child, schema.properties[key], childPath, warnings);
+        } else if (schema.additionalProperties === false) {
+          warnings.push({ path: childPath, keyword: 'additionalProperties', message: `Unknown field ${childPath}`, value: child });
+        } else if (typeof schema.additionalProperties === 'object') {
+          validateSchema(child, schema.additionalProperties, childPath, warnings);
+        }
+      }
+    }
+
+    if (schema.items && Array.isArray(value)) {
+      value.forEach((item, i) => validateSchema(item, schema.items, `${path}[${i}]`, warnings));
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Validate a raw session entry against RAW_SESSION_SCHEMA
+   * Also checks what the schema can't express, e.g. team slots outside 1-10 in
+   * two-team games.
+   * @param {Object} raw - Raw session object from API
+   * @returns {Object[]} Warnings: { path, keyword, message, value }
+   */
+  function validateRawSession(raw) {
+    const warnings = validateSchema(raw, RAW_SESSION_SCHEMA);
+    if (schemaTypeOf(raw) !== 'object' || !Array.isArray(raw.pl)) return warnings;
+
+    const { isTeamGame, gameMode } = parseGameTypeAndMode(raw.gt, raw.gtd);
+    if (isTeamGame && gameMode !== 'MPI') {
+      raw.pl.forEach((p, i) => {
+        const slot = p?.t;
+        // Slots outside 1-14 are already reported by the schema
+        if (Number.isInteger(slot) && slot > 10 && slot <= 14) {
+          warnings.push({
+            path: `pl[${i}].t`,
+            keyword: 'teamSlot',
+            message: `pl[${i}].t should be 1-10 or 255 in a team game, got ${slot}`,
+            value: slot
+          });
+        }
+      });
+    }
+
+    return warnings;
+  }
+
+  // ============================================================================
+  // RESULT SCHEMA
+  // ============================================================================
+  // JSON Schema for everything fetchSessions() returns. The descriptions double
+  // as the JSON explorer tooltips: data/bz2-schema.json is generated from
+  // RESULT_SCHEMA by scripts/build-schema.js, so update it here.
+
+  const RESULT_PLAYER_SCHEMA = {
+    type: 'object',
+    description: 'Individual player object',
+    required: ['name', 'steamId', 'gogId', 'platform', 'profileUrl', 'kills', 'deaths', 'score', 'teamSlot', 'team', 'isTeamLeader', 'isCommander', 'teamIndex', 'isHost', 'isHidden'],
+    additionalProperties: false,
+    properties: {
+      name: { type: 'string', description: "Player's in-game display name (decoded from Base64/cp1252)" },
+      rawId: { type: 'string', description: 'Original player ID string with platform prefix (S=Steam, G=GOG)' },
+      steamId: { type: ['string', 'null'], description: 'Steam 64-bit ID if player is on Steam (null otherwise)' },
+      gogId: { type: ['string', 'null'], description: 'Cleaned GOG Galaxy ID with high bits removed (null otherwise)' },
+      gogIdRaw: { type: 'string', description: 'Original GOG Galaxy ID before cleaning (for debugging)' },
+      platform: { enum: ['Steam', 'GOG', null], description: "Platform identifier: 'Steam' or 'GOG'" },
+      profileUrl: { type: ['string', 'null'], description: "Link to player's Steam or GOG profile page" },
+      kills: { type: ['integer', 'null'], description: "Player's kill count (null if not in-game or hidden)" },
+      deaths: { type: ['integer', 'null'], description: "Player's death count (null if not in-game or hidden)" },
+      score: { type: ['integer', 'null'], description: "Player's total score (null if not in-game or hidden)" },
+      teamSlot: { type: ['integer', 'null'], description: 'Raw team slot number (1-5 = Team 1, 6-10 = Team 2, 255 = hidden)' },
+      team: { enum: [1, 2, null], description: 'Parsed team number: 1 or 2 (null for DM/hidden players)' },
+      isTeamLeader: { type: 'boolean', description: 'True if player is team leader (slot 1 or 6)' },
+      isCommander: { type: 'boolean', description: 'True if player is commander in STRAT/MPI games (same as team leader)' },
+      teamIndex: { type: ['integer', 'null'], description: 'Zero-based index within their team (0-4)' },
+      isHost: { type: 'boolean', description: 'True if this player is the session host (always first in list)' },
+      isHidden: { type: 'boolean', description: 'True if player has no team assignment (spectator or glitched state)' }
+    }
+  };
+
+  const RESULT_MOD_SCHEMA = {
+    type: 'object',
+    description: 'Individual mod object',
+    required: ['id', 'name', 'workshopUrl'],
+    additionalProperties: false,
+    properties: {
+      id: { type: 'string', pattern: '^[0-9]+$', description: "Steam Workshop item ID (or '0' for stock game)" },
+      name: { type: ['string', 'null'], description: "Mod name (only 'Stock' for ID 0, null otherwise - requires API enrichment)" },
+      workshopUrl: { type: ['string', 'null'], description: 'Link to Steam Workshop page for this mod (null for stock)' },
+      title: { type: ['string', 'null'], description: 'Workshop item title (requires enrichModDetails: true)' },
+      previewUrl: { type: ['string', 'null'], description: 'Workshop preview image URL (requires enrichModDetails: true)' },
+      fileSize: { type: ['integer', 'null'], description: 'Workshop file size in bytes (requires enrichModDetails: true)' },
+      updatedAt: { type: ['string', 'null'], format: 'date-time', description: 'ISO 8601 timestamp of the last Workshop update (requires enrichModDetails: true)' },
+      tags: { type: 'array', items: { type: 'string' }, description: 'Workshop tags (requires enrichModDetails: true)' }
+    }
+  };
+
+  const RESULT_WARNING_SCHEMA = {
+    type: 'object',
+    description: 'Validation warning with the raw field path, failed JSON Schema keyword, message and offending value',
+    required: ['path', 'keyword', 'message'],
+    properties: {
+      path: { type: 'string', description: "Path of the offending raw value, e.g. 'pl[2].t'" },
+      keyword: { type: 'string', description: "JSON Schema keyword that failed, or 'teamSlot' for out-of-team slots" },
+      message: { type: 'string', description: 'Human-readable description of the problem' },
+      value: { description: 'The offending raw value' }
+    }
+  };
+
+  const RESULT_TEAM_SCHEMA = {
+    type: 'object',
+    description: 'One team of a team game',
+    required: ['team', 'name', 'players', 'playerCount', 'leader', 'commander', 'openSlots', 'score', 'kills', 'deaths'],
+    additionalProperties: false,
+    properties: {
+      team: { enum: [1, 2], description: 'Team number (MPI has only team 1, the humans)' },
+      name: { type: ['string', 'null'], description: 'Custom team name from teamNames (requires enrichMaps: true)' },
+      players: { type: 'array', items: RESULT_PLAYER_SCHEMA, description: 'Players on this team, in slot order' },
+      playerCount: { type: 'integer', minimum: 0, maximum: 5, description: 'Number of players on this team' },
+      leader: { type: ['string', 'null'], description: 'Name of the player in the team leader slot (slot 1 or 6)' },
+      commander: { type: ['string', 'null'], description: 'Name of the commander in STRAT/MPI games (null otherwise)' },
+      openSlots: { type: 'integer', minimum: 0, maximum: 5, description: 'Free slots out of 5, limited by the room left in the session' },
+      score: { type: 'integer', description: 'Total score of the team' },
+      kills: { type: 'integer', description: 'Total kills of the team' },
+      deaths: { type: 'integer', description: 'Total deaths of the team' }
+    }
+  };
+
+  const RESULT_SESSION_SCHEMA = {
+    type: 'object',
+    description: 'Individual game session object',
+    required: [
+      'id', 'guid', 'name', 'gameType', 'gameTypeName', 'gameMode', 'gameModeName', 'isTeamGame', 'respawn', 'vehicleOnly',
+      'gameBalance', 'gameBalanceName', 'mapUrl', 'players', 'playerCount', 'commanders', 'hiddenPlayers',
+      'teams', 'teamBalance', 'mods', 'primaryMod', 'isStock', 'state', 'stateDetail', 'stateConfidence', 'stateReason', 'hasOpenSlots', 'isLocked', 'hasPassword', 'motd',
+      'nat', 'steamJoinUrl', 'timeLimitMinutes', 'killLimit', 'warnings'
+    ],
+    additionalProperties: false,
+    properties: {
+      id: { type: 'string', description: 'RakNet GUID in custom Base64 encoding (used as NAT punch-through address)' },
+      guid: { type: ['string', 'null'], pattern: '^[0-9a-f]{16}$', description: 'Decoded 64-bit GUID as 16-character hexadecimal string' },
+      name: { type: 'string', description: 'Session name set by the host (decoded from Base64/cp1252)' },
+
+      version: { type: 'string', description: "Game client version (e.g., '2.0.204.1')" },
+      gameType: { enum: ['DM', 'STRAT', 'ALL', null], description: "High-level game type: 'DM' (Deathmatch) or 'STRAT' (Strategy)" },
+      gameTypeName: { enum: ['Deathmatch', 'Strategy', 'All', null], description: 'Human-readable game type name' },
+      gameMode: {
+        enum: ['DM', 'TEAM_DM', 'KOTH', 'TEAM_KOTH', 'CTF', 'TEAM_CTF', 'LOOT', 'TEAM_LOOT', 'RACE', 'TEAM_RACE', 'FFA', 'STRAT', 'MPI', null],
+        description: 'Specific game mode: DM, TEAM_DM, KOTH, CTF, STRAT, MPI, etc.'
+      },
+      gameModeName: { type: ['string', 'null'], description: 'Human-readable game mode name' },
+      isTeamGame: { type: 'boolean', description: 'True if this is a team-based game mode' },
+      respawn: { enum: ['One', 'Race', 'Any'], description: "Respawn rules: 'One' (one life), 'Race' (same race), 'Any' (any race)" },
+      vehicleOnly: { type: 'boolean', description: 'True if players must stay in vehicles (no pilot mode)' },
+      rawGameType: { type: 'integer', description: 'Original gt field value from Rebellion API (1=DM, 2=STRAT)' },
+      rawGameSubType: { type: 'integer', description: 'Original gtd field value encoding mode, team, and respawn flags' },
+
+      gameBalance: { enum: ['VSR', null], description: "Game balance paradigm identifier (e.g., 'VSR' for Vet Strategy Recycler)" },
+      gameBalanceName: { type: ['string', 'null'], description: 'Full name of the game balance paradigm' },
+
+      mapFile: { type: 'string', description: "Map filename without extension (e.g., 'rckcnynvsr')" },
+      mapUrl: { type: ['string', 'null'], description: 'Custom map download URL if provided by host' },
+      mapName: { type: ['string', 'null'], description: 'Human-readable map name from GameListAssets API (requires enrichMaps: true)' },
+      mapDescription: { type: ['string', 'null'], description: 'Map description from GameListAssets API (requires enrichMaps: true)' },
+      mapImageUrl: { type: ['string', 'null'], description: 'URL to map preview image from GameListAssets (requires enrichMaps: true)' },
+      teamNames: {
+        type: 'object',
+        description: 'Team name customizations from map data (requires enrichMaps: true)',
+        required: ['team1', 'team2'],
+        additionalProperties: false,
+        properties: {
+          team1: { type: ['string', 'null'], description: "Custom name for Team 1 (e.g., 'ISDF', 'Naughty')" },
+          team2: { type: ['string', 'null'], description: "Custom name for Team 2 (e.g., 'Scions', 'Nice')" }
+        }
+      },
+
+      vsrPools: { type: ['number', 'null'], description: 'Number of biometal pools on this map (requires enrichVsrMaps: true, null if not a known VSR map)' },
+      vsrLoose: { type: ['number', 'null'], description: 'Amount of loose scrap on this map (-1 = unknown, requires enrichVsrMaps: true)' },
+      vsrAuthor: { type: ['string', 'null'], description: 'Creator of this map (requires enrichVsrMaps: true)' },
+      vsrMapSize: { type: ['number', 'null'], description: 'Map dimensions in game units (e.g., 1024 = 1024x1024, requires enrichVsrMaps: true)' },
+      vsrBaseToBase: { type: ['number', 'null'], description: 'Distance between starting bases in game units (0 = overlapping/unknown, requires enrichVsrMaps: true)' },
+
+      players: { type: 'array', items: RESULT_PLAYER_SCHEMA, description: 'Array of players currently in the session' },
+      playerCount: { type: 'integer', minimum: 0, description: 'Number of players currently in the session' },
+      maxPlayers: { type: 'integer', description: 'Maximum players allowed in the session' },
+      commanders: { type: 'array', items: { type: 'string' }, description: 'Array of commander player names (quick reference for STRAT/MPI)' },
+      hiddenPlayers: { type: 'array', items: { type: 'string' }, description: 'Array of hidden player names (spectators or glitched)' },
+      teams: { type: 'array', items: RESULT_TEAM_SCHEMA, description: 'Players grouped by team (empty for FFA/DM, one human team for MPI)' },
+      teamBalance: {
+        type: ['object', 'null'],
+        description: 'Team size and score comparison (null unless there are two teams)',
+        required: ['sizeDifference', 'largerTeam', 'scoreDifference', 'leadingTeam', 'scoreShare', 'isEven'],
+        additionalProperties: false,
+        properties: {
+          sizeDifference: { type: 'integer', minimum: 0, description: 'Difference in player count between the teams' },
+          largerTeam: { enum: [1, 2, null], description: 'Team with more players (null if even)' },
+          scoreDifference: { type: 'integer', minimum: 0, description: 'Difference in total score between the teams' },
+          leadingTeam: { enum: [1, 2, null], description: 'Team with the higher total score (null if tied)' },
+          scoreShare: { type: ['number', 'null'], minimum: 0, maximum: 1, description: "Team 1's share of the combined score (null before anyone has scored)" },
+          isEven: { type: 'boolean', description: 'True if both teams have the same number of players' }
+        }
+      },
+
+      mods: { type: 'array', items: RESULT_MOD_SCHEMA, description: 'Array of mod objects required for this session' },
+      primaryMod: { type: 'string', description: 'Primary mod ID (first in the mod list)' },
+      modHash: { type: 'string', description: 'Short hash identifying the mod combination' },
+      isStock: { type: 'boolean', description: 'True if no mods are required (vanilla game)' },
+
+      state: { enum: ['PreGame', 'InGame', 'PostGame', 'Unknown'], description: "Current session state: 'PreGame', 'InGame', or 'PostGame'" },
+      stateDetail: { enum: ['waiting', 'full', 'playing', 'exiting', 'unknown'], description: "Detailed state: 'waiting', 'full', 'playing', 'exiting', 'unknown'" },
+      stateConfidence: { type: 'number', minimum: 0, maximum: 1, description: "Share of the state rules' weight that voted for state (0-1)" },
+      stateReason: { type: 'string', description: 'Why state was chosen, from the winning state rules' },
+      serverInfoMode: { type: 'integer', description: 'Raw si field value (1-5) indicating server state' },
+      hasOpenSlots: { type: 'boolean', description: 'True if session has room for more players' },
+
+      isLocked: { type: 'boolean', description: 'True if host has locked the session (no new players allowed)' },
+      hasPassword: { type: 'boolean', description: 'True if session requires a password to join' },
+      motd: { type: ['string', 'null'], description: 'Message of the day set by the host (null if not set)' },
+
+      nat: {
+        type: 'object',
+        description: 'NAT traversal information for the session',
+        required: ['name', 'canDirectConnect', 'isSymmetric'],
+        additionalProperties: false,
+        properties: {
+          id: { enum: Object.values(NATType), description: 'NAT type ID: 0=None, 1=Full Cone, 2=Address Restricted, 3=Port Restricted, 4=Symmetric, 5=Unknown, 7=UPnP' },
+          name: { type: 'string', description: 'Human-readable NAT type name' },
+          canDirectConnect: { type: 'boolean', description: 'True if direct connection is possible (None or UPnP)' },
+          isSymmetric: { type: 'boolean', description: 'True if NAT is symmetric (hardest to connect through)' }
+        }
+      },
+
+      steamJoinUrl: { type: ['string', 'null'], description: 'Steam protocol URL to join directly (null if locked or password-protected)' },
+      tps: { type: 'integer', description: 'Server tick rate (ticks per second, usually 20)' },
+      maxPing: { type: 'integer', description: 'Maximum allowed ping in milliseconds' },
+      worstPingObserved: { type: 'integer', description: 'Highest ping seen among current players' },
+
+      gameTimeMinutes: { type: 'integer', description: 'Time elapsed since session was created (capped at 255)' },
+      timeElapsedMinutes: {
+        anyOf: [{ type: 'integer', maximum: 254 }, { const: '>255' }],
+        description: "Formatted time elapsed (shows '>255' if maxed out)"
+      },
+      timeLimitMinutes: { type: ['integer', 'null'], description: 'Time limit for the match if set (null if unlimited)' },
+      killLimit: { type: ['integer', 'null'], description: 'Kill/score limit for the match if set (null if unlimited)' },
+      warnings: {
+        type: 'array',
+        items: RESULT_WARNING_SCHEMA,
+        description: "Raw fields that didn't match the expected lobby protocol (empty if the payload looked normal)"
+      },
+
+      _raw: { type: 'object', description: 'Raw API data (for debugging)' }
+    }
+  };
+
+  const RESULT_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'BZ2API fetchSessions() result',
+    description: 'BZ2 API Field Schema - Types and descriptions for all parsed fields',
+    type: 'object',
+    required: ['sessions', 'timestamp', 'dataCache'],
+    properties: {
+      timestamp: { type: 'string', format: 'date-time', description: 'ISO 8601 timestamp when the data was fetched' },
+      enrichedMaps: { type: 'boolean', description: 'True if map data enrichment was enabled for this fetch' },
+      enrichedVsrMaps: { type: 'boolean', description: 'True if VSR map metadata enrichment was enabled for this fetch' },
+      enrichedModDetails: { type: 'boolean', description: 'True if Steam Workshop mod enrichment was enabled for this fetch' },
+      enrichedPlayers: { type: 'boolean', description: 'True if Steam/GOG player enrichment was enabled for this fetch' },
+
+      sessions: { type: 'array', items: RESULT_SESSION_SCHEMA, description: 'Array of active multiplayer game sessions' },
+      rawResponse: { type: 'object', description: 'Original lobby server response' },
+      rejectedSessions: {
+        type: 'array',
+        description: 'Sessions dropped by strict mode (always empty otherwise)',
+        items: {
+          type: 'object',
+          required: ['warnings', 'raw'],
+          properties: {
+            id: { type: 'string', description: 'Raw g field of the rejected session' },
+            warnings: { type: 'array', items: RESULT_WARNING_SCHEMA, description: 'Why the session was rejected' },
+            raw: { type: 'object', description: 'Raw session data as received' }
+          }
+        }
+      },
+
+      dataCache: {
+        type: 'object',
+        description: 'Consolidated cache of unique players and mods across all sessions',
+        required: ['players', 'mods'],
+        properties: {
+          players: {
+            type: 'object',
+            description: 'Map of player IDs to player metadata',
+            additionalProperties: {
+              type: 'object',
+              description: 'Player metadata object',
+              required: ['id', 'steamId', 'gogId', 'platform', 'profileUrl'],
+              additionalProperties: false,
+              properties: {
+                id: { type: 'string', description: "Player's platform ID (Steam or GOG)" },
+                steamId: { type: ['string', 'null'], description: 'Steam 64-bit ID (null if GOG player)' },
+                gogId: { type: ['string', 'null'], description: 'GOG Galaxy ID (null if Steam player)' },
+                platform: { enum: ['Steam', 'GOG', null], description: "Platform identifier: 'Steam' or 'GOG'" },
+                profileUrl: { type: ['string', 'null'], description: "Link to player's Steam or GOG profile page" },
+                displayName: { type: ['string', 'null'], description: 'Steam persona name or GOG username (requires enrichPlayers: true)' },
+                avatar: { type: ['string', 'null'], description: 'Full-size avatar image URL (requires enrichPlayers: true)' },
+                countryCode: { type: ['string', 'null'], description: 'ISO 3166-1 country code if public on the Steam profile (null for GOG, requires enrichPlayers: true)' },
+                onlineStatus: {
+                  type: ['integer', 'null'],
+                  description: 'Steam persona state: 0=Offline, 1=Online, 2=Busy, 3=Away, 4=Snooze, 5=Trading, 6=Playing (requires enrichPlayers: true)'
+                },
+                onlineStatusName: { type: ['string', 'null'], description: 'Human-readable Steam persona state (requires enrichPlayers: true)' },
+                accountCreated: {
+                  type: ['string', 'null'],
+                  format: 'date-time',
+                  description: 'ISO 8601 timestamp the Steam/GOG account was created, if public (requires enrichPlayers: true)'
+                }
+              }
+            }
+          },
+          mods: {
+            type: 'object',
+            description: 'Map of mod IDs to mod metadata',
+            additionalProperties: {
+              type: 'object',
+              description: 'Mod metadata object',
+              required: ['id', 'name', 'workshopUrl'],
+              additionalProperties: false,
+              properties: {
+                id: { type: 'string', description: "Steam Workshop item ID (or '0' for stock)" },
+                name: { type: ['string', 'null'], description: "Mod name (only 'Stock' for ID 0, null otherwise)" },
+                workshopUrl: { type: ['string', 'null'], description: 'Link to Steam Workshop page (null for stock)' },
+                title: { type: ['string', 'null'], description: 'Workshop item title (requires enrichModDetails: true)' },
+                previewUrl: { type: ['string', 'null'], description: 'Workshop preview image URL (requires enrichModDetails: true)' },
+                fileSize: { type: ['integer', 'null'], description: 'Workshop file size in bytes (requires enrichModDetails: true)' },
+                updatedAt: { type: ['string', 'null'], format: 'date-time', description: 'ISO 8601 timestamp of the last Workshop update (requires enrichModDetails: true)' },
+                tags: { type: 'array', items: { type: 'string' }, description: 'Workshop tags (requires enrichModDetails: true)' }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+
+  /**
+   * Validate a fetchSessions() result (or anything shaped like one) against RESULT_SCHEMA
+   * Meant for tests and for catching drift between the parser and the schema.
+   * @param {Object} result - fetchSessions() result
+   * @returns {Object[]} Warnings: { path, keyword, message, value } (empty if valid)
+   */
+  function validateResult(result) {
+    return validateSchema(result, RESULT_SCHEMA);
+  }
+
   // ============================================================================
   // MAIN PARSERS
   // ============================================================================
@@ -639,20 +1471,35 @@ const BZ2API = (function() {
   /**
    * Parse a session object from raw API data
    * @param {Object} raw - Raw session object from API
+   * @param {Object} options - Parse options
+   * @param {boolean} options.strict - Throw instead of attaching warnings (default: false)
+   * @param {Object[]} options.stateRules - State rules (default: DEFAULT_STATE_RULES)
    * @returns {Object} Parsed session object
    */
-  function parseSession(raw) {
+  function parseSession(raw, options = {}) {
+    const { strict = false, stateRules = DEFAULT_STATE_RULES } = options;
+
+    const warnings = validateRawSession(raw);
+    if (strict && warnings.length > 0) {
+      const more = warnings.length > 1 ? ` (+${warnings.length - 1} more)` : '';
+      const error = new Error(`Invalid session ${raw?.g}: ${warnings[0].message}${more}`);
+      error.warnings = warnings;
+      throw error;
+    }
+
     // Parse game type and mode first (needed for player parsing)
     const gameInfo = parseGameTypeAndMode(raw.gt, raw.gtd);
     const isMPI = gameInfo.gameMode === 'MPI';
-    
+
     // Parse players with game context (pass gameMode for commander detection)
-    const players = (raw.pl || []).map((p, i) => 
+    // Malformed entries are already reported in warnings
+    const rawPlayers = Array.isArray(raw.pl) ? raw.pl.filter(p => schemaTypeOf(p) === 'object') : [];
+    const players = rawPlayers.map((p, i) =>
       parsePlayer(p, i, gameInfo.isTeamGame, isMPI, gameInfo.gameMode)
     );
     
     // Parse session state (needs players for stat checking)
-    const stateInfo = parseSessionState(raw.si, players);
+    const stateInfo = parseSessionState(raw.si, players, { gameTimeMinutes: raw.gtm, rules: stateRules });
     
     // Parse other fields
     const natInfo = parseNATType(raw.t);
@@ -678,6 +1525,9 @@ const BZ2API = (function() {
     
     // Detect VSR (Vet Strategy Recycler) balance mod
     const isVSR = modIds.includes(VSR_MOD_ID);
+
+    // Team view (names are filled in by map enrichment)
+    const teams = buildTeams({ ...gameInfo, players, maxPlayers: raw.pm });
     
     return {
       // Identity
@@ -703,6 +1553,8 @@ const BZ2API = (function() {
       maxPlayers: raw.pm,
       commanders,
       hiddenPlayers,
+      teams,
+      teamBalance: getTeamBalance(teams),
       
       // Mods
       mods,
@@ -730,16 +1582,89 @@ const BZ2API = (function() {
       timeElapsedMinutes: timeLimitInfo.maxedOut ? '>255' : raw.gtm,
       timeLimitMinutes: raw.ti || null,
       killLimit: raw.ki || null,
-      
+
+      // Anything in the raw data that didn't match RAW_SESSION_SCHEMA
+      warnings,
+
       // Preserve raw data for debugging
       _raw: raw
     };
   }
 
   /**
-   * Add cache-busting parameter to URL to avoid stale proxy responses
-   * @param {string} url - The URL to modify
-   * @returns {string} URL with cache-busting parameter
+   * Build a raw API session object from a parsed session, the inverse of parseSession
+   * Uses the parsed fields only (not _raw), so parseSession(buildRawSession(s))
+   * reproduces s. Useful for fixtures and mock servers.
+   * @param {Object} session - Parsed session (or any object with the same fields)
+   * @returns {Object} Raw session object
+   */
+  function buildRawSession(session) {
+    let si = session.serverInfoMode;
+    if (si === undefined || si === null) {
+      const isOpen = session.hasOpenSlots ?? (session.playerCount ?? session.players?.length ?? 0) < session.maxPlayers;
+      si = {
+        PreGame: isOpen ? ServerInfoMode.OPEN_WAITING : ServerInfoMode.CLOSED_WAITING,
+        InGame: isOpen ? ServerInfoMode.OPEN_PLAYING : ServerInfoMode.CLOSED_PLAYING,
+        PostGame: ServerInfoMode.EXITING
+      }[session.state] ?? ServerInfoMode.UNKNOWN;
+    }
+
+    const modIds = (session.mods || []).map(mod => (typeof mod === 'string' ? mod : mod.id));
+
+    // Unknown game types and modes parse to null; encode them as 0 rather than
+    // guessing, unless the original raw values were kept
+    const typeName = session.gameType
+      ?? (session.gameMode ? (['FFA', 'STRAT', 'MPI'].includes(session.gameMode) ? 'STRAT' : 'DM') : null);
+    const gameType = { DM: GameType.DEATHMATCH, STRAT: GameType.STRATEGY }[typeName] ?? GameType.ALL;
+    const gameSubType = session.gameMode ? encodeGameSubType(session) : 0;
+
+    const raw = {
+      g: session.id || encodeRakNetGuid(session.guid),
+      n: encodeBase64Name(session.name),
+      v: session.version,
+      m: session.mapFile,
+      mu: session.mapUrl || undefined,
+      d: session.modHash,
+      t: session.nat?.id,
+      gt: session.rawGameType ?? gameType,
+      gtd: session.rawGameSubType ?? gameSubType,
+      si,
+      pm: session.maxPlayers,
+      mm: modIds.length > 0 ? modIds.join(';') : undefined,
+      l: session.isLocked ? 1 : undefined,
+      k: session.hasPassword ? 1 : undefined,
+      h: session.motd || undefined,
+      tps: session.tps,
+      pgm: session.maxPing,
+      pg: session.worstPingObserved,
+      gtm: session.gameTimeMinutes,
+      ti: session.timeLimitMinutes || undefined,
+      ki: session.killLimit || undefined,
+      pl: (session.players || []).map(player => {
+        let rawId = player.rawId;
+        if (!rawId && player.steamId) rawId = `S${player.steamId}`;
+        if (!rawId && (player.gogIdRaw || player.gogId)) rawId = `G${player.gogIdRaw || player.gogId}`;
+        return {
+          n: encodeBase64Name(player.name),
+          i: rawId,
+          t: player.teamSlot ?? undefined,
+          k: player.kills ?? undefined,
+          d: player.deaths ?? undefined,
+          s: player.score ?? undefined
+        };
+      })
+    };
+
+    // Drop absent fields so the payload looks like the lobby's
+    const prune = obj => Object.fromEntries(Object.entries(obj).filter(([, value]) => value !== undefined));
+    raw.pl = raw.pl.map(prune);
+    return prune(raw);
+  }
+
+  /**
+   * Add cache-busting parameter to URL to avoid stale proxy responses
+   * @param {string} url - The URL to modify
+   * @returns {string} URL with cache-busting parameter
    */
   function addCacheBuster(url) {
     const separator = url.includes('?') ? '&' : '?';
@@ -747,76 +1672,383 @@ const BZ2API = (function() {
   }
 
   // ============================================================================
-  // MAP DATA ENRICHMENT (OPT-IN)
+  // TRANSPORT
   // ============================================================================
 
   /**
-   * Cache for map data to avoid repeated API calls
+   * Create a transport that performs HTTP requests for the library
+   * Handles timeouts, retries with exponential backoff and the CORS proxy
+   * fallback chain. Each transport remembers its own last successful method.
+   * @param {Object} options - Transport options
+   * @param {Function} options.fetch - fetch implementation (default: global fetch)
+   * @param {string[]} options.proxies - CORS proxy URL prefixes (default: CORS_PROXIES)
+   * @param {boolean} options.useProxies - Fall back to proxies when direct fetch fails (default: true)
+   * @param {number} options.timeout - Per-request timeout in ms, 0 to disable (default: 15000)
+   * @param {number} options.retries - Extra attempts per URL on network errors/5xx (default: 0)
+   * @param {number} options.retryDelay - Base backoff delay in ms, doubled each retry (default: 500)
+   * @returns {Object} Transport with request, fetchJson, getProxyOrder and reset methods
    */
-  const mapDataCache = new Map();
+  function createTransport(options = {}) {
+    const {
+      fetch: fetchImpl = (...args) => globalThis.fetch(...args),
+      proxies = CORS_PROXIES,
+      useProxies = true,
+      timeout = 15000,
+      retries = 0,
+      retryDelay = 500
+    } = options;
 
-  /**
-   * Fetch map metadata from GameListAssets API
-   * @param {string} mapFile - Map filename (without extension)
-   * @param {string} modId - Primary mod ID (or '0' for stock)
-   * @returns {Promise<Object|null>} Map data or null if fetch fails
-   */
-  async function fetchMapData(mapFile, modId = '0') {
-    if (!mapFile) return null;
-    
-    // Check cache first
-    const cacheKey = `${modId}:${mapFile}`;
-    if (mapDataCache.has(cacheKey)) {
-      return mapDataCache.get(cacheKey);
+    // Cache for last successful fetch method
+    // null = no cache, 'direct' = direct fetch worked, or proxy URL string
+    let lastSuccessfulMethod = null;
+
+    /**
+     * Get proxy order with cached successful proxy first
+     * @param {string[]} proxyList - Proxies to order (default: transport proxies)
+     * @returns {string[]} Array of proxy URLs in optimized order
+     */
+    function getProxyOrder(proxyList = proxies) {
+      if (lastSuccessfulMethod && lastSuccessfulMethod !== 'direct' && proxyList.includes(lastSuccessfulMethod)) {
+        const cached = lastSuccessfulMethod;
+        const others = proxyList.filter(p => p !== cached);
+        return [cached, ...others];
+      }
+      return [...proxyList];
     }
 
-    const apiUrl = `${MAP_API_BASE_URL}/getdata.php?map=${encodeURIComponent(mapFile)}&mod=${encodeURIComponent(modId)}`;
-    
-    // Try direct fetch first
-    try {
-      const response = await fetch(apiUrl);
-      if (response.ok) {
-        const data = await response.json();
-        const result = parseMapData(data, mapFile);
-        mapDataCache.set(cacheKey, result);
-        return result;
+    /**
+     * Perform a single fetch with a timeout
+     * @param {string} url - URL to fetch
+     * @param {Object} init - fetch init options
+     * @returns {Promise<Response>} fetch Response
+     */
+    async function fetchWithTimeout(url, init = {}) {
+      if (!timeout || typeof AbortController === 'undefined') {
+        return fetchImpl(url, init);
+      }
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+      const onCallerAbort = () => controller.abort();
+      init.signal?.addEventListener('abort', onCallerAbort);
+
+      try {
+        return await fetchImpl(url, { ...init, signal: controller.signal });
+      } catch (e) {
+        if (controller.signal.aborted && !init.signal?.aborted) {
+          throw new Error(`Request timed out after ${timeout}ms`);
+        }
+        throw e;
+      } finally {
+        clearTimeout(timer);
+        init.signal?.removeEventListener('abort', onCallerAbort);
       }
-    } catch (directError) {
-      // Try CORS proxies
-      for (const proxy of CORS_PROXIES) {
+    }
+
+    /**
+     * Fetch a URL, retrying network errors and 5xx responses with backoff
+     * 4xx responses are returned as-is (retrying won't help).
+     * @param {string} url - URL to fetch
+     * @param {Object} init - fetch init options
+     * @returns {Promise<Response>} fetch Response
+     */
+    async function request(url, init = {}) {
+      let lastError;
+      for (let attempt = 0; attempt <= retries; attempt++) {
+        if (attempt > 0) {
+          await new Promise(resolve => setTimeout(resolve, retryDelay * 2 ** (attempt - 1)));
+        }
         try {
-          const url = proxy + encodeURIComponent(apiUrl);
-          const response = await fetch(url);
-          if (response.ok) {
-            const data = await response.json();
-            const result = parseMapData(data, mapFile);
-            mapDataCache.set(cacheKey, result);
-            return result;
+          const response = await fetchWithTimeout(url, init);
+          if (response.status >= 500 && attempt < retries) {
+            lastError = new Error(`HTTP ${response.status}`);
+            continue;
           }
+          return response;
+        } catch (e) {
+          if (init.signal?.aborted) throw e;
+          lastError = e;
+        }
+      }
+      throw lastError;
+    }
+
+    /**
+     * Fetch JSON from a URL, trying CORS proxies if direct fetch fails
+     * @param {string} url - Target URL
+     * @param {Object} requestOptions - Request options
+     * @param {string} requestOptions.proxyUrl - Use only this proxy (no fallback, no caching)
+     * @param {string[]} requestOptions.proxies - Override the transport proxy list for this request
+     * @param {boolean} requestOptions.useProxies - Override proxy fallback for this request
+     * @param {Object} requestOptions.init - fetch init options (method, headers, body...)
+     * @param {Function} requestOptions.onStatus - Optional callback for status updates
+     * @returns {Promise<Object>} Parsed JSON response
+     */
+    async function fetchJson(url, requestOptions = {}) {
+      const {
+        proxyUrl,
+        proxies: proxyList = proxies,
+        useProxies: allowProxies = useProxies,
+        init = {},
+        onStatus
+      } = requestOptions;
+
+      // If a specific proxy is provided, use it (no caching)
+      if (proxyUrl) {
+        const response = await request(proxyUrl + encodeURIComponent(url), init);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      }
+
+      // Try direct fetch first
+      onStatus?.({ step: 'direct', status: 'pending', message: 'Connecting to lobby server...' });
+      try {
+        const response = await request(url, init);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        lastSuccessfulMethod = 'direct';
+        onStatus?.({ step: 'direct', status: 'success', message: 'Connected directly' });
+        return data;
+      } catch (directError) {
+        if (!allowProxies || proxyList.length === 0) {
+          onStatus?.({ step: 'error', status: 'failed', message: 'Connection failed' });
+          throw directError;
+        }
+        onStatus?.({ step: 'direct', status: 'failed', message: 'Direct connection blocked (CORS)' });
+      }
+
+      // Try proxies in optimized order (cached successful proxy first)
+      for (const proxy of getProxyOrder(proxyList)) {
+        const proxyName = new URL(proxy).hostname;
+        onStatus?.({ step: 'proxy', status: 'pending', proxy: proxyName, message: `Trying ${proxyName}...` });
+        try {
+          const response = await request(proxy + encodeURIComponent(url), init);
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          const data = await response.json();
+          lastSuccessfulMethod = proxy;
+          onStatus?.({ step: 'proxy', status: 'success', proxy: proxyName, message: `Connected via ${proxyName}` });
+          return data;
         } catch (proxyError) {
-          // Continue to next proxy
+          onStatus?.({ step: 'proxy', status: 'failed', proxy: proxyName, message: `${proxyName} failed` });
         }
       }
+
+      onStatus?.({ step: 'error', status: 'failed', message: 'All connection attempts failed' });
+      throw new Error('All fetch attempts failed. CORS may be blocking requests.');
     }
-    
-    // Cache null result to avoid repeated failed requests
-    mapDataCache.set(cacheKey, null);
-    return null;
+
+    return {
+      request,
+      fetchJson,
+      getProxyOrder,
+      getLastSuccessfulMethod: () => lastSuccessfulMethod,
+      reset: () => { lastSuccessfulMethod = null; },
+      proxies: [...proxies],
+      useProxies
+    };
+  }
+
+  /**
+   * Convert a Retry-After header (delay in seconds or an HTTP date) to milliseconds
+   * @param {string|null} value - Header value
+   * @param {number} now - Current time in ms (default: Date.now())
+   * @returns {number|null} Delay in ms, or null if the header is missing or invalid
+   */
+  function parseRetryAfter(value, now = Date.now()) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+  }
+
+  /**
+   * Send a JSON body, retrying network errors, 429 and 5xx with backoff
+   * Retry-After is honored when the server sends it. Used by the outbound
+   * integrations (webhook sinks, Discord) so they share one retry policy.
+   * @param {Object} transport - Transport to send through
+   * @param {string} url - Target URL
+   * @param {string} text - Serialized JSON body
+   * @param {Object} options - Request options
+   * @param {string} options.method - HTTP method (default: 'POST')
+   * @param {Object} options.headers - Extra request headers
+   * @param {number} options.retries - Extra attempts (default: 3)
+   * @param {number} options.retryDelay - Base backoff delay in ms, doubled each retry (default: 1000)
+   * @returns {Promise<Response>} The successful response
+   */
+  async function sendJson(transport, url, text, options = {}) {
+    const { method = 'POST', headers = {}, retries = 3, retryDelay = 1000 } = options;
+    const init = { method, headers: { 'Content-Type': 'application/json', ...headers }, body: text };
+
+    for (let attempt = 0; ; attempt++) {
+      let response = null;
+      let error = null;
+      try {
+        response = await transport.request(url, init);
+      } catch (e) {
+        error = e;
+      }
+      if (response?.ok) return response;
+
+      const retryable = error || response.status === 429 || response.status >= 500;
+      if (!retryable || attempt >= retries) {
+        throw error || new Error(`HTTP ${response.status}`);
+      }
+      const retryAfter = parseRetryAfter(response?.headers?.get('Retry-After'));
+      await new Promise(resolve => setTimeout(resolve, retryAfter ?? retryDelay * 2 ** attempt));
+    }
+  }
+
+  // ============================================================================
+  // RECORD & REPLAY
+  // ============================================================================
+  // A capture is a list of frames: { timestamp, response } where response is the
+  // raw { GET: [...] } lobby payload. On disk it's one JSON frame per line.
+
+  /**
+   * Append a frame to a capture target
+   * @param {string|Function} target - Capture file path (Node.js) or callback receiving the frame
+   * @param {Object} frame - { timestamp, response }
+   */
+  async function appendCaptureFrame(target, frame) {
+    try {
+      if (typeof target === 'function') {
+        await target(frame);
+      } else if (typeof require === 'function') {
+        await require('fs').promises.appendFile(target, JSON.stringify(frame) + '\n');
+      } else {
+        throw new Error('recording to a file requires Node.js; pass a callback instead');
+      }
+    } catch (e) {
+      console.warn('Failed to record lobby response:', e.message);
+    }
+  }
+
+  /**
+   * Parse capture text (one JSON frame per line) into frames
+   * @param {string} text - Capture file contents
+   * @returns {Array} Frames sorted by timestamp
+   */
+  function parseCapture(text) {
+    const frames = [];
+    for (const line of String(text).split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const frame = JSON.parse(line);
+        if (frame && frame.response) frames.push(frame);
+      } catch (e) {
+        console.warn('Skipping corrupt capture line');
+      }
+    }
+    return frames.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  }
+
+  /**
+   * Read a capture file (Node.js only)
+   * @param {string} filePath - Path written by fetchRaw({ record })
+   * @returns {Promise<Array>} Frames sorted by timestamp
+   */
+  async function readCapture(filePath) {
+    if (typeof require !== 'function') {
+      throw new Error('readCapture requires Node.js');
+    }
+    return parseCapture(await require('fs').promises.readFile(filePath, 'utf8'));
+  }
+
+  /**
+   * Create a replay source that serves captured frames in place of the lobby server
+   * Pass it as fetchSessions({ source }) or createSessionWatcher({ source }).
+   * The replay clock starts on the first fetch and runs at `speed` times real time;
+   * each fetch returns the latest frame recorded at or before the replay clock.
+   * With speed: Infinity every fetch returns the next frame instead.
+   * @param {Array|string} frames - Frames or capture file text
+   * @param {Object} options - Replay options
+   * @param {number} options.speed - Playback speed multiplier (default: 1)
+   * @param {boolean} options.loop - Start over after the last frame (default: false)
+   * @param {Function} options.now - Clock function, for tests (default: Date.now)
+   * @returns {Object} Source with fetchRaw, getTimestamp, getFrameIndex, isDone and reset
+   */
+  function createReplaySource(frames, options = {}) {
+    const { speed = 1, loop = false, now = Date.now } = options;
+    const capture = typeof frames === 'string' ? parseCapture(frames) : frames;
+    if (!Array.isArray(capture) || capture.length === 0) {
+      throw new Error('createReplaySource requires at least one frame');
+    }
+    if (!(speed > 0)) {
+      throw new Error('speed must be a positive number');
+    }
+
+    const times = capture.map(frame => Date.parse(frame.timestamp));
+    const duration = times[times.length - 1] - times[0];
+    let startedAt = null;
+    let index = -1;
+    let done = false;
+
+    function nextIndex() {
+      if (speed === Infinity) {
+        if (index < capture.length - 1) return index + 1;
+        return loop ? 0 : index;
+      }
+
+      if (startedAt === null) startedAt = now();
+      let offset = (now() - startedAt) * speed;
+      if (loop && duration > 0) offset %= duration + 1;
+
+      let i = 0;
+      while (i < capture.length - 1 && times[i + 1] - times[0] <= offset) i++;
+      return i;
+    }
+
+    /**
+     * Serve the current frame's raw response (same shape as fetchRaw)
+     * @param {Object} fetchOptions - Only onStatus is used
+     * @returns {Promise<Object>} Raw API response
+     */
+    async function fetchRaw(fetchOptions = {}) {
+      index = nextIndex();
+      done = !loop && index === capture.length - 1;
+      fetchOptions.onStatus?.({
+        step: 'replay',
+        status: 'success',
+        message: `Replaying frame ${index + 1} of ${capture.length}`
+      });
+      return capture[index].response;
+    }
+
+    function reset() {
+      startedAt = null;
+      index = -1;
+      done = false;
+    }
+
+    return {
+      fetchRaw,
+      getTimestamp: () => (index >= 0 ? capture[index].timestamp : null),
+      getFrameIndex: () => index,
+      isDone: () => done,
+      reset,
+      frames: capture
+    };
   }
 
+  // ============================================================================
+  // MAP DATA ENRICHMENT (OPT-IN)
+  // ============================================================================
+
   /**
    * Parse raw map API response into structured data
    * @param {Object} data - Raw API response
    * @param {string} mapFile - Original map filename
+   * @param {string} mapApiBaseUrl - Base URL used to resolve image paths
    * @returns {Object} Parsed map data
    */
-  function parseMapData(data, mapFile) {
+  function parseMapData(data, mapFile, mapApiBaseUrl = MAP_API_BASE_URL) {
     if (!data) return null;
     
     return {
       name: data.title || null,
       description: data.description || null,
-      imageUrl: data.image ? `${MAP_API_BASE_URL}/${data.image}` : null,
+      imageUrl: data.image ? `${mapApiBaseUrl}/${data.image}` : null,
       mapFile: mapFile,
       teamNames: {
         team1: data.netVars?.svar1 || null,
@@ -827,69 +2059,6 @@ const BZ2API = (function() {
     };
   }
 
-  /**
-   * Enrich sessions with map data from GameListAssets API
-   * Fetches map data in parallel for all unique maps
-   * @param {Object[]} sessions - Array of parsed sessions
-   * @returns {Promise<void>}
-   */
-  async function enrichSessionsWithMapData(sessions) {
-    // Collect unique map/mod combinations
-    const mapRequests = new Map();
-    
-    for (const session of sessions) {
-      const key = `${session.primaryMod}:${session.mapFile}`;
-      if (!mapRequests.has(key) && session.mapFile) {
-        mapRequests.set(key, {
-          mapFile: session.mapFile,
-          modId: session.primaryMod || '0'
-        });
-      }
-    }
-    
-    // Fetch all map data in parallel
-    const mapDataPromises = Array.from(mapRequests.values()).map(
-      ({ mapFile, modId }) => fetchMapData(mapFile, modId)
-    );
-    
-    await Promise.all(mapDataPromises);
-    
-    // Apply map data to sessions
-    for (const session of sessions) {
-      const cacheKey = `${session.primaryMod}:${session.mapFile}`;
-      const mapData = mapDataCache.get(cacheKey);
-      
-      if (mapData) {
-        session.mapName = mapData.name;
-        session.mapDescription = mapData.description;
-        session.mapImageUrl = mapData.imageUrl;
-        session.teamNames = mapData.teamNames;
-        
-        // Enrich mod names from map data if available
-        if (mapData.mods) {
-          for (const mod of session.mods) {
-            if (mapData.mods[mod.id] && !mod.name) {
-              mod.name = mapData.mods[mod.id].name || mapData.mods[mod.id].workshop_name || null;
-            }
-          }
-        }
-      } else {
-        // Set defaults for non-enriched sessions
-        session.mapName = null;
-        session.mapDescription = null;
-        session.mapImageUrl = null;
-        session.teamNames = { team1: null, team2: null };
-      }
-    }
-  }
-
-  /**
-   * Clear the map data cache
-   */
-  function clearMapCache() {
-    mapDataCache.clear();
-  }
-
   // ============================================================================
   // VSR MAP ENRICHMENT (OPT-IN)
   // ============================================================================
@@ -965,67 +2134,6 @@ const BZ2API = (function() {
     }
   }
 
-  /**
-   * Attempt to fetch from the API, trying CORS proxies if direct fetch fails
-   * @param {Object} options - Fetch options
-   * @param {string} options.proxyUrl - Optional specific proxy URL to use
-   * @param {string} options.apiUrl - API URL (defaults to lobby server)
-   * @param {boolean} options.bustCache - Add cache-busting param (default: true)
-   * @param {Function} options.onStatus - Optional callback for status updates
-   * @returns {Promise<Object>} Raw API response
-   */
-  async function fetchRaw(options = {}) {
-    const { proxyUrl, apiUrl = DEFAULT_API_URL, bustCache = true, onStatus } = options;
-    
-    // Add cache-busting to the target URL
-    const targetUrl = bustCache ? addCacheBuster(apiUrl) : apiUrl;
-    
-    // If a specific proxy is provided, use it (no caching)
-    if (proxyUrl) {
-      const url = proxyUrl + encodeURIComponent(targetUrl);
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return response.json();
-    }
-    
-    // Try direct fetch first
-    onStatus?.({ step: 'direct', status: 'pending', message: 'Connecting to lobby server...' });
-    try {
-      const response = await fetch(targetUrl);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      lastSuccessfulMethod = 'direct';
-      onStatus?.({ step: 'direct', status: 'success', message: 'Connected directly' });
-      return response.json();
-    } catch (directError) {
-      console.warn('Direct fetch failed, trying CORS proxies...', directError.message);
-      onStatus?.({ step: 'direct', status: 'failed', message: 'Direct connection blocked (CORS)' });
-    }
-    
-    // Try proxies in optimized order (cached successful proxy first)
-    const proxyOrder = getProxyOrder();
-    for (const proxy of proxyOrder) {
-      const proxyName = new URL(proxy).hostname;
-      onStatus?.({ step: 'proxy', status: 'pending', proxy: proxyName, message: `Trying ${proxyName}...` });
-      try {
-        const url = proxy + encodeURIComponent(targetUrl);
-        console.log('Trying proxy:', proxy);
-        const response = await fetch(url);
-        if (!response.ok) continue;
-        const data = await response.json();
-        lastSuccessfulMethod = proxy;
-        console.log('Success with proxy:', proxy);
-        onStatus?.({ step: 'proxy', status: 'success', proxy: proxyName, message: `Connected via ${proxyName}` });
-        return data;
-      } catch (proxyError) {
-        console.warn('Proxy failed:', proxy, proxyError.message);
-        onStatus?.({ step: 'proxy', status: 'failed', proxy: proxyName, message: `${proxyName} failed` });
-      }
-    }
-    
-    onStatus?.({ step: 'error', status: 'failed', message: 'All connection attempts failed' });
-    throw new Error('All fetch attempts failed. CORS may be blocking requests.');
-  }
-
   /**
    * Build a consolidated data cache from parsed sessions
    * @param {Object[]} sessions - Array of parsed session objects
@@ -1065,28 +2173,130 @@ const BZ2API = (function() {
     return { players, mods };
   }
 
+  // ============================================================================
+  // PLAYER ENRICHMENT (OPT-IN)
+  // ============================================================================
+
   /**
-   * Fetch and parse multiplayer sessions
-   * @param {Object} options - Options object
-   * @param {string} options.proxyUrl - Optional CORS proxy URL prefix
-   * @param {string} options.apiUrl - Optional custom API URL
-   * @param {boolean} options.enrichMaps - Enable map data enrichment (default: false)
-   * @param {boolean} options.enrichVsrMaps - Enable VSR map metadata enrichment (default: false)
-   * @param {Array} options.vsrMapData - Optional custom VSR map data array
-   * @param {string} options.vsrMapDataMode - Required if vsrMapData provided: 'replace' or 'merge'
-   * @param {Function} options.onStatus - Optional callback for status updates
-   * @returns {Promise<Object>} Object containing sessions array and metadata
-   */
-  async function fetchSessions(options = {}) {
-    const { 
-      enrichMaps = false, 
-      enrichVsrMaps = false,
-      vsrMapData,
-      vsrMapDataMode,
-      onStatus,
-      ...fetchOptions 
-    } = options;
-    
+   * Maximum Steam IDs per GetPlayerSummaries call (Steam Web API limit)
+   */
+  const STEAM_PLAYER_BATCH_SIZE = 100;
+
+  /**
+   * Parse a GetPlayerSummaries player entry into enrichment fields
+   * @param {Object} summary - Raw player entry from the Steam Web API
+   * @returns {Object} Enrichment fields merged into dataCache.players
+   */
+  function parseSteamPlayerSummary(summary) {
+    return {
+      displayName: summary.personaname || null,
+      avatar: summary.avatarfull || summary.avatarmedium || summary.avatar || null,
+      countryCode: summary.loccountrycode || null,
+      onlineStatus: summary.personastate ?? null,
+      onlineStatusName: SteamPersonaStateNames[summary.personastate] || null,
+      accountCreated: summary.timecreated ? new Date(summary.timecreated * 1000).toISOString() : null
+    };
+  }
+
+  /**
+   * Parse a GOG users/info response into enrichment fields
+   * GOG has no country or presence data, so those fields stay null.
+   * @param {Object} info - Raw response from embed.gog.com/users/info/{id}
+   * @returns {Object} Enrichment fields merged into dataCache.players
+   */
+  function parseGogUserInfo(info) {
+    const avatars = info.avatars || {};
+    return {
+      displayName: info.username || null,
+      avatar: avatars.large2x || avatars.large || avatars.medium2x || avatars.medium || avatars.small || null,
+      countryCode: null,
+      onlineStatus: null,
+      onlineStatusName: null,
+      accountCreated: info.userSince ? new Date(info.userSince * 1000).toISOString() : null
+    };
+  }
+
+  /**
+   * Run an async function over items with at most `limit` calls in flight
+   * @param {Array} items - Items to process
+   * @param {number} limit - Maximum concurrent calls
+   * @param {Function} fn - Async function called with (item, index)
+   * @returns {Promise<Array>} Results in input order
+   */
+  async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    async function worker() {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index], index);
+      }
+    }
+    const workers = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker);
+    await Promise.all(workers);
+    return results;
+  }
+
+  /**
+   * Empty enrichment fields for players that couldn't be enriched
+   */
+  const EMPTY_PLAYER_ENRICHMENT = {
+    displayName: null,
+    avatar: null,
+    countryCode: null,
+    onlineStatus: null,
+    onlineStatusName: null,
+    accountCreated: null
+  };
+
+  // ============================================================================
+  // MOD ENRICHMENT (OPT-IN)
+  // ============================================================================
+
+  /**
+   * Maximum Workshop IDs per GetPublishedFileDetails call
+   */
+  const WORKSHOP_BATCH_SIZE = 100;
+
+  /**
+   * Parse a GetPublishedFileDetails entry into mod enrichment fields
+   * @param {Object} details - Raw publishedfiledetails entry from the Steam Web API
+   * @returns {Object|null} Enrichment fields, or null if Steam reported no such item
+   */
+  function parseWorkshopFileDetails(details) {
+    // result 1 = OK; anything else is a missing/private/banned item
+    if (!details || details.result !== 1) return null;
+    return {
+      name: details.title || null,
+      title: details.title || null,
+      previewUrl: details.preview_url || null,
+      fileSize: details.file_size !== undefined ? Number(details.file_size) : null,
+      updatedAt: details.time_updated ? new Date(details.time_updated * 1000).toISOString() : null,
+      tags: (details.tags || []).map(t => t.tag).filter(Boolean)
+    };
+  }
+
+  /**
+   * Empty enrichment fields for mods that couldn't be enriched
+   */
+  const EMPTY_MOD_ENRICHMENT = {
+    title: null,
+    previewUrl: null,
+    fileSize: null,
+    updatedAt: null,
+    tags: []
+  };
+
+  // ============================================================================
+  // CLIENT
+  // ============================================================================
+
+  /**
+   * Validate custom VSR map data options
+   * @param {Array} vsrMapData - User-provided VSR map data array
+   * @param {string} vsrMapDataMode - 'replace' or 'merge'
+   */
+  function validateVsrMapOptions(vsrMapData, vsrMapDataMode) {
     // Validation: vsrMapData requires vsrMapDataMode
     if (vsrMapData !== undefined && vsrMapDataMode === undefined) {
       throw new Error('vsrMapDataMode is required when vsrMapData is provided. Use "replace" or "merge".');
@@ -1096,77 +2306,3336 @@ const BZ2API = (function() {
     if (vsrMapDataMode !== undefined && vsrMapDataMode !== 'replace' && vsrMapDataMode !== 'merge') {
       throw new Error('vsrMapDataMode must be "replace" or "merge".');
     }
-    
-    // Pass onStatus to fetchRaw for connection status updates
-    const rawData = await fetchRaw({ ...fetchOptions, onStatus });
-    
-    onStatus?.({ step: 'parse', status: 'pending', message: 'Parsing session data...' });
-    const sessions = (rawData.GET || []).map(parseSession);
-    
-    // Sort sessions by ID for consistent ordering across refreshes
-    sessions.sort((a, b) => a.id.localeCompare(b.id));
-    
-    // Enrich sessions with map data if opt-in enabled
-    if (enrichMaps) {
-      onStatus?.({ step: 'enrich-maps', status: 'pending', message: 'Loading map data...' });
+  }
+
+  /**
+   * Create an independent API client
+   * Each client owns its map cache, transport (and therefore proxy preference),
+   * endpoint URLs and VSR map table, so several dashboards or tenants can share
+   * one page/process without sharing state.
+   * @param {Object} options - Client options
+   * @param {string} options.apiUrl - Lobby server URL (default: DEFAULT_API_URL)
+   * @param {string} options.mapApiBaseUrl - GameListAssets base URL (default: MAP_API_BASE_URL)
+   * @param {string[]} options.corsProxies - CORS proxy list (default: CORS_PROXIES)
+   * @param {Object} options.transport - Transport to use (default: new transport built from the options below)
+   * @param {Function} options.fetch - fetch implementation for the default transport
+   * @param {boolean} options.useProxies - Proxy fallback for the default transport
+   * @param {number} options.timeout - Request timeout for the default transport
+   * @param {number} options.retries - Retry count for the default transport
+   * @param {number} options.retryDelay - Backoff base delay for the default transport
+   * @param {Array} options.vsrMapData - Optional custom VSR map data array
+   * @param {string} options.vsrMapDataMode - Required if vsrMapData provided: 'replace' or 'merge'
+   * @param {number} options.mapCacheTtl - Map data cache lifetime in ms (default: 24 hours)
+   * @param {number} options.mapCacheNegativeTtl - Lifetime of failed map lookups in ms (default: 10 minutes)
+   * @param {number} options.mapCacheMaxEntries - Maximum cached maps (default: 500)
+   * @param {Object} options.mapCacheStorage - Storage adapter to persist map data (default: none)
+   * @param {string} options.steamApiKey - Steam Web API key for player enrichment
+   * @param {string} options.steamApiUrl - Steam Web API base URL (default: STEAM_API_BASE_URL)
+   * @param {number} options.playerCacheTtl - Steam enrichment cache lifetime in ms (default: 5 minutes)
+   * @param {string} options.gogApiUrl - GOG embed API base URL (default: GOG_API_BASE_URL)
+   * @param {number} options.gogConcurrency - Maximum parallel GOG requests (default: 4)
+   * @param {number} options.gogCacheTtl - GOG enrichment cache lifetime in ms (default: 15 minutes)
+   * @param {number} options.gogCacheNegativeTtl - Lifetime of unknown or failed GOG lookups in ms (default: 1 minute)
+   * @param {Object|null} options.modCacheStorage - Storage adapter for Workshop details (default: shared persistent cache, see getDefaultCacheStorage; null for in-memory)
+   * @param {number} options.modCacheTtl - Workshop details cache lifetime in ms (default: 24 hours)
+   * @param {number} options.modCacheNegativeTtl - Lifetime of missing or unlisted Workshop items in ms (default: 10 minutes)
+   * @param {string|Function} options.record - Capture file path or callback; every fetchRaw response is recorded (default: none)
+   * @returns {Object} Client exposing fetchSessions, fetchRaw, fetchMapData and friends
+   */
+  function createClient(options = {}) {
+    const {
+      apiUrl: clientApiUrl = DEFAULT_API_URL,
+      mapApiBaseUrl = MAP_API_BASE_URL,
+      corsProxies: clientProxies = CORS_PROXIES,
+      vsrMapData: clientVsrMapData,
+      vsrMapDataMode: clientVsrMapDataMode,
+      mapCacheTtl = 24 * 60 * 60 * 1000,
+      mapCacheNegativeTtl = 10 * 60 * 1000,
+      mapCacheMaxEntries = 500,
+      mapCacheStorage = null,
+      steamApiKey: clientSteamApiKey,
+      steamApiUrl: clientSteamApiUrl = STEAM_API_BASE_URL,
+      playerCacheTtl = 5 * 60 * 1000,
+      gogApiUrl: clientGogApiUrl = GOG_API_BASE_URL,
+      gogConcurrency: clientGogConcurrency = 4,
+      gogCacheTtl = 15 * 60 * 1000,
+      gogCacheNegativeTtl = 60 * 1000,
+      modCacheStorage,
+      modCacheTtl = 24 * 60 * 60 * 1000,
+      modCacheNegativeTtl = 10 * 60 * 1000,
+      record: clientRecord = null,
+      fetch: fetchImpl,
+      useProxies,
+      timeout,
+      retries,
+      retryDelay
+    } = options;
+
+    validateVsrMapOptions(clientVsrMapData, clientVsrMapDataMode);
+
+    const transport = options.transport || createTransport({
+      fetch: fetchImpl,
+      proxies: clientProxies,
+      useProxies,
+      timeout,
+      retries,
+      retryDelay
+    });
+
+    // VSR map table used by this client
+    const vsrLookup = clientVsrMapData
+      ? buildVsrMapLookup(clientVsrMapData, clientVsrMapDataMode)
+      : VSR_MAP_DATA;
+
+    /**
+     * Cache for map data to avoid repeated API calls
+     */
+    const mapDataCache = createCache({
+      ttl: mapCacheTtl,
+      negativeTtl: mapCacheNegativeTtl,
+      maxEntries: mapCacheMaxEntries,
+      storage: mapCacheStorage,
+      namespace: 'map:'
+    });
+
+    /**
+     * Fetch map metadata from GameListAssets API
+     * @param {string} mapFile - Map filename (without extension)
+     * @param {string} modId - Primary mod ID (or '0' for stock)
+     * @param {Object} fetchOptions - Optional settings
+     * @param {Object} fetchOptions.transport - Transport to use (default: client transport)
+     * @returns {Promise<Object|null>} Map data or null if fetch fails
+     */
+    async function fetchMapData(mapFile, modId = '0', fetchOptions = {}) {
+      if (!mapFile) return null;
+      const { transport: mapTransport = transport } = fetchOptions;
+      
+      // Check cache first
+      const cacheKey = `${modId}:${mapFile}`;
+      const cached = await mapDataCache.get(cacheKey);
+      if (cached !== undefined) {
+        return cached;
+      }
+
+      const mapApiUrl = `${mapApiBaseUrl}/getdata.php?map=${encodeURIComponent(mapFile)}&mod=${encodeURIComponent(modId)}`;
+      
+      // Direct fetch first. An HTTP error means the map is unknown, so proxies
+      // are only tried when the request itself fails (CORS, network). They are
+      // tried quietly and don't touch the transport's cached method, which
+      // belongs to the lobby fetch.
+      const readMapData = async (response) => {
+        const result = parseMapData(await response.json(), mapFile, mapApiBaseUrl);
+        await mapDataCache.set(cacheKey, result);
+        return result;
+      };
+
+      let response = null;
       try {
-        await enrichSessionsWithMapData(sessions);
-        onStatus?.({ step: 'enrich-maps', status: 'success', message: 'Map data loaded' });
-      } catch (e) {
-        console.warn('Map enrichment failed:', e.message);
-        onStatus?.({ step: 'enrich-maps', status: 'failed', message: 'Map data failed (continuing)' });
+        response = await mapTransport.request(mapApiUrl);
+      } catch (directError) {
+        // Try CORS proxies below
       }
+
+      if (response) {
+        try {
+          if (response.ok) return await readMapData(response);
+        } catch (e) {
+          // Invalid JSON, fall through to negative caching
+        }
+      } else if (mapTransport.useProxies !== false) {
+        for (const proxy of mapTransport.getProxyOrder()) {
+          try {
+            const proxyResponse = await mapTransport.request(proxy + encodeURIComponent(mapApiUrl));
+            if (proxyResponse.ok) return await readMapData(proxyResponse);
+          } catch (proxyError) {
+            // Continue to next proxy
+          }
+        }
+      }
+      
+      // Cache null result to avoid repeated failed requests (expires after mapCacheNegativeTtl)
+      await mapDataCache.set(cacheKey, null);
+      return null;
     }
-    
-    // Enrich sessions with VSR map data if opt-in enabled
-    if (enrichVsrMaps) {
-      onStatus?.({ step: 'enrich-vsr', status: 'pending', message: 'Loading VSR map data...' });
-      const vsrLookup = vsrMapData 
-        ? buildVsrMapLookup(vsrMapData, vsrMapDataMode)
-        : VSR_MAP_DATA;
-      enrichSessionsWithVsrData(sessions, vsrLookup);
-      onStatus?.({ step: 'enrich-vsr', status: 'success', message: 'VSR data loaded' });
-    }
-    
-    const dataCache = buildDataCache(sessions);
-    
-    onStatus?.({ step: 'complete', status: 'success', message: `Loaded ${sessions.length} session${sessions.length !== 1 ? 's' : ''}` });
-    
-    return {
-      sessions,
-      timestamp: new Date().toISOString(),
-      rawResponse: rawData,
-      dataCache,
-      enrichedMaps: enrichMaps,
-      enrichedVsrMaps: enrichVsrMaps
-    };
-  }
+
+    /**
+     * Enrich sessions with map data from GameListAssets API
+     * Fetches map data in parallel for all unique maps
+     * @param {Object[]} sessions - Array of parsed sessions
+     * @param {Object} fetchOptions - Optional settings
+     * @param {Object} fetchOptions.transport - Transport to use (default: client transport)
+     * @returns {Promise<void>}
+     */
+    async function enrichSessionsWithMapData(sessions, fetchOptions = {}) {
+      // Collect unique map/mod combinations
+      const mapRequests = new Map();
+      
+      for (const session of sessions) {
+        const key = `${session.primaryMod}:${session.mapFile}`;
+        if (!mapRequests.has(key) && session.mapFile) {
+          mapRequests.set(key, {
+            mapFile: session.mapFile,
+            modId: session.primaryMod || '0'
+          });
+        }
+      }
+      
+      // Fetch all map data in parallel
+      const mapDataPromises = Array.from(mapRequests.entries()).map(
+        async ([key, { mapFile, modId }]) => [key, await fetchMapData(mapFile, modId, fetchOptions)]
+      );
+      
+      const mapDataByKey = new Map(await Promise.all(mapDataPromises));
+      
+      // Apply map data to sessions
+      for (const session of sessions) {
+        const cacheKey = `${session.primaryMod}:${session.mapFile}`;
+        const mapData = mapDataByKey.get(cacheKey);
+        
+        if (mapData) {
+          session.mapName = mapData.name;
+          session.mapDescription = mapData.description;
+          session.mapImageUrl = mapData.imageUrl;
+          session.teamNames = mapData.teamNames;
+          for (const team of session.teams || []) {
+            team.name = mapData.teamNames[`team${team.team}`] || null;
+          }
+          
+          // Enrich mod names from map data if available
+          if (mapData.mods) {
+            for (const mod of session.mods) {
+              if (mapData.mods[mod.id] && !mod.name) {
+                mod.name = mapData.mods[mod.id].name || mapData.mods[mod.id].workshop_name || null;
+              }
+            }
+          }
+        } else {
+          // Set defaults for non-enriched sessions
+          session.mapName = null;
+          session.mapDescription = null;
+          session.mapImageUrl = null;
+          session.teamNames = { team1: null, team2: null };
+        }
+      }
+    }
+
+    /**
+     * Clear the map data cache (including persisted entries)
+     * @returns {Promise<void>}
+     */
+    function clearMapCache() {
+      return mapDataCache.clear();
+    }
+
+    /**
+     * Get VSR map data for a given map filename from this client's VSR table
+     * @param {string} mapFile - Map filename (without extension)
+     * @returns {Object|null} VSR map data or null if not found
+     */
+    function getClientVsrMapData(mapFile) {
+      return getVsrMapData(mapFile, vsrLookup);
+    }
+
+    /**
+     * Cache for player enrichment keyed by "{platform}:{id}"
+     * null entries are IDs the API didn't return (or failed to return).
+     */
+    const playerCache = createCache({ ttl: playerCacheTtl, maxEntries: 10000, namespace: 'player:' });
+
+    /**
+     * Fetch Steam profile summaries, 100 IDs per request, with TTL caching
+     * @param {string[]} steamIds - Steam 64-bit IDs
+     * @param {Object} fetchOptions - Optional settings
+     * @param {string} fetchOptions.steamApiKey - API key (default: client key)
+     * @param {string} fetchOptions.steamApiUrl - API base URL (default: client URL)
+     * @param {Object} fetchOptions.transport - Transport to use (default: client transport)
+     * @returns {Promise<Object>} Enrichment fields keyed by Steam ID
+     */
+    async function fetchSteamPlayerSummaries(steamIds, fetchOptions = {}) {
+      const {
+        steamApiKey = clientSteamApiKey,
+        steamApiUrl = clientSteamApiUrl,
+        transport: steamTransport = transport
+      } = fetchOptions;
+      if (!steamApiKey) {
+        throw new Error('steamApiKey is required for Steam player enrichment.');
+      }
+
+      const summaries = {};
+      const missing = [];
+      for (const steamId of new Set(steamIds)) {
+        const cached = await playerCache.get(`steam:${steamId}`);
+        if (cached === undefined) missing.push(steamId);
+        else if (cached) summaries[steamId] = cached;
+      }
+
+      for (let i = 0; i < missing.length; i += STEAM_PLAYER_BATCH_SIZE) {
+        const batch = missing.slice(i, i + STEAM_PLAYER_BATCH_SIZE);
+        const url = `${steamApiUrl}/ISteamUser/GetPlayerSummaries/v2/?key=${encodeURIComponent(steamApiKey)}&steamids=${batch.join(',')}`;
+        try {
+          // Never route the API key through public CORS proxies
+          const data = await steamTransport.fetchJson(url, { useProxies: false });
+          const found = new Map((data?.response?.players || []).map(p => [p.steamid, parseSteamPlayerSummary(p)]));
+          for (const steamId of batch) {
+            const summary = found.get(steamId) || null;
+            await playerCache.set(`steam:${steamId}`, summary, playerCacheTtl);
+            if (summary) summaries[steamId] = summary;
+          }
+        } catch (e) {
+          // Leave the batch uncached so the next poll retries it
+          console.warn('Steam player enrichment failed:', e.message);
+        }
+      }
+
+      return summaries;
+    }
+
+    /**
+     * Fetch GOG profile info one ID at a time with a concurrency limit and TTL caching
+     * Requests go directly to gogApiUrl, never through CORS proxies. Unknown IDs
+     * and failed lookups are cached for gogCacheNegativeTtl so a flaky endpoint
+     * isn't hammered every poll.
+     * @param {string[]} gogIds - Cleaned GOG Galaxy IDs (see cleanGogId)
+     * @param {Object} fetchOptions - Optional settings
+     * @param {string} fetchOptions.gogApiUrl - API base URL (default: client URL)
+     * @param {number} fetchOptions.gogConcurrency - Maximum parallel requests (default: client setting)
+     * @param {Object} fetchOptions.transport - Transport to use (default: client transport)
+     * @returns {Promise<Object>} Enrichment fields keyed by GOG ID
+     */
+    async function fetchGogPlayerInfo(gogIds, fetchOptions = {}) {
+      const {
+        gogApiUrl = clientGogApiUrl,
+        gogConcurrency = clientGogConcurrency,
+        transport: gogTransport = transport
+      } = fetchOptions;
+
+      const profiles = {};
+      const missing = [];
+      for (const gogId of new Set(gogIds)) {
+        const cached = await playerCache.get(`gog:${gogId}`);
+        if (cached === undefined) missing.push(gogId);
+        else if (cached) profiles[gogId] = cached;
+      }
+
+      await mapWithConcurrency(missing, gogConcurrency, async (gogId) => {
+        try {
+          // Sent directly: a 4xx means there is no such profile, which no
+          // CORS proxy will change
+          const response = await gogTransport.request(`${gogApiUrl}/users/info/${encodeURIComponent(gogId)}`);
+          if (response.status >= 400 && response.status < 500) {
+            await playerCache.set(`gog:${gogId}`, null, gogCacheNegativeTtl);
+            return;
+          }
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          const profile = parseGogUserInfo(await response.json());
+          await playerCache.set(`gog:${gogId}`, profile, gogCacheTtl);
+          profiles[gogId] = profile;
+        } catch (e) {
+          console.warn('GOG player enrichment failed for', gogId, e.message);
+          await playerCache.set(`gog:${gogId}`, null, gogCacheNegativeTtl);
+        }
+      });
+
+      return profiles;
+    }
+
+    /**
+     * Merge Steam and GOG profile data into a data cache (see buildDataCache)
+     * Steam is skipped (with a warning) when no API key is configured.
+     * @param {Object} dataCache - Data cache to enrich in place
+     * @param {Object} fetchOptions - Options passed to fetchSteamPlayerSummaries/fetchGogPlayerInfo
+     * @returns {Promise<Object>} The enriched data cache
+     */
+    async function enrichPlayerData(dataCache, fetchOptions = {}) {
+      const players = Object.values(dataCache.players);
+      for (const player of players) {
+        Object.assign(player, EMPTY_PLAYER_ENRICHMENT);
+      }
+
+      const steamIds = players.filter(p => p.steamId).map(p => p.steamId);
+      const gogIds = players.filter(p => p.gogId).map(p => p.gogId);
+      const hasSteamKey = Boolean(fetchOptions.steamApiKey ?? clientSteamApiKey);
+      if (steamIds.length > 0 && !hasSteamKey) {
+        console.warn('Skipping Steam player enrichment: no steamApiKey configured');
+      }
+
+      const [steamProfiles, gogProfiles] = await Promise.all([
+        steamIds.length > 0 && hasSteamKey ? fetchSteamPlayerSummaries(steamIds, fetchOptions) : {},
+        gogIds.length > 0 ? fetchGogPlayerInfo(gogIds, fetchOptions) : {}
+      ]);
+
+      for (const [steamId, profile] of Object.entries(steamProfiles)) {
+        Object.assign(dataCache.players[steamId], profile);
+      }
+      for (const [gogId, profile] of Object.entries(gogProfiles)) {
+        Object.assign(dataCache.players[gogId], profile);
+      }
+
+      return dataCache;
+    }
+
+    /**
+     * Cache for Workshop details keyed by mod ID, persisted to modCacheStorage
+     * Created on first use, so clients that never enrich mods never open the
+     * shared default storage.
+     */
+    let modCache = null;
+    function getModCache() {
+      if (!modCache) {
+        const storage = modCacheStorage === undefined ? getDefaultCacheStorage() : modCacheStorage || createMemoryStorage();
+        modCache = createCache({ ttl: modCacheTtl, negativeTtl: modCacheNegativeTtl, storage, namespace: 'mod:' });
+      }
+      return modCache;
+    }
+
+    /**
+     * Fetch Workshop item details, 100 IDs per request, cached in modCacheStorage
+     * @param {string[]} modIds - Steam Workshop item IDs ('0' is ignored)
+     * @param {Object} fetchOptions - Optional settings
+     * @param {string} fetchOptions.steamApiUrl - API base URL (default: client URL)
+     * @param {Object} fetchOptions.transport - Transport to use (default: client transport)
+     * @returns {Promise<Object>} Enrichment fields keyed by mod ID
+     */
+    async function fetchWorkshopDetails(modIds, fetchOptions = {}) {
+      const {
+        steamApiUrl = clientSteamApiUrl,
+        transport: workshopTransport = transport
+      } = fetchOptions;
+
+      const details = {};
+      const missing = [];
+      for (const modId of new Set(modIds)) {
+        if (!modId || modId === '0') continue;
+        const cached = await getModCache().get(modId);
+        if (cached === undefined) missing.push(modId);
+        else if (cached) details[modId] = cached;
+      }
+
+      for (let i = 0; i < missing.length; i += WORKSHOP_BATCH_SIZE) {
+        const batch = missing.slice(i, i + WORKSHOP_BATCH_SIZE);
+        const body = new URLSearchParams({ itemcount: String(batch.length) });
+        batch.forEach((modId, index) => body.append(`publishedfileids[${index}]`, modId));
+
+        try {
+          // CORS proxies don't reliably forward POST bodies, so only go direct
+          const data = await workshopTransport.fetchJson(`${steamApiUrl}/ISteamRemoteStorage/GetPublishedFileDetails/v1/`, {
+            useProxies: false,
+            init: {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+              body: body.toString()
+            }
+          });
+          const found = new Map((data?.response?.publishedfiledetails || []).map(d => [String(d.publishedfileid), d]));
+          for (const modId of batch) {
+            const parsed = parseWorkshopFileDetails(found.get(modId));
+            await getModCache().set(modId, parsed);
+            if (parsed) details[modId] = parsed;
+          }
+        } catch (e) {
+          // Leave the batch uncached so the next poll retries it
+          console.warn('Workshop mod enrichment failed:', e.message);
+        }
+      }
+
+      return details;
+    }
+
+    /**
+     * Merge Workshop details into session.mods and dataCache.mods
+     * @param {Object[]} sessions - Parsed sessions (mods enriched in place)
+     * @param {Object} dataCache - Data cache to enrich in place (optional)
+     * @param {Object} fetchOptions - Options passed to fetchWorkshopDetails
+     * @returns {Promise<void>}
+     */
+    async function enrichModData(sessions, dataCache = null, fetchOptions = {}) {
+      const modLists = sessions.map(s => s.mods);
+      if (dataCache) modLists.push(Object.values(dataCache.mods));
+      const allMods = modLists.flat();
+
+      const details = await fetchWorkshopDetails(allMods.map(m => m.id), fetchOptions);
+      for (const mod of allMods) {
+        const modDetails = details[mod.id];
+        Object.assign(mod, EMPTY_MOD_ENRICHMENT, { tags: [] });
+        if (modDetails) {
+          Object.assign(mod, modDetails, { name: mod.name || modDetails.name, tags: [...modDetails.tags] });
+        }
+      }
+    }
+
+    /**
+     * Clear cached Workshop details from modCacheStorage
+     * @returns {Promise<void>}
+     */
+    function clearModCache() {
+      return getModCache().clear();
+    }
+
+    /**
+     * Clear the player enrichment cache
+     * @returns {Promise<void>}
+     */
+    function clearPlayerCache() {
+      return playerCache.clear();
+    }
+
+    /**
+     * Attempt to fetch from the API, trying CORS proxies if direct fetch fails
+     * @param {Object} fetchOptions - Fetch options
+     * @param {string} fetchOptions.proxyUrl - Optional specific proxy URL to use
+     * @param {string} fetchOptions.apiUrl - API URL (defaults to the client's lobby server)
+     * @param {boolean} fetchOptions.bustCache - Add cache-busting param (default: true)
+     * @param {string[]} fetchOptions.corsProxies - Optional proxy list overriding the transport's
+     * @param {Object} fetchOptions.transport - Transport to use (default: client transport)
+     * @param {string|Function} fetchOptions.record - Append { timestamp, response } to this capture file (Node.js) or pass it to this callback
+     * @param {Function} fetchOptions.onStatus - Optional callback for status updates
+     * @returns {Promise<Object>} Raw API response
+     */
+    async function fetchRaw(fetchOptions = {}) {
+      const {
+        proxyUrl,
+        apiUrl = clientApiUrl,
+        bustCache = true,
+        corsProxies,
+        transport: rawTransport = transport,
+        record = clientRecord,
+        onStatus
+      } = fetchOptions;
+      
+      // Add cache-busting to the target URL
+      const targetUrl = bustCache ? addCacheBuster(apiUrl) : apiUrl;
+      
+      const response = await rawTransport.fetchJson(targetUrl, {
+        proxyUrl,
+        proxies: corsProxies,
+        onStatus
+      });
+
+      if (record) {
+        await appendCaptureFrame(record, { timestamp: new Date().toISOString(), response });
+      }
+      return response;
+    }
+
+    /**
+     * Fetch and parse multiplayer sessions
+     * @param {Object} fetchOptions - Options object
+     * @param {string} fetchOptions.proxyUrl - Optional CORS proxy URL prefix
+     * @param {string} fetchOptions.apiUrl - Optional custom API URL
+     * @param {string[]} fetchOptions.corsProxies - Optional CORS proxy list
+     * @param {Object} fetchOptions.transport - Optional transport (see createTransport)
+     * @param {Object} fetchOptions.source - Object with fetchRaw() used instead of the lobby server, e.g. createReplaySource()
+     * @param {string|Function} fetchOptions.record - Capture target passed to fetchRaw (see fetchRaw)
+     * @param {boolean} fetchOptions.enrichMaps - Enable map data enrichment (default: false)
+     * @param {boolean} fetchOptions.enrichVsrMaps - Enable VSR map metadata enrichment (default: false)
+     * @param {Array} fetchOptions.vsrMapData - Optional custom VSR map data array (overrides the client's)
+     * @param {string} fetchOptions.vsrMapDataMode - Required if vsrMapData provided: 'replace' or 'merge'
+     * @param {boolean} fetchOptions.enrichPlayers - Enable Steam/GOG player enrichment (default: false)
+     * @param {string} fetchOptions.steamApiKey - Steam Web API key (overrides the client's)
+     * @param {string} fetchOptions.steamApiUrl - Steam Web API base URL (overrides the client's)
+     * @param {string} fetchOptions.gogApiUrl - GOG embed API base URL (overrides the client's)
+     * @param {boolean} fetchOptions.enrichModDetails - Enable Steam Workshop mod enrichment (default: false)
+     * @param {boolean} fetchOptions.strict - Drop sessions that fail raw validation into rejectedSessions (default: false)
+     * @param {Object[]} fetchOptions.stateRules - Rules used to infer session state (default: DEFAULT_STATE_RULES)
+     * @param {Function} fetchOptions.onStatus - Optional callback for status updates
+     * @returns {Promise<Object>} Object containing sessions array and metadata
+     */
+    async function fetchSessions(fetchOptions = {}) {
+      const { 
+        enrichMaps = false, 
+        enrichVsrMaps = false,
+        enrichPlayers = false,
+        enrichModDetails = false,
+        steamApiKey,
+        steamApiUrl,
+        gogApiUrl,
+        vsrMapData,
+        vsrMapDataMode,
+        source,
+        strict = false,
+        stateRules,
+        onStatus,
+        ...rawOptions 
+      } = fetchOptions;
+      
+      validateVsrMapOptions(vsrMapData, vsrMapDataMode);
+      
+      // Pass onStatus to fetchRaw for connection status updates
+      const rawData = source
+        ? await source.fetchRaw({ ...rawOptions, onStatus })
+        : await fetchRaw({ ...rawOptions, onStatus });
+      
+      onStatus?.({ step: 'parse', status: 'pending', message: 'Parsing session data...' });
+      const sessions = [];
+      const rejectedSessions = [];
+      for (const raw of rawData.GET || []) {
+        try {
+          sessions.push(parseSession(raw, { strict, stateRules }));
+        } catch (e) {
+          if (!strict) throw e;
+          rejectedSessions.push({ id: raw?.g, warnings: e.warnings || [], raw });
+        }
+      }
+      if (rejectedSessions.length > 0) {
+        console.warn(`Rejected ${rejectedSessions.length} invalid session(s):`, rejectedSessions.map(r => r.warnings[0]?.message));
+      }
+      
+      // Sort sessions by ID for consistent ordering across refreshes
+      sessions.sort((a, b) => a.id.localeCompare(b.id));
+      
+      // Enrich sessions with map data if opt-in enabled
+      if (enrichMaps) {
+        onStatus?.({ step: 'enrich-maps', status: 'pending', message: 'Loading map data...' });
+        try {
+          await enrichSessionsWithMapData(sessions, { transport: rawOptions.transport });
+          onStatus?.({ step: 'enrich-maps', status: 'success', message: 'Map data loaded' });
+        } catch (e) {
+          console.warn('Map enrichment failed:', e.message);
+          onStatus?.({ step: 'enrich-maps', status: 'failed', message: 'Map data failed (continuing)' });
+        }
+      }
+      
+      // Enrich sessions with VSR map data if opt-in enabled
+      if (enrichVsrMaps) {
+        onStatus?.({ step: 'enrich-vsr', status: 'pending', message: 'Loading VSR map data...' });
+        const sessionVsrLookup = vsrMapData 
+          ? buildVsrMapLookup(vsrMapData, vsrMapDataMode)
+          : vsrLookup;
+        enrichSessionsWithVsrData(sessions, sessionVsrLookup);
+        onStatus?.({ step: 'enrich-vsr', status: 'success', message: 'VSR data loaded' });
+      }
+      
+      const dataCache = buildDataCache(sessions);
+      
+      // Enrich player cache with Steam/GOG profiles if opt-in enabled
+      if (enrichPlayers) {
+        onStatus?.({ step: 'enrich-players', status: 'pending', message: 'Loading player profiles...' });
+        try {
+          await enrichPlayerData(dataCache, { steamApiKey, steamApiUrl, gogApiUrl, transport: rawOptions.transport });
+          onStatus?.({ step: 'enrich-players', status: 'success', message: 'Player profiles loaded' });
+        } catch (e) {
+          console.warn('Player enrichment failed:', e.message);
+          onStatus?.({ step: 'enrich-players', status: 'failed', message: 'Player profiles failed (continuing)' });
+        }
+      }
+      
+      // Enrich mods with Steam Workshop details if opt-in enabled
+      if (enrichModDetails) {
+        onStatus?.({ step: 'enrich-mods', status: 'pending', message: 'Loading mod details...' });
+        try {
+          await enrichModData(sessions, dataCache, { steamApiUrl, transport: rawOptions.transport });
+          onStatus?.({ step: 'enrich-mods', status: 'success', message: 'Mod details loaded' });
+        } catch (e) {
+          console.warn('Mod enrichment failed:', e.message);
+          onStatus?.({ step: 'enrich-mods', status: 'failed', message: 'Mod details failed (continuing)' });
+        }
+      }
+      
+      onStatus?.({ step: 'complete', status: 'success', message: `Loaded ${sessions.length} session${sessions.length !== 1 ? 's' : ''}` });
+      
+      return {
+        sessions,
+        // Replayed results carry the time the frame was recorded
+        timestamp: source?.getTimestamp?.() ?? new Date().toISOString(),
+        rawResponse: rawData,
+        dataCache,
+        rejectedSessions,
+        enrichedMaps: enrichMaps,
+        enrichedVsrMaps: enrichVsrMaps,
+        enrichedPlayers: enrichPlayers,
+        enrichedModDetails: enrichModDetails
+      };
+    }
+
+    return {
+      fetchSessions,
+      fetchRaw,
+      fetchMapData,
+      enrichSessionsWithMapData,
+      clearMapCache,
+      fetchSteamPlayerSummaries,
+      fetchGogPlayerInfo,
+      enrichPlayerData,
+      clearPlayerCache,
+      fetchWorkshopDetails,
+      enrichModData,
+      clearModCache,
+      getVsrMapData: getClientVsrMapData,
+      mapCache: mapDataCache,
+      createSessionWatcher: (watchOptions = {}) => createSessionWatcher({ fetchSessions, ...watchOptions }),
+      transport,
+      apiUrl: clientApiUrl,
+      mapApiBaseUrl,
+      vsrMapData: vsrLookup
+    };
+  }
+
+  /**
+   * Client backing the top-level BZ2API functions
+   */
+  const defaultClient = createClient();
+
+  // ============================================================================
+  // SESSION WATCHER
+  // ============================================================================
+
+  /**
+   * Event types emitted by diffSessions() and session watchers
+   */
+  const SessionEvent = {
+    SESSION_CREATED: 'session:created',
+    SESSION_CLOSED: 'session:closed',
+    SESSION_STATE_CHANGED: 'session:stateChanged',
+    SESSION_MAP_CHANGED: 'session:mapChanged',
+    PLAYER_JOINED: 'player:joined',
+    PLAYER_LEFT: 'player:left',
+    PLAYER_TEAM_CHANGED: 'player:teamChanged'
+  };
+
+  /**
+   * Create a minimal event emitter
+   * Handlers registered for '*' receive every event (with the event name as 2nd argument).
+   * @returns {Object} Emitter with on, off, once and emit methods
+   */
+  function createEmitter() {
+    const listeners = new Map();
+
+    function on(event, handler) {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(handler);
+      return () => off(event, handler);
+    }
+
+    function off(event, handler) {
+      listeners.get(event)?.delete(handler);
+    }
+
+    function once(event, handler) {
+      const unsubscribe = on(event, (payload, name) => {
+        unsubscribe();
+        handler(payload, name);
+      });
+      return unsubscribe;
+    }
+
+    function emit(event, payload) {
+      const handlers = [...(listeners.get(event) || []), ...(event !== '*' ? listeners.get('*') || [] : [])];
+      for (const handler of handlers) {
+        try {
+          handler(payload, event);
+        } catch (e) {
+          // A throwing listener must not break the others
+          console.warn(`Listener for "${event}" failed:`, e.message);
+        }
+      }
+    }
+
+    return { on, off, once, emit };
+  }
+
+  /**
+   * Get the stable identity of a parsed session
+   * @param {Object} session - Parsed session object
+   * @returns {string} Session key (decoded GUID, falling back to the RakNet ID)
+   */
+  function getSessionKey(session) {
+    return session.guid || session.id;
+  }
+
+  /**
+   * Get the stable identity of a parsed player
+   * Platform IDs survive name changes; the name is only a last resort.
+   * @param {Object} player - Parsed player object
+   * @returns {string} Player key
+   */
+  function getPlayerKey(player) {
+    return player.steamId || player.gogId || player.rawId || `name:${player.name}`;
+  }
+
+  /**
+   * Compare two session snapshots and describe what changed
+   * @param {Object[]} previousSessions - Sessions from the previous poll
+   * @param {Object[]} currentSessions - Sessions from the current poll
+   * @returns {Object[]} Array of change events ({ type, key, session, ... })
+   */
+  function diffSessions(previousSessions = [], currentSessions = []) {
+    const events = [];
+    const previousByKey = new Map(previousSessions.map(s => [getSessionKey(s), s]));
+    const currentByKey = new Map(currentSessions.map(s => [getSessionKey(s), s]));
+
+    // Sessions that disappeared
+    for (const [key, session] of previousByKey) {
+      if (!currentByKey.has(key)) {
+        events.push({ type: SessionEvent.SESSION_CLOSED, key, session });
+      }
+    }
+
+    for (const [key, session] of currentByKey) {
+      const previous = previousByKey.get(key);
+
+      // Brand new session - every player in it is implicitly new as well
+      if (!previous) {
+        events.push({ type: SessionEvent.SESSION_CREATED, key, session });
+        continue;
+      }
+
+      if (previous.state !== session.state) {
+        events.push({
+          type: SessionEvent.SESSION_STATE_CHANGED,
+          key,
+          session,
+          previous,
+          from: previous.state,
+          to: session.state
+        });
+      }
+
+      if (previous.mapFile !== session.mapFile) {
+        events.push({
+          type: SessionEvent.SESSION_MAP_CHANGED,
+          key,
+          session,
+          previous,
+          from: previous.mapFile,
+          to: session.mapFile
+        });
+      }
+
+      // Player changes
+      const previousPlayers = new Map(previous.players.map(p => [getPlayerKey(p), p]));
+      const currentPlayers = new Map(session.players.map(p => [getPlayerKey(p), p]));
+
+      for (const [playerKey, player] of previousPlayers) {
+        if (!currentPlayers.has(playerKey)) {
+          events.push({ type: SessionEvent.PLAYER_LEFT, key, session, player, playerKey });
+        }
+      }
+
+      for (const [playerKey, player] of currentPlayers) {
+        const previousPlayer = previousPlayers.get(playerKey);
+        if (!previousPlayer) {
+          events.push({ type: SessionEvent.PLAYER_JOINED, key, session, player, playerKey });
+        } else if (previousPlayer.team !== player.team) {
+          events.push({
+            type: SessionEvent.PLAYER_TEAM_CHANGED,
+            key,
+            session,
+            player,
+            playerKey,
+            previousPlayer,
+            from: previousPlayer.team,
+            to: player.team
+          });
+        }
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Create a session watcher that polls fetchSessions and emits change events
+   * Emits every SessionEvent type, plus 'update' ({ result, events }) after each
+   * poll and 'error' when a poll fails.
+   * @param {Object} options - Watcher options (remaining options are passed to fetchSessions)
+   * @param {number} options.interval - Poll interval in ms (default: 30000)
+   * @param {boolean} options.emitInitial - Emit session:created for sessions found on the first poll (default: true)
+   * @param {Function} options.fetchSessions - Custom fetch function (default: BZ2API.fetchSessions)
+   * @param {Object|null} options.stateTracker - Re-infers state across polls before diffing (default: createStateTracker with options.stateRules; null to disable)
+   * @returns {Object} Watcher with on, off, once, start, stop, poll, isRunning and getSessions
+   */
+  function createSessionWatcher(options = {}) {
+    const {
+      interval = 30000,
+      emitInitial = true,
+      fetchSessions: fetchFn = defaultClient.fetchSessions,
+      stateTracker = createStateTracker({ rules: options.stateRules }),
+      ...fetchOptions
+    } = options;
+
+    const emitter = createEmitter();
+    let previousSessions = null;
+    let timer = null;
+    let running = false;
+    // Each start() begins a new poll chain; older chains stop when they see a newer one
+    let generation = 0;
+    let inFlight = null;
+
+    /**
+     * Fetch once, diff against the previous result and emit events
+     * @returns {Promise<Object[]>} The emitted events
+     */
+    async function poll() {
+      let result;
+      try {
+        result = await fetchFn(fetchOptions);
+      } catch (e) {
+        emitter.emit('error', e);
+        return [];
+      }
+      stateTracker?.update(result);
+
+      const isInitial = previousSessions === null;
+      const events = isInitial && !emitInitial
+        ? []
+        : diffSessions(previousSessions || [], result.sessions);
+      previousSessions = result.sessions;
+
+      for (const event of events) {
+        emitter.emit(event.type, { ...event, timestamp: result.timestamp });
+      }
+      emitter.emit('update', { result, events, initial: isInitial });
+      return events;
+    }
+
+    async function tick(chain) {
+      inFlight = poll();
+      await inFlight;
+      inFlight = null;
+      // Chain timeouts rather than setInterval so slow polls never overlap
+      if (running && chain === generation) timer = setTimeout(() => tick(chain), interval);
+    }
+
+    function start() {
+      if (running) return;
+      running = true;
+      const chain = ++generation;
+      // A poll from before the last stop() may still be running; wait for it
+      if (inFlight) inFlight.then(() => chain === generation && running && tick(chain));
+      else tick(chain);
+    }
+
+    function stop() {
+      running = false;
+      if (timer) clearTimeout(timer);
+      timer = null;
+    }
+
+    return {
+      on: emitter.on,
+      off: emitter.off,
+      once: emitter.once,
+      start,
+      stop,
+      poll,
+      isRunning: () => running,
+      getSessions: () => previousSessions || []
+    };
+  }
+
+  // ============================================================================
+  // STORAGE ADAPTERS
+  // ============================================================================
+  // Minimal async key-value interface shared by everything that persists data:
+  //   get(key), set(key, value), delete(key), entries(prefix), clear()
+  // Keys are strings; a prefix ("session:", "appearance:") acts as a collection.
+
+  /**
+   * Create an in-memory storage adapter
+   * @returns {Object} Storage adapter
+   */
+  function createMemoryStorage() {
+    const data = new Map();
+
+    return {
+      async get(key) {
+        return data.has(key) ? data.get(key) : null;
+      },
+      async set(key, value) {
+        data.set(key, value);
+      },
+      async delete(key) {
+        data.delete(key);
+      },
+      async entries(prefix = '') {
+        return Array.from(data.entries()).filter(([key]) => key.startsWith(prefix));
+      },
+      async clear() {
+        data.clear();
+      }
+    };
+  }
+
+  /**
+   * Create a JSON-lines file storage adapter (Node.js only)
+   * Every write appends one line ({ op, key, value }); the file is replayed on
+   * first use. Once the file holds more than compactRatio lines per live key
+   * (and at least 1000 lines), it is rewritten with live keys only, so callers
+   * that rewrite the same keys every poll don't grow it without bound.
+   * @param {string} filePath - Path of the .jsonl file (created with its directory if missing)
+   * @param {Object} options - Storage options
+   * @param {number} options.compactRatio - Lines per live key that trigger compaction, 0 to disable (default: 4)
+   * @returns {Object} Storage adapter with an extra compact() method
+   */
+  function createJsonLinesStorage(filePath, options = {}) {
+    if (typeof require !== 'function') {
+      throw new Error('createJsonLinesStorage requires Node.js');
+    }
+    const fs = require('fs');
+    const { compactRatio = 4 } = options;
+
+    let data = null;
+    let loading = null;
+    let lineCount = 0;
+    let writeQueue = Promise.resolve();
+
+    // Replay the file once; concurrent callers share the same load, and the map
+    // is only published once every line has been applied
+    function load() {
+      if (!loading) {
+        loading = (async () => {
+          const map = new Map();
+          let contents = '';
+          try {
+            contents = await fs.promises.readFile(filePath, 'utf8');
+          } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+            await fs.promises.mkdir(require('path').dirname(filePath), { recursive: true });
+          }
+          for (const line of contents.split('\n')) {
+            if (!line.trim()) continue;
+            lineCount++;
+            try {
+              const entry = JSON.parse(line);
+              if (entry.op === 'delete') map.delete(entry.key);
+              else if (entry.op === 'clear') map.clear();
+              else map.set(entry.key, entry.value);
+            } catch (e) {
+              console.warn('Skipping corrupt storage line in', filePath);
+            }
+          }
+          data = map;
+          return map;
+        })();
+        // Let a later call retry after a failed read
+        loading.catch(() => { loading = null; });
+      }
+      return loading;
+    }
+
+    // Serialize file writes so lines never interleave
+    function append(entry) {
+      lineCount++;
+      if (compactRatio > 0 && lineCount >= 1000 && lineCount > data.size * compactRatio) {
+        return compact();
+      }
+      writeQueue = writeQueue.then(() => fs.promises.appendFile(filePath, JSON.stringify(entry) + '\n'));
+      return writeQueue;
+    }
+
+    async function compact() {
+      const map = await load();
+      const lines = Array.from(map.entries())
+        .map(([key, value]) => JSON.stringify({ op: 'set', key, value }) + '\n')
+        .join('');
+      lineCount = map.size;
+      writeQueue = writeQueue.then(() => fs.promises.writeFile(filePath, lines));
+      await writeQueue;
+    }
+
+    return {
+      async get(key) {
+        const map = await load();
+        return map.has(key) ? map.get(key) : null;
+      },
+      async set(key, value) {
+        (await load()).set(key, value);
+        await append({ op: 'set', key, value });
+      },
+      async delete(key) {
+        (await load()).delete(key);
+        await append({ op: 'delete', key });
+      },
+      async entries(prefix = '') {
+        const map = await load();
+        return Array.from(map.entries()).filter(([key]) => key.startsWith(prefix));
+      },
+      async clear() {
+        (await load()).clear();
+        await append({ op: 'clear' });
+      },
+      compact
+    };
+  }
+
+  /**
+   * Create an IndexedDB storage adapter (browsers only)
+   * @param {string} dbName - Database name (default: 'bz2api')
+   * @param {string} storeName - Object store name (default: 'kv')
+   * @returns {Object} Storage adapter
+   */
+  function createIndexedDBStorage(dbName = 'bz2api', storeName = 'kv') {
+    if (typeof indexedDB === 'undefined') {
+      throw new Error('createIndexedDBStorage requires IndexedDB');
+    }
+
+    let dbPromise = null;
+
+    function promisify(request) {
+      return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    function open() {
+      if (!dbPromise) {
+        const request = indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+        dbPromise = promisify(request);
+      }
+      return dbPromise;
+    }
+
+    async function withStore(mode, fn) {
+      const db = await open();
+      return promisify(fn(db.transaction(storeName, mode).objectStore(storeName)));
+    }
+
+    return {
+      async get(key) {
+        const value = await withStore('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+      },
+      async set(key, value) {
+        await withStore('readwrite', store => store.put(value, key));
+      },
+      async delete(key) {
+        await withStore('readwrite', store => store.delete(key));
+      },
+      async entries(prefix = '') {
+        const range = prefix ? IDBKeyRange.bound(prefix, prefix + '\uffff') : undefined;
+        const [keys, values] = await Promise.all([
+          withStore('readonly', store => store.getAllKeys(range)),
+          withStore('readonly', store => store.getAll(range))
+        ]);
+        return keys.map((key, i) => [key, values[i]]);
+      },
+      async clear() {
+        await withStore('readwrite', store => store.clear());
+      }
+    };
+  }
+
+  /**
+   * Create a localStorage storage adapter (browsers only)
+   * Values are JSON-serialized; writes that exceed the quota are dropped with a warning.
+   * @param {string} prefix - Key prefix inside localStorage (default: 'bz2api:')
+   * @param {Storage} store - Storage object (default: window.localStorage)
+   * @returns {Object} Storage adapter
+   */
+  function createLocalStorageStorage(prefix = 'bz2api:', store = globalThis.localStorage) {
+    if (!store) {
+      throw new Error('createLocalStorageStorage requires localStorage');
+    }
+
+    function ownKeys(keyPrefix) {
+      const keys = [];
+      for (let i = 0; i < store.length; i++) {
+        const key = store.key(i);
+        if (key && key.startsWith(prefix + keyPrefix)) keys.push(key);
+      }
+      return keys;
+    }
+
+    return {
+      async get(key) {
+        const value = store.getItem(prefix + key);
+        return value === null ? null : JSON.parse(value);
+      },
+      async set(key, value) {
+        try {
+          store.setItem(prefix + key, JSON.stringify(value));
+        } catch (e) {
+          console.warn('localStorage write failed:', e.message);
+        }
+      },
+      async delete(key) {
+        store.removeItem(prefix + key);
+      },
+      async entries(keyPrefix = '') {
+        return ownKeys(keyPrefix).map(key => [key.slice(prefix.length), JSON.parse(store.getItem(key))]);
+      },
+      async clear() {
+        for (const key of ownKeys('')) store.removeItem(key);
+      }
+    };
+  }
+
+  let defaultCacheStorage = null;
+
+  /**
+   * Get the shared persistent storage used for caches that should survive restarts
+   * Node.js: a JSON-lines file in $XDG_CACHE_HOME/bz2api (default: ~/.cache/bz2api/cache.jsonl).
+   * Browsers: localStorage under the 'bz2api:' prefix. Falls back to in-memory
+   * storage when neither is available.
+   * @returns {Object} Storage adapter (the same instance on every call)
+   */
+  function getDefaultCacheStorage() {
+    if (defaultCacheStorage) return defaultCacheStorage;
+
+    const isNode = typeof process !== 'undefined' && Boolean(process.versions?.node) && typeof require === 'function';
+    try {
+      if (isNode) {
+        const path = require('path');
+        const cacheHome = process.env.XDG_CACHE_HOME || path.join(require('os').homedir(), '.cache');
+        defaultCacheStorage = createJsonLinesStorage(path.join(cacheHome, 'bz2api', 'cache.jsonl'));
+      } else if (globalThis.localStorage) {
+        defaultCacheStorage = createLocalStorageStorage('bz2api:');
+      }
+    } catch (e) {
+      console.warn('Persistent cache unavailable, using memory:', e.message);
+    }
+    defaultCacheStorage = defaultCacheStorage || createMemoryStorage();
+    return defaultCacheStorage;
+  }
+
+  // ============================================================================
+  // CACHE
+  // ============================================================================
+
+  /**
+   * Create a TTL + LRU cache, optionally persisted to a storage adapter
+   * null values are negative-cache entries ("we looked and found nothing")
+   * and expire after negativeTtl. Persisted entries are loaded on first use,
+   * so a page reload or server restart starts warm.
+   * @param {Object} options - Cache options
+   * @param {number} options.ttl - Entry lifetime in ms, 0 = never expires (default: 0)
+   * @param {number} options.negativeTtl - Lifetime of null entries in ms, 0 = never expires (default: 5 minutes)
+   * @param {number} options.maxEntries - Maximum entries before least-recently-used eviction (default: Infinity)
+   * @param {Object} options.storage - Storage adapter for persistence (default: none)
+   * @param {string} options.namespace - Key prefix inside the storage adapter (default: 'cache:')
+   * @returns {Object} Cache with async get, set, has, delete, clear, prune and size methods
+   */
+  function createCache(options = {}) {
+    const {
+      ttl = 0,
+      negativeTtl = 5 * 60 * 1000,
+      maxEntries = Infinity,
+      storage = null,
+      namespace = 'cache:'
+    } = options;
+
+    // Map iteration order doubles as LRU order (oldest first)
+    const entries = new Map();
+    let ready = null;
+
+    function load() {
+      if (!ready) {
+        ready = (async () => {
+          if (!storage) return;
+          try {
+            for (const [storageKey, entry] of await storage.entries(namespace)) {
+              if (entry && 'value' in entry) entries.set(storageKey.slice(namespace.length), entry);
+            }
+          } catch (e) {
+            console.warn('Cache load failed:', e.message);
+          }
+          await evict();
+        })();
+      }
+      return ready;
+    }
+
+    function isExpired(entry) {
+      return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+    }
+
+    async function persist(key, entry) {
+      if (!storage) return;
+      try {
+        if (entry) await storage.set(namespace + key, entry);
+        else await storage.delete(namespace + key);
+      } catch (e) {
+        console.warn('Cache persistence failed:', e.message);
+      }
+    }
+
+    async function evict() {
+      while (entries.size > maxEntries) {
+        const oldestKey = entries.keys().next().value;
+        entries.delete(oldestKey);
+        await persist(oldestKey, null);
+      }
+    }
+
+    /**
+     * Get a cached value
+     * @param {string} key - Cache key
+     * @returns {Promise<*>} Cached value (null for negative entries) or undefined on miss
+     */
+    async function get(key) {
+      await load();
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (isExpired(entry)) {
+        entries.delete(key);
+        await persist(key, null);
+        return undefined;
+      }
+      // Refresh LRU position
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    }
+
+    /**
+     * Store a value (null/undefined stores a negative entry)
+     * @param {string} key - Cache key
+     * @param {*} value - Value to cache (must be JSON-serializable when persisted)
+     * @param {number} entryTtl - Lifetime override in ms for this entry
+     * @returns {Promise<void>}
+     */
+    async function set(key, value, entryTtl) {
+      await load();
+      const isNegative = value === null || value === undefined;
+      const lifetime = entryTtl ?? (isNegative ? negativeTtl : ttl);
+      const entry = { value: isNegative ? null : value, expiresAt: lifetime > 0 ? Date.now() + lifetime : null };
+      entries.delete(key);
+      entries.set(key, entry);
+      await persist(key, entry);
+      await evict();
+    }
+
+    async function has(key) {
+      return (await get(key)) !== undefined;
+    }
+
+    async function remove(key) {
+      await load();
+      entries.delete(key);
+      await persist(key, null);
+    }
+
+    async function clear() {
+      await load();
+      const keys = Array.from(entries.keys());
+      entries.clear();
+      await Promise.all(keys.map(key => persist(key, null)));
+    }
+
+    /**
+     * Drop every expired entry
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async function prune() {
+      await load();
+      let removed = 0;
+      for (const [key, entry] of Array.from(entries)) {
+        if (isExpired(entry)) {
+          entries.delete(key);
+          await persist(key, null);
+          removed++;
+        }
+      }
+      return removed;
+    }
+
+    return {
+      get,
+      set,
+      has,
+      delete: remove,
+      clear,
+      prune,
+      size: () => entries.size
+    };
+  }
+
+  // ============================================================================
+  // SESSION HISTORY
+  // ============================================================================
+
+  /**
+   * Create a recorder that persists every poll into a storage adapter
+   * Sessions are stored under "session:{guid}" and player appearances under
+   * "appearance:{guid}:{playerKey}", each with firstSeen/lastSeen timestamps.
+   * Snapshots are written one at a time, so a slow storage backend never sees
+   * two read-modify-write passes over the same record.
+   * @param {Object} options - Recorder options
+   * @param {Object} options.storage - Storage adapter (default: in-memory)
+   * @returns {Object} Recorder with record, attach and query methods
+   */
+  function createSessionRecorder(options = {}) {
+    const { storage = createMemoryStorage() } = options;
+
+    let queue = Promise.resolve();
+
+    /**
+     * Record one snapshot (queued behind any snapshot still being written)
+     * @param {Object|Object[]} resultOrSessions - fetchSessions() result or array of parsed sessions
+     * @param {string} timestamp - ISO timestamp (default: result.timestamp or now)
+     * @returns {Promise<void>}
+     */
+    function record(resultOrSessions, timestamp) {
+      const sessions = Array.isArray(resultOrSessions) ? resultOrSessions : resultOrSessions.sessions;
+      const seenAt = timestamp || resultOrSessions.timestamp || new Date().toISOString();
+      const run = queue.then(() => writeSnapshot(sessions, seenAt));
+      queue = run.catch(() => {});
+      return run;
+    }
+
+    async function writeSnapshot(sessions, seenAt) {
+
+      for (const session of sessions) {
+        const guid = getSessionKey(session);
+        const sessionKey = `session:${guid}`;
+        const existing = await storage.get(sessionKey);
+
+        const playerKeys = new Set(existing?.playerKeys || []);
+        const states = new Set(existing?.states || []);
+        states.add(session.state);
+
+        for (const player of session.players) {
+          const playerKey = getPlayerKey(player);
+          playerKeys.add(playerKey);
+
+          const appearanceKey = `appearance:${guid}:${playerKey}`;
+          const appearance = await storage.get(appearanceKey);
+          await storage.set(appearanceKey, {
+            guid,
+            playerKey,
+            name: player.name,
+            steamId: player.steamId,
+            gogId: player.gogId,
+            platform: player.platform,
+            team: player.team,
+            isCommander: Boolean(appearance?.isCommander || player.isCommander),
+            kills: player.kills,
+            deaths: player.deaths,
+            score: player.score,
+            firstSeen: appearance?.firstSeen || seenAt,
+            lastSeen: seenAt
+          });
+        }
+
+        await storage.set(sessionKey, {
+          guid,
+          id: session.id,
+          name: session.name,
+          version: session.version,
+          gameType: session.gameType,
+          gameMode: session.gameMode,
+          gameBalance: session.gameBalance,
+          mapFile: session.mapFile,
+          mapName: session.mapName ?? existing?.mapName ?? null,
+          primaryMod: session.primaryMod,
+          maxPlayers: session.maxPlayers,
+          peakPlayerCount: Math.max(existing?.peakPlayerCount || 0, session.playerCount),
+          state: session.state,
+          states: Array.from(states),
+          playerKeys: Array.from(playerKeys),
+          snapshotCount: (existing?.snapshotCount || 0) + 1,
+          firstSeen: existing?.firstSeen || seenAt,
+          lastSeen: seenAt
+        });
+      }
+    }
+
+    /**
+     * Record every update emitted by a session watcher
+     * @param {Object} watcher - Watcher from createSessionWatcher()
+     * @returns {Function} Unsubscribe function
+     */
+    function attach(watcher) {
+      return watcher.on('update', ({ result }) => {
+        record(result).catch(e => console.warn('Session recorder failed:', e.message));
+      });
+    }
+
+    /**
+     * Check whether a record's [firstSeen, lastSeen] overlaps a time window
+     */
+    function overlaps(entry, from, to) {
+      if (from && Date.parse(entry.lastSeen) < Date.parse(from)) return false;
+      if (to && Date.parse(entry.firstSeen) > Date.parse(to)) return false;
+      return true;
+    }
+
+    /**
+     * Get a single recorded session
+     * @param {string} guid - Session GUID
+     * @returns {Promise<Object|null>} Session record
+     */
+    async function getSession(guid) {
+      return storage.get(`session:${guid}`);
+    }
+
+    /**
+     * Get player appearances, optionally filtered
+     * @param {Object} filter - Filter options
+     * @param {string} filter.guid - Only appearances in this session
+     * @param {string} filter.playerKey - Only appearances of this player (Steam/GOG ID)
+     * @param {string} filter.from - ISO timestamp lower bound
+     * @param {string} filter.to - ISO timestamp upper bound
+     * @returns {Promise<Object[]>} Appearance records sorted by firstSeen
+     */
+    async function getAppearances(filter = {}) {
+      const { guid, playerKey, from, to } = filter;
+      const prefix = guid ? `appearance:${guid}:` : 'appearance:';
+      const entries = await storage.entries(prefix);
+      return entries
+        .map(([, appearance]) => appearance)
+        .filter(a => !playerKey || a.playerKey === playerKey)
+        .filter(a => overlaps(a, from, to))
+        .sort((a, b) => a.firstSeen.localeCompare(b.firstSeen));
+    }
+
+    /**
+     * Get recorded sessions, optionally filtered
+     * @param {Object} filter - Filter options
+     * @param {string} filter.from - ISO timestamp lower bound
+     * @param {string} filter.to - ISO timestamp upper bound
+     * @param {string} filter.mapFile - Only sessions on this map
+     * @param {string} filter.playerKey - Only sessions this player appeared in
+     * @param {boolean} filter.includePlayers - Attach appearance records as `players`
+     * @returns {Promise<Object[]>} Session records sorted by firstSeen
+     */
+    async function getSessions(filter = {}) {
+      const { from, to, mapFile, playerKey, includePlayers = false } = filter;
+      const entries = await storage.entries('session:');
+      const sessions = entries
+        .map(([, session]) => session)
+        .filter(s => overlaps(s, from, to))
+        .filter(s => !mapFile || s.mapFile === mapFile)
+        .filter(s => !playerKey || s.playerKeys.includes(playerKey))
+        .sort((a, b) => a.firstSeen.localeCompare(b.firstSeen));
+
+      if (!includePlayers) return sessions;
+      return Promise.all(sessions.map(async session => ({
+        ...session,
+        players: await getAppearances({ guid: session.guid })
+      })));
+    }
+
+    return {
+      record,
+      attach,
+      getSession,
+      getSessions,
+      getAppearances,
+      storage
+    };
+  }
+
+  // ============================================================================
+  // PLAYER STATISTICS
+  // ============================================================================
+
+  /**
+   * Rank the keys of a count object, most frequent first
+   * @param {Object} counts - Object of key -> count
+   * @returns {Object[]} Array of { id, count } sorted by count descending
+   */
+  function rankCounts(counts) {
+    return Object.entries(counts)
+      .map(([id, count]) => ({ id, count }))
+      .sort((a, b) => b.count - a.count || a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Create a player statistics aggregator fed by successive snapshots
+   * A game is counted once its session has been seen InGame and then either
+   * disappears or returns to PreGame; final kills/deaths/score are the last
+   * values seen for each player before that point. Only players seen while the
+   * session was InGame or PostGame are credited with the game.
+   * @param {Object} options - Aggregator options
+   * @param {number} options.maxGapMs - Longest gap between snapshots counted as in-game time (default: 5 minutes)
+   * @returns {Object} Aggregator with add, flush, getPlayer and getPlayers methods
+   */
+  function createPlayerStats(options = {}) {
+    const { maxGapMs = 5 * 60 * 1000 } = options;
+
+    // Per-player totals keyed by Steam/GOG ID
+    const players = new Map();
+    // Games in progress keyed by session GUID
+    const openGames = new Map();
+
+    function getTotals(player) {
+      const key = getPlayerKey(player);
+      if (!players.has(key)) {
+        players.set(key, {
+          id: key,
+          steamId: player.steamId,
+          gogId: player.gogId,
+          platform: player.platform,
+          name: player.name,
+          names: [],
+          gamesPlayed: 0,
+          timeInGameMs: 0,
+          kills: 0,
+          deaths: 0,
+          score: 0,
+          commanderGames: 0,
+          maps: {},
+          mods: {},
+          lastSeen: null
+        });
+      }
+      return players.get(key);
+    }
+
+    /**
+     * Fold a finished game into the per-player totals
+     */
+    function finalizeGame(game) {
+      if (!game.reachedInGame) return;
+
+      for (const [key, entry] of game.players) {
+        // Players who left the lobby before the game started didn't play it
+        if (!entry.playedInGame) continue;
+        const totals = players.get(key);
+        totals.gamesPlayed++;
+        totals.kills += entry.player.kills || 0;
+        totals.deaths += entry.player.deaths || 0;
+        totals.score += entry.player.score || 0;
+        if (entry.wasCommander) totals.commanderGames++;
+        if (game.mapFile) totals.maps[game.mapFile] = (totals.maps[game.mapFile] || 0) + 1;
+        for (const modId of game.modIds) {
+          totals.mods[modId] = (totals.mods[modId] || 0) + 1;
+        }
+      }
+    }
+
+    function startGame(session) {
+      return {
+        mapFile: session.mapFile,
+        modIds: session.mods.map(m => m.id),
+        reachedInGame: false,
+        lastTimestamp: null,
+        players: new Map()
+      };
+    }
+
+    /**
+     * Add one snapshot
+     * @param {Object|Object[]} resultOrSessions - fetchSessions() result or array of parsed sessions
+     * @param {string} timestamp - ISO timestamp (default: result.timestamp or now)
+     */
+    function add(resultOrSessions, timestamp) {
+      const sessions = Array.isArray(resultOrSessions) ? resultOrSessions : resultOrSessions.sessions;
+      const seenAt = timestamp || resultOrSessions.timestamp || new Date().toISOString();
+      const now = Date.parse(seenAt);
+      const currentKeys = new Set();
+
+      for (const session of sessions) {
+        const sessionKey = getSessionKey(session);
+        currentKeys.add(sessionKey);
+
+        let game = openGames.get(sessionKey);
+
+        // Back in the lobby after playing = the previous game is over
+        if (game && game.reachedInGame && session.state === 'PreGame') {
+          finalizeGame(game);
+          game = null;
+        }
+        if (!game) {
+          game = startGame(session);
+          openGames.set(sessionKey, game);
+        }
+
+        const isPlaying = session.state === 'InGame' || session.state === 'PostGame';
+        if (isPlaying) game.reachedInGame = true;
+        game.mapFile = session.mapFile;
+
+        const elapsed = game.lastTimestamp === null ? 0 : now - game.lastTimestamp;
+
+        for (const player of session.players) {
+          const key = getPlayerKey(player);
+          const totals = getTotals(player);
+          totals.name = player.name;
+          if (!totals.names.includes(player.name)) totals.names.push(player.name);
+          totals.lastSeen = seenAt;
+
+          const entry = game.players.get(key);
+          // Only count time between two snapshots that both saw the player in-game
+          if (entry?.inGame && session.state === 'InGame' && elapsed > 0 && elapsed <= maxGapMs) {
+            totals.timeInGameMs += elapsed;
+          }
+          game.players.set(key, {
+            player,
+            inGame: session.state === 'InGame',
+            playedInGame: Boolean(entry?.playedInGame || isPlaying),
+            wasCommander: Boolean(entry?.wasCommander || (isPlaying && player.isCommander))
+          });
+        }
+
+        game.lastTimestamp = now;
+      }
+
+      // Sessions that vanished have ended
+      for (const [sessionKey, game] of openGames) {
+        if (!currentKeys.has(sessionKey)) {
+          finalizeGame(game);
+          openGames.delete(sessionKey);
+        }
+      }
+    }
+
+    /**
+     * Finalize every game still in progress (e.g. at the end of a batch import)
+     */
+    function flush() {
+      for (const game of openGames.values()) {
+        finalizeGame(game);
+      }
+      openGames.clear();
+    }
+
+    function toStats(totals) {
+      return {
+        ...totals,
+        names: [...totals.names],
+        maps: { ...totals.maps },
+        mods: { ...totals.mods },
+        timeInGameMinutes: Math.round(totals.timeInGameMs / 60000),
+        favouriteMaps: rankCounts(totals.maps).map(({ id, count }) => ({ mapFile: id, count })),
+        preferredMods: rankCounts(totals.mods).map(({ id, count }) => ({ modId: id, count }))
+      };
+    }
+
+    /**
+     * Get statistics for one player
+     * @param {string} playerId - Steam or GOG ID
+     * @returns {Object|null} Player statistics
+     */
+    function getPlayer(playerId) {
+      const totals = players.get(playerId);
+      return totals ? toStats(totals) : null;
+    }
+
+    /**
+     * Get statistics for every player seen
+     * @param {Object} queryOptions - Query options
+     * @param {string} queryOptions.sortBy - Field to sort by, descending (default: 'gamesPlayed')
+     * @returns {Object[]} Player statistics
+     */
+    function getPlayers(queryOptions = {}) {
+      const { sortBy = 'gamesPlayed' } = queryOptions;
+      return Array.from(players.values())
+        .map(toStats)
+        .sort((a, b) => (b[sortBy] ?? 0) - (a[sortBy] ?? 0));
+    }
+
+    return {
+      add,
+      flush,
+      getPlayer,
+      getPlayers,
+      reset: () => { players.clear(); openGames.clear(); }
+    };
+  }
+
+  // ============================================================================
+  // MATCH RESULTS
+  // ============================================================================
+
+  /**
+   * Infer the outcome of a finished match from its final player stats
+   * Team modes compare aggregate team score; FFA/DM modes pick the top scorer.
+   * MPI is humans vs AI, so no winner can be inferred from the lobby.
+   * @param {Object[]} players - Final player entries ({ playerKey, team, score, ... })
+   * @param {Object} session - Last parsed session snapshot
+   * @returns {Object} { teams, winningTeam, winnerPlayerKey, isDraw }
+   */
+  function inferMatchOutcome(players, session) {
+    const outcome = { teams: [], winningTeam: null, winnerPlayerKey: null, isDraw: false };
+
+    if (session.gameMode === 'MPI') return outcome;
+
+    if (session.isTeamGame) {
+      for (const teamNumber of [1, 2]) {
+        const members = players.filter(p => p.team === teamNumber);
+        outcome.teams.push({
+          team: teamNumber,
+          playerKeys: members.map(p => p.playerKey),
+          score: members.reduce((sum, p) => sum + (p.score || 0), 0),
+          kills: members.reduce((sum, p) => sum + (p.kills || 0), 0),
+          deaths: members.reduce((sum, p) => sum + (p.deaths || 0), 0)
+        });
+      }
+      const [team1, team2] = outcome.teams;
+      if (team1.playerKeys.length === 0 || team2.playerKeys.length === 0) return outcome;
+      if (team1.score === team2.score) {
+        outcome.isDraw = true;
+      } else {
+        outcome.winningTeam = team1.score > team2.score ? 1 : 2;
+      }
+      return outcome;
+    }
+
+    const ranked = players
+      .filter(p => p.score !== null)
+      .sort((a, b) => b.score - a.score);
+    if (ranked.length === 0) return outcome;
+    if (ranked.length > 1 && ranked[0].score === ranked[1].score) {
+      outcome.isDraw = true;
+    } else {
+      outcome.winnerPlayerKey = ranked[0].playerKey;
+    }
+    return outcome;
+  }
+
+  /**
+   * Build a MatchResult from a tracked game
+   * @param {Object} game - Tracked game state
+   * @param {string} endReason - 'postgame', 'restarted' or 'disappeared'
+   * @param {string} endedAt - ISO timestamp of the final observation
+   * @returns {Object} MatchResult
+   */
+  function buildMatchResult(game, endReason, endedAt) {
+    const session = game.session;
+    const players = Array.from(game.players.values()).map(({ player, playerKey, lastSeen, wasCommander }) => ({
+      playerKey,
+      name: player.name,
+      steamId: player.steamId,
+      gogId: player.gogId,
+      platform: player.platform,
+      team: player.team,
+      teamSlot: player.teamSlot,
+      isCommander: wasCommander,
+      kills: player.kills,
+      deaths: player.deaths,
+      score: player.score,
+      leftEarly: lastSeen !== game.lastSeen
+    }));
+
+    return {
+      matchId: `${game.guid}:${game.startedAt}`,
+      guid: game.guid,
+      sessionName: session.name,
+      mapFile: session.mapFile,
+      mapName: session.mapName ?? null,
+      gameType: session.gameType,
+      gameMode: session.gameMode,
+      gameModeName: session.gameModeName,
+      gameBalance: session.gameBalance,
+      isTeamGame: session.isTeamGame,
+      mods: session.mods.map(m => m.id),
+      startedAt: game.startedAt,
+      endedAt,
+      durationMinutes: Math.round((Date.parse(endedAt) - Date.parse(game.startedAt)) / 60000),
+      endReason,
+      // Only a PostGame snapshot carries the scoreboard as the game saw it end
+      complete: endReason === 'postgame',
+      players,
+      ...inferMatchOutcome(players, session)
+    };
+  }
+
+  /**
+   * Create a tracker that turns successive snapshots into MatchResult objects
+   * A match starts when a session is seen InGame and ends when it reaches
+   * PostGame, drops back to PreGame or disappears. Emits 'match' per result.
+   * @returns {Object} Tracker with update, attach, on, off and once methods
+   */
+  function createMatchTracker() {
+    const emitter = createEmitter();
+    // Games in progress keyed by session GUID
+    const games = new Map();
+
+    function observe(game, session, seenAt) {
+      game.session = session;
+      game.lastSeen = seenAt;
+      for (const player of session.players) {
+        const playerKey = getPlayerKey(player);
+        const previous = game.players.get(playerKey);
+        game.players.set(playerKey, {
+          player,
+          playerKey,
+          lastSeen: seenAt,
+          wasCommander: Boolean(previous?.wasCommander || player.isCommander)
+        });
+      }
+    }
+
+    /**
+     * Feed one snapshot
+     * @param {Object|Object[]} resultOrSessions - fetchSessions() result or array of parsed sessions
+     * @param {string} timestamp - ISO timestamp (default: result.timestamp or now)
+     * @returns {Object[]} MatchResults finalized by this snapshot
+     */
+    function update(resultOrSessions, timestamp) {
+      const sessions = Array.isArray(resultOrSessions) ? resultOrSessions : resultOrSessions.sessions;
+      const seenAt = timestamp || resultOrSessions.timestamp || new Date().toISOString();
+      const results = [];
+      const currentKeys = new Set();
+
+      for (const session of sessions) {
+        const guid = getSessionKey(session);
+        currentKeys.add(guid);
+        const game = games.get(guid);
+
+        if (session.state === 'InGame') {
+          if (!game || game.finished) {
+            const newGame = { guid, startedAt: seenAt, players: new Map(), finished: false };
+            observe(newGame, session, seenAt);
+            games.set(guid, newGame);
+          } else {
+            observe(game, session, seenAt);
+          }
+        } else if (session.state === 'PostGame') {
+          if (game && !game.finished) {
+            observe(game, session, seenAt);
+            game.finished = true;
+            results.push(buildMatchResult(game, 'postgame', seenAt));
+          }
+        } else if (game) {
+          // Back in the lobby (or unknown) - the previous game ended without a scoreboard
+          if (!game.finished) results.push(buildMatchResult(game, 'restarted', game.lastSeen));
+          games.delete(guid);
+        }
+      }
+
+      for (const [guid, game] of games) {
+        if (!currentKeys.has(guid)) {
+          if (!game.finished) results.push(buildMatchResult(game, 'disappeared', game.lastSeen));
+          games.delete(guid);
+        }
+      }
+
+      for (const result of results) {
+        emitter.emit('match', result);
+      }
+      return results;
+    }
+
+    /**
+     * Feed every update emitted by a session watcher
+     * @param {Object} watcher - Watcher from createSessionWatcher()
+     * @returns {Function} Unsubscribe function
+     */
+    function attach(watcher) {
+      return watcher.on('update', ({ result }) => update(result));
+    }
+
+    return {
+      update,
+      attach,
+      on: emitter.on,
+      off: emitter.off,
+      once: emitter.once,
+      reset: () => games.clear()
+    };
+  }
+
+  // ============================================================================
+  // PLAYER RATINGS
+  // ============================================================================
+  // Elo ratings fed by MatchResult objects. Team games compare the average
+  // rating of each side (commanders count extra in Strategy); FFA and
+  // Deathmatch games are scored as every pair of players facing each other.
+  // Ratings are kept per mode family, so a good DM player doesn't start a
+  // Strategy game as a favourite.
+
+  /**
+   * Default mode family for a match
+   * @param {Object} match - MatchResult
+   * @returns {string|null} 'DM', 'STRAT', or null for matches that can't be rated (MPI)
+   */
+  function getModeFamily(match) {
+    if (match.gameMode === 'MPI') return null;
+    if (match.gameType === 'DM') return 'DM';
+    if (match.gameType === 'STRAT') return 'STRAT';
+    return null;
+  }
+
+  /**
+   * Expected score of a player rated `rating` against one rated `opponent`
+   */
+  function expectedScore(rating, opponent) {
+    return 1 / (1 + Math.pow(10, (opponent - rating) / 400));
+  }
+
+  /**
+   * Whether a player won, drew or lost a rated match
+   */
+  function playerOutcome(match, player, topScore) {
+    if (match.isTeamGame) {
+      if (match.isDraw) return 'draw';
+      return match.winningTeam === player.team ? 'win' : 'loss';
+    }
+    // FFA: only the top scorers share a draw
+    if (player.score !== topScore) return 'loss';
+    return match.isDraw ? 'draw' : 'win';
+  }
+
+  /**
+   * Create a rating engine that turns match results into per-player ratings
+   * Ratings are stored under "rating:{family}:{playerKey}" and rated matches
+   * under "rated:{matchId}", so feeding the same match twice is harmless.
+   * Only players with a Steam or GOG ID are rated; others still count towards
+   * their team's strength at the initial rating. Emits 'rated' per rated match.
+   * @param {Object} options - Engine options
+   * @param {Object} options.storage - Storage adapter (default: in-memory)
+   * @param {number} options.initialRating - Rating of a player's first match (default: 1500)
+   * @param {number} options.kFactor - Maximum rating change per match (default: 32)
+   * @param {number} options.commanderWeight - Weight of commanders in Strategy games (default: 2)
+   * @param {boolean} options.completeOnly - Skip matches without a final scoreboard (default: true)
+   * @param {Function} options.getModeFamily - Maps a match to a family name, or null to skip it
+   * @returns {Object} Engine with rateMatch, attach, getRating, getLeaderboard, reset, on, off and once
+   */
+  function createRatingEngine(options = {}) {
+    const {
+      storage = createMemoryStorage(),
+      initialRating = 1500,
+      kFactor = 32,
+      commanderWeight = 2,
+      completeOnly = true,
+      getModeFamily: familyOf = getModeFamily
+    } = options;
+
+    const emitter = createEmitter();
+    // Serialize rating updates so concurrent matches never read stale ratings
+    let queue = Promise.resolve();
+
+    const ratingKey = (family, playerKey) => `rating:${family}:${playerKey}`;
+
+    /**
+     * Rating deltas for a two-team match
+     */
+    function teamDeltas(match, entries, family) {
+      const weightOf = (entry) => (family === 'STRAT' && entry.player.isCommander ? commanderWeight : 1);
+      const sides = [1, 2].map(team => {
+        const members = entries.filter(e => e.player.team === team);
+        const totalWeight = members.reduce((sum, e) => sum + weightOf(e), 0);
+        const rating = members.reduce((sum, e) => sum + e.rating * weightOf(e), 0) / totalWeight;
+        return { team, members, totalWeight, rating };
+      });
+      if (sides.some(side => side.members.length === 0)) return null;
+
+      const deltas = new Map();
+      for (const [side, other] of [sides, [...sides].reverse()]) {
+        const actual = match.isDraw ? 0.5 : match.winningTeam === side.team ? 1 : 0;
+        const change = kFactor * (actual - expectedScore(side.rating, other.rating));
+        // Split the team's change by weight; commanders carry more of the result
+        for (const entry of side.members) {
+          deltas.set(entry.player.playerKey, change * side.members.length * weightOf(entry) / side.totalWeight);
+        }
+      }
+      return deltas;
+    }
+
+    /**
+     * Rating deltas for a free-for-all match, scored pairwise by final score
+     */
+    function ffaDeltas(entries) {
+      const deltas = new Map();
+      for (const entry of entries) {
+        let change = 0;
+        for (const other of entries) {
+          if (other === entry) continue;
+          const actual = entry.player.score > other.player.score ? 1 : entry.player.score < other.player.score ? 0 : 0.5;
+          change += actual - expectedScore(entry.rating, other.rating);
+        }
+        deltas.set(entry.player.playerKey, kFactor * change / (entries.length - 1));
+      }
+      return deltas;
+    }
+
+    async function rate(match) {
+      if (completeOnly && !match.complete) return null;
+      const family = familyOf(match);
+      if (!family) return null;
+      if (await storage.get(`rated:${match.matchId}`)) return null;
+
+      const players = match.players.filter(p => p.team !== null || !match.isTeamGame);
+      const entries = await Promise.all(players.map(async player => {
+        const identified = Boolean(player.steamId || player.gogId);
+        const record = identified ? await storage.get(ratingKey(family, player.playerKey)) : null;
+        return { player, identified, record, rating: record ? record.rating : initialRating };
+      }));
+
+      let deltas = null;
+      if (match.isTeamGame) {
+        if (match.winningTeam !== null || match.isDraw) deltas = teamDeltas(match, entries, family);
+      } else if (entries.filter(e => e.player.score !== null).length >= 2) {
+        deltas = ffaDeltas(entries.filter(e => e.player.score !== null));
+      }
+      if (!deltas) return null;
+
+      const topScore = Math.max(...players.map(p => p.score ?? -Infinity));
+      const changes = [];
+      for (const { player, identified, record, rating } of entries) {
+        if (!identified || !deltas.has(player.playerKey)) continue;
+        const delta = Math.round(deltas.get(player.playerKey) * 10) / 10;
+        const after = Math.round((rating + delta) * 10) / 10;
+        const outcome = playerOutcome(match, player, topScore);
+
+        await storage.set(ratingKey(family, player.playerKey), {
+          playerKey: player.playerKey,
+          family,
+          name: player.name,
+          steamId: player.steamId,
+          gogId: player.gogId,
+          platform: player.platform,
+          rating: after,
+          peakRating: Math.max(record?.peakRating ?? initialRating, after),
+          matches: (record?.matches || 0) + 1,
+          wins: (record?.wins || 0) + (outcome === 'win' ? 1 : 0),
+          draws: (record?.draws || 0) + (outcome === 'draw' ? 1 : 0),
+          losses: (record?.losses || 0) + (outcome === 'loss' ? 1 : 0),
+          commanderMatches: (record?.commanderMatches || 0) + (player.isCommander ? 1 : 0),
+          lastPlayed: match.endedAt
+        });
+        changes.push({ playerKey: player.playerKey, name: player.name, team: player.team, before: rating, after, delta });
+      }
+
+      await storage.set(`rated:${match.matchId}`, { matchId: match.matchId, family, ratedAt: match.endedAt });
+      const rated = { matchId: match.matchId, family, changes };
+      emitter.emit('rated', rated);
+      return rated;
+    }
+
+    /**
+     * Update ratings from one finished match
+     * @param {Object} match - MatchResult from createMatchTracker()
+     * @returns {Promise<Object|null>} { matchId, family, changes }, or null if the match was skipped
+     */
+    function rateMatch(match) {
+      const run = queue.then(() => rate(match));
+      queue = run.catch(() => {});
+      return run;
+    }
+
+    /**
+     * Rate every match emitted by a match tracker
+     * @param {Object} tracker - Tracker from createMatchTracker()
+     * @returns {Function} Unsubscribe function
+     */
+    function attach(tracker) {
+      return tracker.on('match', (match) => {
+        rateMatch(match).catch(e => console.warn('Rating update failed:', e.message));
+      });
+    }
+
+    /**
+     * Get a player's rating record
+     * @param {string} playerKey - Steam or GOG ID (see getPlayerKey)
+     * @param {string} family - Mode family ('DM' or 'STRAT' by default)
+     * @returns {Promise<Object|null>} Rating record
+     */
+    async function getRating(playerKey, family) {
+      return storage.get(ratingKey(family, playerKey));
+    }
+
+    /**
+     * Get the players of a mode family ordered by rating
+     * @param {Object} query - Leaderboard options
+     * @param {string} query.family - Mode family (default: 'STRAT')
+     * @param {number} query.minMatches - Leave out players with fewer rated matches (default: 1)
+     * @param {number} query.limit - Maximum number of entries (default: 50)
+     * @returns {Promise<Object[]>} Rating records with a 1-based rank
+     */
+    async function getLeaderboard(query = {}) {
+      const { family = 'STRAT', minMatches = 1, limit = 50 } = query;
+      const entries = await storage.entries(`rating:${family}:`);
+      return entries
+        .map(([, record]) => record)
+        .filter(record => record.matches >= minMatches)
+        .sort((a, b) => b.rating - a.rating || b.matches - a.matches)
+        .slice(0, limit)
+        .map((record, index) => ({ rank: index + 1, ...record }));
+    }
+
+    /**
+     * Forget all ratings and rated matches (other keys in the storage are kept)
+     * @returns {Promise<void>}
+     */
+    async function reset() {
+      for (const prefix of ['rating:', 'rated:']) {
+        for (const [key] of await storage.entries(prefix)) {
+          await storage.delete(key);
+        }
+      }
+    }
+
+    return {
+      rateMatch,
+      attach,
+      getRating,
+      getLeaderboard,
+      reset,
+      on: emitter.on,
+      off: emitter.off,
+      once: emitter.once,
+      storage
+    };
+  }
+
+  // ============================================================================
+  // TEAM BALANCER
+  // ============================================================================
+  // A lobby has at most ten team players, so every split can be tried: at most
+  // 252 for ten players. Each team's strength is rated the same way as in
+  // createRatingEngine, and the splits whose expected outcome is closest to
+  // 50/50 are suggested first.
+
+  /**
+   * Propose balanced team splits for a Strategy lobby that hasn't started
+   * @param {Object} session - Parsed session (STRAT, PreGame, up to 10 team players)
+   * @param {Object} options - Balancer options
+   * @param {Object|Map} options.ratings - Ratings keyed by player key (see getPlayerKey)
+   * @param {Function} options.getRating - Alternative to ratings: (player) => rating or null
+   * @param {number} options.defaultRating - Rating of players without one (default: 1500)
+   * @param {boolean} options.lockCommanders - Keep current commanders on their team (default: true)
+   * @param {number} options.commanderWeight - Weight of commanders in team strength (default: 2)
+   * @param {number} options.limit - Maximum number of proposals (default: 3)
+   * @returns {Object} { current, proposals } where each entry has teams, ratings, win probability and moves
+   */
+  function suggestTeamSplits(session, options = {}) {
+    const {
+      ratings = {},
+      getRating,
+      defaultRating = 1500,
+      lockCommanders = true,
+      commanderWeight = 2,
+      limit = 3
+    } = options;
+
+    if (session.gameMode !== 'STRAT') {
+      throw new Error(`Team balancing needs a STRAT game, got ${session.gameMode}`);
+    }
+    if (session.state !== 'PreGame') {
+      throw new Error(`Team balancing needs a PreGame lobby, got ${session.state}`);
+    }
+
+    const players = session.players.filter(p => !p.isHidden);
+    if (players.length > 2 * TEAM_SIZE) {
+      throw new Error(`Too many players to balance: ${players.length} (max ${2 * TEAM_SIZE})`);
+    }
+
+    const lookup = ratings instanceof Map ? (key) => ratings.get(key) : (key) => ratings[key];
+    const entries = players.map(player => {
+      const playerKey = getPlayerKey(player);
+      const rating = getRating ? getRating(player) : lookup(playerKey);
+      return {
+        player,
+        playerKey,
+        rating: Number.isFinite(rating) ? rating : defaultRating,
+        locked: lockCommanders && player.isCommander && player.team !== null
+      };
+    });
+
+    /**
+     * Describe one arrangement: team strengths, prediction and moves from the current teams
+     * The current teams are rated with their actual commanders; proposals keep
+     * a locked commander, otherwise the strongest player would command.
+     */
+    function evaluate(team1, team2, isCurrent = false) {
+      const sides = [team1, team2].map((members, index) => {
+        const team = index + 1;
+        const commander = members.find(e => (isCurrent ? e.player.isCommander : e.locked)) ||
+          [...members].sort((a, b) => b.rating - a.rating)[0] || null;
+        const weightOf = (e) => (e === commander ? commanderWeight : 1);
+        const totalWeight = members.reduce((sum, e) => sum + weightOf(e), 0);
+        return {
+          team,
+          players: members.map(e => ({ playerKey: e.playerKey, name: e.player.name, rating: e.rating })),
+          commander: commander ? commander.player.name : null,
+          rating: totalWeight > 0
+            ? Math.round(members.reduce((sum, e) => sum + e.rating * weightOf(e), 0) / totalWeight * 10) / 10
+            : null
+        };
+      });
+
+      const [side1, side2] = sides;
+      const team1WinProbability = side1.rating !== null && side2.rating !== null
+        ? Math.round(expectedScore(side1.rating, side2.rating) * 100) / 100
+        : null;
+      const moves = [];
+      for (const [members, team] of [[team1, 1], [team2, 2]]) {
+        for (const e of members) {
+          if (e.player.team !== team) moves.push({ playerKey: e.playerKey, name: e.player.name, from: e.player.team, to: team });
+        }
+      }
+
+      return {
+        teams: sides,
+        ratingDifference: side1.rating !== null && side2.rating !== null
+          ? Math.round(Math.abs(side1.rating - side2.rating) * 10) / 10
+          : null,
+        team1WinProbability,
+        favoredTeam: team1WinProbability === null || team1WinProbability === 0.5 ? null : team1WinProbability > 0.5 ? 1 : 2,
+        moves
+      };
+    }
+
+    const current = evaluate(entries.filter(e => e.player.team === 1), entries.filter(e => e.player.team === 2), true);
+
+    const fixed1 = entries.filter(e => e.locked && e.player.team === 1);
+    const fixed2 = entries.filter(e => e.locked && e.player.team === 2);
+    const free = entries.filter(e => !e.locked);
+
+    // Every way to fill team 1 from the free players; with an odd player count
+    // either team may take the extra one. A split and its mirror image are the
+    // same proposal, so keep whichever labelling needs fewer moves.
+    const bySignature = new Map();
+    const pick = (team1Size, start, chosen) => {
+      if (fixed1.length + chosen.length === team1Size) {
+        const team1 = [...fixed1, ...chosen];
+        const team2 = [...fixed2, ...free.filter(e => !chosen.includes(e))];
+        if (team1.length > TEAM_SIZE || team2.length > TEAM_SIZE) return;
+        const signature = [team1, team2].map(t => t.map(e => e.playerKey).sort().join(',')).sort().join('|');
+        const proposal = evaluate(team1, team2);
+        const existing = bySignature.get(signature);
+        if (!existing || proposal.moves.length < existing.moves.length) bySignature.set(signature, proposal);
+        return;
+      }
+      for (let i = start; i < free.length; i++) pick(team1Size, i + 1, [...chosen, free[i]]);
+    };
+    for (const team1Size of new Set([Math.ceil(entries.length / 2), Math.floor(entries.length / 2)])) {
+      if (fixed1.length <= team1Size) pick(team1Size, 0, []);
+    }
+    const proposals = Array.from(bySignature.values());
+
+    proposals.sort((a, b) =>
+      Math.abs((a.team1WinProbability ?? 0.5) - 0.5) - Math.abs((b.team1WinProbability ?? 0.5) - 0.5) ||
+      a.moves.length - b.moves.length
+    );
+
+    return {
+      current,
+      proposals: proposals.slice(0, limit)
+    };
+  }
+
+  // ============================================================================
+  // SESSION CLOCK
+  // ============================================================================
+  // gtm is whole minutes and saturates at 255, but every poll pins the start
+  // time into a one-minute window: [seenAt - (gtm + 1) min, seenAt - gtm min].
+  // Intersecting those windows across polls narrows the estimate, and once gtm
+  // is stuck at 255 the window carries on unchanged, so elapsed time keeps
+  // counting from wall-clock time.
+
+  const MINUTE_MS = 60000;
+
+  /**
+   * Create a tracker that estimates when each session's clock started
+   * Keeps one start-time window per session GUID for as long as the session is
+   * listed. A window that stops making sense (gtm went backwards, or stood
+   * still while the lobby was paused) is re-anchored on the latest poll.
+   * @param {Object} options - Tracker options
+   * @param {number} options.toleranceMs - Slack added to each window for lobby update lag (default: 5000)
+   * @returns {Object} Tracker with update, attach, get and reset methods
+   */
+  function createSessionClock(options = {}) {
+    const { toleranceMs = 5000 } = options;
+
+    // Start-time windows keyed by session GUID
+    const windows = new Map();
+
+    /**
+     * Start-time window implied by a single poll
+     */
+    function observationWindow(gtm, seenMs) {
+      if (gtm === 255) {
+        // Saturated: the clock started at least 255 minutes ago
+        return { earliest: -Infinity, latest: seenMs - 255 * MINUTE_MS + toleranceMs };
+      }
+      return {
+        earliest: seenMs - (gtm + 1) * MINUTE_MS - toleranceMs,
+        latest: seenMs - gtm * MINUTE_MS + toleranceMs
+      };
+    }
+
+    /**
+     * Build the public clock estimate for a tracked session
+     */
+    function buildClock(key, entry, session) {
+      const { earliest, latest } = entry;
+      const bounded = Number.isFinite(earliest);
+      const startedMs = bounded ? (earliest + latest) / 2 : null;
+      const elapsedMs = entry.lastSeenMs - (bounded ? startedMs : latest);
+      const elapsedMinutes = Math.max(0, Math.floor(elapsedMs / MINUTE_MS));
+
+      const timeLimitMinutes = session.timeLimitMinutes || null;
+      let remainingMinutes = null;
+      let endsAt = null;
+      if (timeLimitMinutes) {
+        if (bounded) {
+          remainingMinutes = Math.max(0, timeLimitMinutes - elapsedMinutes);
+          endsAt = new Date(startedMs + timeLimitMinutes * MINUTE_MS).toISOString();
+        } else if (elapsedMinutes >= timeLimitMinutes) {
+          // Only a lower bound on elapsed time, but that's enough to know it's over
+          remainingMinutes = 0;
+        }
+      }
+
+      const killLimit = session.killLimit || null;
+      const topKills = Math.max(0, ...(session.players || []).map(p => p.kills || 0));
+
+      return {
+        key,
+        startedAt: bounded ? new Date(startedMs).toISOString() : null,
+        // Half the window width: the estimate is off by at most this much
+        accuracyMinutes: bounded ? Math.round(((latest - earliest) / 2 / MINUTE_MS) * 10) / 10 : null,
+        elapsedMinutes,
+        isLowerBound: !bounded,
+        timeLimitMinutes,
+        remainingMinutes,
+        endsAt,
+        killLimit,
+        killsRemaining: killLimit ? Math.max(0, killLimit - topKills) : null,
+        restarts: entry.restarts,
+        firstSeen: entry.firstSeen,
+        lastSeen: new Date(entry.lastSeenMs).toISOString()
+      };
+    }
+
+    /**
+     * Feed one snapshot
+     * @param {Object|Object[]} resultOrSessions - fetchSessions() result or array of parsed sessions
+     * @param {string} timestamp - ISO timestamp (default: result.timestamp or now)
+     * @returns {Object[]} Clock estimates for the sessions in the snapshot
+     */
+    function update(resultOrSessions, timestamp) {
+      const sessions = Array.isArray(resultOrSessions) ? resultOrSessions : resultOrSessions.sessions;
+      const seenAt = timestamp || resultOrSessions.timestamp || new Date().toISOString();
+      const seenMs = Date.parse(seenAt);
+      const currentKeys = new Set();
+      const clocks = [];
+
+      for (const session of sessions) {
+        const key = getSessionKey(session);
+        currentKeys.add(key);
+        const gtm = session.gameTimeMinutes;
+        let entry = windows.get(key);
+
+        if (Number.isInteger(gtm) && gtm >= 0 && gtm <= 255) {
+          const observed = observationWindow(gtm, seenMs);
+          const earliest = entry ? Math.max(entry.earliest, observed.earliest) : observed.earliest;
+          const latest = entry ? Math.min(entry.latest, observed.latest) : observed.latest;
+
+          if (!entry) {
+            entry = { ...observed, gtm, firstSeen: seenAt, lastSeenMs: seenMs, restarts: 0 };
+          } else if (gtm < entry.gtm || earliest > latest) {
+            // A clock that went backwards was restarted; one that stood still was paused
+            const restarts = gtm < entry.gtm ? entry.restarts + 1 : entry.restarts;
+            entry = { ...observed, gtm, firstSeen: entry.firstSeen, lastSeenMs: seenMs, restarts };
+          } else {
+            Object.assign(entry, { earliest, latest, gtm, lastSeenMs: seenMs });
+          }
+          windows.set(key, entry);
+        } else if (entry) {
+          entry.lastSeenMs = seenMs;
+        } else {
+          // No usable gtm and nothing to carry forward
+          continue;
+        }
+
+        clocks.push(buildClock(key, entry, session));
+      }
+
+      for (const key of windows.keys()) {
+        if (!currentKeys.has(key)) windows.delete(key);
+      }
+      return clocks;
+    }
+
+    /**
+     * Feed every update emitted by a session watcher
+     * @param {Object} watcher - Watcher from createSessionWatcher()
+     * @returns {Function} Unsubscribe function
+     */
+    function attach(watcher) {
+      return watcher.on('update', ({ result }) => update(result));
+    }
+
+    /**
+     * Get the latest clock estimate for a session
+     * @param {Object} session - Parsed session (from the latest snapshot)
+     * @returns {Object|null} Clock estimate, or null if the session isn't tracked
+     */
+    function get(session) {
+      const key = getSessionKey(session);
+      const entry = windows.get(key);
+      return entry ? buildClock(key, entry, session) : null;
+    }
+
+    return {
+      update,
+      attach,
+      get,
+      reset: () => windows.clear()
+    };
+  }
+
+  // ============================================================================
+  // SESSION QUERIES
+  // ============================================================================
+
+  /**
+   * Criteria keys that don't map 1:1 to a session field
+   * Each entry maps the alias to a function deriving the compared value.
+   */
+  const QUERY_ALIASES = {
+    minPlayers: { get: s => s.playerCount, op: 'gte' },
+    maxPlayerCount: { get: s => s.playerCount, op: 'lte' },
+    minOpenSlots: { get: s => (s.maxPlayers || 0) - s.playerCount, op: 'gte' },
+    player: {
+      // Matches any player by name, Steam ID or GOG ID
+      get: s => s.players.flatMap(p => [p.name, p.steamId, p.gogId].filter(Boolean)),
+      op: 'any'
+    }
+  };
+
+  /**
+   * Read a (possibly dotted) field from an object
+   * @param {Object} obj - Source object
+   * @param {string} path - Field name or dotted path (e.g. 'nat.name')
+   * @returns {*} Field value or undefined
+   */
+  function getFieldValue(obj, path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), obj);
+  }
+
+  /**
+   * Test a single value against a criterion
+   * Criteria can be a scalar (strict equality), an array (any of), a RegExp,
+   * a predicate function or an operator object ({ gt, gte, lt, lte, ne, in, nin, match }).
+   * @param {*} value - Value from the session
+   * @param {*} criterion - Criterion to test
+   * @param {Object} session - Session being tested (passed to predicates)
+   * @returns {boolean} True if the value matches
+   */
+  function matchValue(value, criterion, session) {
+    if (typeof criterion === 'function') return Boolean(criterion(value, session));
+    if (criterion instanceof RegExp) {
+      if (value === null || value === undefined) return false;
+      // A g or y flag makes test() resume from lastIndex; start every value from 0
+      criterion.lastIndex = 0;
+      return criterion.test(String(value));
+    }
+    if (Array.isArray(criterion)) return criterion.some(c => matchValue(value, c, session));
+
+    if (criterion && typeof criterion === 'object') {
+      return Object.entries(criterion).every(([op, operand]) => {
+        switch (op) {
+          case 'eq': return matchValue(value, operand, session);
+          case 'ne': return !matchValue(value, operand, session);
+          case 'gt': return value !== null && value !== undefined && value > operand;
+          case 'gte': return value !== null && value !== undefined && value >= operand;
+          case 'lt': return value !== null && value !== undefined && value < operand;
+          case 'lte': return value !== null && value !== undefined && value <= operand;
+          case 'in': return operand.some(c => matchValue(value, c, session));
+          case 'nin': return !operand.some(c => matchValue(value, c, session));
+          case 'match': return matchValue(value, operand instanceof RegExp ? operand : new RegExp(operand, 'i'), session);
+          default: throw new Error(`Unknown query operator: ${op}`);
+        }
+      });
+    }
+
+    return value === criterion;
+  }
+
+  /**
+   * Check whether a parsed session matches query criteria
+   * @param {Object} session - Parsed session object
+   * @param {Object|string} criteria - Criteria object or query string (see parseQuery)
+   * @returns {boolean} True if every criterion matches
+   */
+  function matchSession(session, criteria = {}) {
+    const parsed = typeof criteria === 'string' ? parseQuery(criteria) : criteria;
+
+    return Object.entries(parsed).every(([field, criterion]) => {
+      if (field === 'sort' || field === 'limit') return true;
+
+      const alias = QUERY_ALIASES[field];
+      if (alias) {
+        const value = alias.get(session);
+        if (alias.op === 'any') return value.some(v => matchValue(v, criterion, session));
+        const isOperatorObject = criterion && typeof criterion === 'object' && !Array.isArray(criterion) && !(criterion instanceof RegExp);
+        return matchValue(value, isOperatorObject ? criterion : { [alias.op]: criterion }, session);
+      }
+
+      return matchValue(getFieldValue(session, field), criterion, session);
+    });
+  }
+
+  /**
+   * Build a comparator from sort keys ('field' ascending, '-field' descending)
+   * @param {string|string[]} sort - Sort key(s)
+   * @returns {Function} Comparator for Array.prototype.sort
+   */
+  function buildSortComparator(sort) {
+    const keys = (Array.isArray(sort) ? sort : [sort]).map(key => ({
+      field: key.replace(/^[-+]/, ''),
+      direction: key.startsWith('-') ? -1 : 1
+    }));
+
+    return (a, b) => {
+      for (const { field, direction } of keys) {
+        const va = getFieldValue(a, field);
+        const vb = getFieldValue(b, field);
+        if (va === vb) continue;
+        // Nulls always sort last
+        if (va === null || va === undefined) return 1;
+        if (vb === null || vb === undefined) return -1;
+        const cmp = typeof va === 'string' && typeof vb === 'string' ? va.localeCompare(vb) : (va < vb ? -1 : 1);
+        return cmp * direction;
+      }
+      return 0;
+    };
+  }
+
+  /**
+   * Filter and sort parsed sessions
+   * @param {Object[]} sessions - Parsed session objects
+   * @param {Object|string} criteria - Criteria object or query string (see parseQuery)
+   * @param {Object} options - Query options (override sort/limit given in criteria)
+   * @param {string|string[]} options.sort - Sort key(s), prefix with '-' for descending
+   * @param {number} options.limit - Maximum number of sessions to return
+   * @returns {Object[]} Matching sessions (new array)
+   *
+   * @example
+   * BZ2API.query(sessions, { gameMode: ['STRAT', 'MPI'], gameBalance: 'VSR', hasOpenSlots: true,
+   *   hasPassword: false, minPlayers: 2, mapFile: /vsr/ }, { sort: '-playerCount' });
+   * BZ2API.query(sessions, 'gameMode:STRAT,MPI gameBalance:VSR hasPassword:false sort:-playerCount');
+   */
+  function query(sessions, criteria = {}, options = {}) {
+    const parsed = typeof criteria === 'string' ? parseQuery(criteria) : criteria;
+    const sort = options.sort ?? parsed.sort;
+    const limit = options.limit ?? parsed.limit;
+
+    let results = sessions.filter(session => matchSession(session, parsed));
+    if (sort) results.sort(buildSortComparator(sort));
+    if (limit !== undefined && limit !== null) results = results.slice(0, limit);
+    return results;
+  }
+
+  /**
+   * Convert a query string token into a typed value
+   */
+  function parseQueryValue(text) {
+    const regexMatch = text.match(/^\/(.*)\/([gimsuy]*)$/s);
+    if (regexMatch) return new RegExp(regexMatch[1], regexMatch[2]);
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (text === 'null') return null;
+    if (text !== '' && !isNaN(Number(text))) return Number(text);
+    return text;
+  }
+
+  /**
+   * Parse a query string into a criteria object
+   * Terms are separated by whitespace or '&' and written as field:value or
+   * field=value. Values: a,b (any of), /re/i, true/false/null, numbers,
+   * "quoted text", and comparisons >=2, >2, <=5, <5, !=x (or !x).
+   * 'sort' takes comma-separated keys ('-' = descending); 'limit' a number.
+   * Anything that isn't a term throws, so a typo can't silently match everything.
+   * @param {string} queryString - Query string (e.g. 'gameBalance:VSR minPlayers:2 sort:-playerCount')
+   * @returns {Object} Criteria object for query()/matchSession()
+   */
+  function parseQuery(queryString) {
+    const criteria = {};
+    const termPattern = /([A-Za-z_][\w.]*)\s*[:=]\s*("(?:[^"\\]|\\.)*"|\/(?:[^/\\]|\\.)*\/[gimsuy]*|(?!")[^\s&]*)(?=[\s&]|$)/y;
+    const separatorPattern = /[\s&]*/y;
+    let position = 0;
+
+    while (true) {
+      separatorPattern.lastIndex = position;
+      separatorPattern.exec(queryString);
+      position = separatorPattern.lastIndex;
+      if (position >= queryString.length) break;
+
+      termPattern.lastIndex = position;
+      const match = termPattern.exec(queryString);
+      if (!match) {
+        const token = queryString.slice(position).match(/^[^\s&]*/)[0];
+        throw new Error(`Invalid query term: "${token}" (expected field:value)`);
+      }
+      position = termPattern.lastIndex;
+
+      const [, field, rawValue] = match;
+      let text = rawValue;
+
+      if (field === 'sort') {
+        criteria.sort = text.split(',').filter(Boolean);
+        continue;
+      }
+      if (field === 'limit') {
+        if (!/^\d+$/.test(text)) {
+          throw new Error(`Invalid query limit: "${text}" (expected a non-negative integer)`);
+        }
+        criteria.limit = Number(text);
+        continue;
+      }
+
+      // Quoted strings are taken literally
+      if (text.startsWith('"')) {
+        criteria[field] = text.slice(1, -1).replace(/\\(.)/g, '$1');
+        continue;
+      }
+
+      const operatorMatch = text.match(/^(>=|<=|!=|>|<|!)(.*)$/s);
+      if (operatorMatch) {
+        const ops = { '>=': 'gte', '<=': 'lte', '>': 'gt', '<': 'lt', '!=': 'ne', '!': 'ne' };
+        const operand = parseQueryValue(operatorMatch[2]);
+        criteria[field] = { [ops[operatorMatch[1]]]: operand };
+        continue;
+      }
+
+      // Regexes may contain commas, everything else splits into a list
+      const isRegex = /^\/.*\/[gimsuy]*$/s.test(text);
+      const parts = isRegex ? [text] : text.split(',');
+      criteria[field] = parts.length > 1 ? parts.map(parseQueryValue) : parseQueryValue(text);
+    }
+
+    return criteria;
+  }
+
+  // ============================================================================
+  // DISCORD NOTIFIER
+  // ============================================================================
+  // Posts lobby pings to a Discord webhook. Rules are query criteria; a session
+  // is announced when it starts matching a rule, at most once per cooldown, and
+  // posts are queued to stay under the webhook rate limit.
+
+  const DISCORD_EMBED_COLOR = 0x3a7bd5;
+
+  /**
+   * Escape Discord markdown in user-supplied text (session and player names)
+   */
+  function escapeDiscordMarkdown(text) {
+    return String(text ?? '').replace(/([\\*_~`|>[\]])/g, '\\$1');
+  }
+
+  /**
+   * Shorten text to a Discord length limit
+   */
+  function truncate(text, max) {
+    return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+  }
+
+  /**
+   * Describe a lobby in a few words, e.g. "VSR 3v3 on Rocky Canyon needs 2 more"
+   * @param {Object} session - Parsed session
+   * @returns {string} Summary line
+   */
+  function describeLobby(session) {
+    const twoTeams = session.isTeamGame && session.gameMode !== 'MPI' && Number.isInteger(session.maxPlayers);
+    const format = twoTeams
+      ? `${Math.ceil(session.maxPlayers / 2)}v${Math.floor(session.maxPlayers / 2)}`
+      : session.gameModeName || session.gameMode || 'Game';
+    const label = [session.gameBalance, format].filter(Boolean).join(' ');
+    const needed = Math.max(0, (session.maxPlayers || 0) - session.playerCount);
+    const where = session.mapName || session.mapFile;
+
+    return `${label}${where ? ` on ${where}` : ''}${needed > 0 ? ` needs ${needed} more` : ' is full'}`;
+  }
+
+  /**
+   * Build a Discord webhook payload (one embed) for a session
+   * @param {Object} session - Parsed session (map enrichment adds the name and image)
+   * @param {Object} options - Payload options
+   * @param {string|Function} options.message - Embed title, or (session) => title (default: describeLobby)
+   * @param {string} options.username - Webhook display name override
+   * @param {string} options.avatarUrl - Webhook avatar override
+   * @param {number} options.color - Embed color (default: DISCORD_EMBED_COLOR)
+   * @returns {Object} Webhook payload
+   */
+  function buildDiscordPayload(session, options = {}) {
+    const { message, username, avatarUrl, color = DISCORD_EMBED_COLOR } = options;
+    const title = typeof message === 'function' ? message(session) : message || describeLobby(session);
+
+    const listPlayers = (players) => players.length > 0
+      ? truncate(players.map(p => escapeDiscordMarkdown(p.name) + (p.isCommander ? ' (cmd)' : '')).join('\n'), 1024)
+      : '-';
+    const playerFields = session.teams?.length > 0
+      ? session.teams.map(team => ({
+        name: `${team.name || `Team ${team.team}`} (${team.playerCount}/${TEAM_SIZE})`,
+        value: listPlayers(team.players),
+        inline: true
+      }))
+      : [{ name: 'Players', value: listPlayers(session.players), inline: false }];
+
+    const fields = [
+      { name: 'Mode', value: [session.gameModeName, session.gameBalance].filter(Boolean).join(' / ') || '-', inline: true },
+      { name: 'Players', value: `${session.playerCount}/${session.maxPlayers ?? '?'}`, inline: true },
+      { name: 'State', value: session.state, inline: true },
+      ...playerFields
+    ];
+    // Discord only links http(s) URLs, so the join URL is shown as text
+    if (session.steamJoinUrl) fields.push({ name: 'Join', value: session.steamJoinUrl, inline: false });
+
+    const embed = {
+      title: truncate(title, 256),
+      description: truncate(escapeDiscordMarkdown(session.name), 4096),
+      color,
+      fields,
+      timestamp: new Date().toISOString()
+    };
+    if (session.mapImageUrl && /^https?:/.test(session.mapImageUrl)) embed.image = { url: session.mapImageUrl };
+
+    const payload = { embeds: [embed], allowed_mentions: { parse: [] } };
+    if (username) payload.username = username;
+    if (avatarUrl) payload.avatar_url = avatarUrl;
+    return payload;
+  }
+
+  /**
+   * Create a notifier that posts matching sessions to a Discord webhook
+   * Each rule is { name, when, message?, cooldownMs? } where `when` is query
+   * criteria (object or string, see parseQuery). A session is announced by the
+   * first rule it starts matching; it can be announced again once it has
+   * stopped matching and the cooldown has passed. Emits 'sent', 'error' and
+   * 'dropped' (a queued ping discarded because the queue was full).
+   * @param {Object} options - Notifier options
+   * @param {string} options.webhookUrl - Discord webhook URL (any URL that accepts the same POST)
+   * @param {Object[]} options.rules - Watch rules (default: open PreGame lobbies)
+   * @param {number} options.cooldownMs - Minimum time between pings for a session and rule (default: 30 minutes)
+   * @param {number} options.maxPerMinute - Posts allowed per minute (default: 5)
+   * @param {number} options.maxQueue - Queued posts kept when rate limited; oldest are dropped (default: 20)
+   * @param {number} options.retries - Extra attempts per post on network errors, 429 and 5xx (default: 3)
+   * @param {number} options.retryDelay - Base backoff delay in ms when Discord sends no Retry-After (default: 1000)
+   * @param {string} options.username - Webhook display name override
+   * @param {string} options.avatarUrl - Webhook avatar override
+   * @param {number} options.color - Embed color
+   * @param {Function} options.format - (session, { rule, message, username, avatarUrl, color }) => payload (default: buildDiscordPayload)
+   * @param {Object} options.transport - Transport used to post (default: the default client's)
+   * @returns {Object} Notifier with update, attach, flush, clear, on, off and once methods
+   */
+  function createDiscordNotifier(options = {}) {
+    const {
+      webhookUrl,
+      rules = [{ name: 'open-lobby', when: { state: 'PreGame', hasOpenSlots: true } }],
+      cooldownMs = 30 * 60 * 1000,
+      maxPerMinute = 5,
+      maxQueue = 20,
+      username,
+      avatarUrl,
+      color,
+      format = buildDiscordPayload,
+      retries = 3,
+      retryDelay = 1000,
+      transport = defaultClient.transport
+    } = options;
+
+    if (!webhookUrl) {
+      throw new Error('createDiscordNotifier requires a webhookUrl');
+    }
+
+    const emitter = createEmitter();
+    // Rule state keyed by "{rule}:{guid}": { matching, lastSentAt, cooldownMs }
+    const ruleState = new Map();
+    const queue = [];
+    let recentPosts = [];
+    let draining = null;
+
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    /**
+     * POST one payload; 429s (Discord sends Retry-After), 5xx and network
+     * errors are retried by sendJson
+     */
+    async function post(payload) {
+      try {
+        await sendJson(transport, webhookUrl, JSON.stringify(payload), { retries, retryDelay });
+      } catch (e) {
+        e.message = `Discord webhook failed: ${e.message}`;
+        throw e;
+      }
+    }
+
+    async function drain() {
+      while (queue.length > 0) {
+        // Sliding one-minute window
+        const now = Date.now();
+        recentPosts = recentPosts.filter(t => now - t < 60000);
+        if (recentPosts.length >= maxPerMinute) {
+          await sleep(60000 - (now - recentPosts[0]));
+          continue;
+        }
+
+        const item = queue.shift();
+        recentPosts.push(Date.now());
+        try {
+          await post(item.payload);
+          emitter.emit('sent', item);
+        } catch (e) {
+          emitter.emit('error', Object.assign(e, { notification: item }));
+        }
+      }
+      draining = null;
+    }
+
+    function enqueue(item) {
+      queue.push(item);
+      if (queue.length > maxQueue) {
+        emitter.emit('dropped', queue.shift());
+      }
+      if (!draining) draining = drain();
+    }
+
+    /**
+     * Check one snapshot against the rules and queue pings
+     * @param {Object|Object[]} resultOrSessions - fetchSessions() result or array of parsed sessions
+     * @param {string} timestamp - ISO timestamp (default: result.timestamp or now)
+     * @returns {Object[]} Queued notifications ({ rule, session, payload })
+     */
+    function update(resultOrSessions, timestamp) {
+      const sessions = Array.isArray(resultOrSessions) ? resultOrSessions : resultOrSessions.sessions;
+      const seenAt = timestamp || resultOrSessions.timestamp || new Date().toISOString();
+      const seenMs = Date.parse(seenAt);
+      const currentKeys = new Set();
+      const queued = [];
+
+      for (const session of sessions) {
+        const guid = getSessionKey(session);
+        let announced = false;
+
+        for (const rule of rules) {
+          const key = `${rule.name}:${guid}`;
+          currentKeys.add(key);
+          const state = ruleState.get(key) || { matching: false, lastSentAt: null, cooldownMs: rule.cooldownMs ?? cooldownMs };
+          const matching = matchSession(session, rule.when || {});
+          const cooledDown = state.lastSentAt === null || seenMs - state.lastSentAt >= state.cooldownMs;
+
+          // One ping per session per snapshot, from the first rule that fires
+          if (matching && !state.matching && cooledDown && !announced) {
+            const payload = format(session, { rule, message: rule.message, username, avatarUrl, color });
+            const item = { rule: rule.name, session, payload };
+            enqueue(item);
+            queued.push(item);
+            state.lastSentAt = seenMs;
+            announced = true;
+          }
+          state.matching = matching;
+          ruleState.set(key, state);
+        }
+      }
+
+      // Forget sessions that are gone once their cooldown has passed
+      for (const [key, state] of ruleState) {
+        if (currentKeys.has(key)) continue;
+        state.matching = false;
+        if (state.lastSentAt === null || seenMs - state.lastSentAt >= state.cooldownMs) ruleState.delete(key);
+      }
+      return queued;
+    }
+
+    /**
+     * Check every update emitted by a session watcher
+     * @param {Object} watcher - Watcher from createSessionWatcher()
+     * @returns {Function} Unsubscribe function
+     */
+    function attach(watcher) {
+      return watcher.on('update', ({ result }) => update(result));
+    }
+
+    return {
+      update,
+      attach,
+      // Resolves once every queued ping has been posted (or has failed)
+      flush: () => draining || Promise.resolve(),
+      clear: () => { queue.length = 0; },
+      on: emitter.on,
+      off: emitter.off,
+      once: emitter.once
+    };
+  }
+
+  // ============================================================================
+  // WEBHOOK SINKS
+  // ============================================================================
+  // Forwards watcher change events to any HTTP endpoint (Slack, Grafana
+  // annotations, your own backend). Each event is rendered through a JSON
+  // template, optionally batched, signed with HMAC-SHA256 and POSTed with retry.
+
+  const WEBHOOK_SIGNATURE_HEADER = 'X-BZ2API-Signature';
+
+  /**
+   * Serialize a change event into a compact JSON-safe object
+   * Whole sessions and players are large, so only the fields an endpoint is
+   * likely to want are kept.
+   * @param {Object} event - Change event from diffSessions() or a watcher
+   * @returns {Object} Serialized event
+   */
+  function serializeEvent(event) {
+    const { session, player } = event;
+    const serialized = {
+      type: event.type,
+      timestamp: event.timestamp || new Date().toISOString(),
+      key: event.key,
+      session: session && {
+        name: session.name,
+        state: session.state,
+        mapFile: session.mapFile,
+        mapName: session.mapName ?? null,
+        gameMode: session.gameMode,
+        gameBalance: session.gameBalance,
+        playerCount: session.playerCount,
+        maxPlayers: session.maxPlayers,
+        hasPassword: session.hasPassword,
+        steamJoinUrl: session.steamJoinUrl
+      }
+    };
+    if (player) {
+      serialized.player = {
+        key: event.playerKey,
+        name: player.name,
+        steamId: player.steamId,
+        gogId: player.gogId,
+        team: player.team,
+        isCommander: player.isCommander
+      };
+    }
+    if ('from' in event) {
+      serialized.from = event.from ?? null;
+      serialized.to = event.to ?? null;
+    }
+    return serialized;
+  }
+
+  /**
+   * Describe a change event in one line, e.g. 'Alice joined "VSR 3v3" (4/6)'
+   * @param {Object} event - Change event
+   * @returns {string} Summary line
+   */
+  function describeEvent(event) {
+    const { session, player } = event;
+    const name = `"${session.name}"`;
+    switch (event.type) {
+      case SessionEvent.SESSION_CREATED:
+        return `New session ${name} on ${session.mapName || session.mapFile}`;
+      case SessionEvent.SESSION_CLOSED:
+        return `Session ${name} closed`;
+      case SessionEvent.SESSION_STATE_CHANGED:
+        return `${name} is now ${event.to} (was ${event.from})`;
+      case SessionEvent.SESSION_MAP_CHANGED:
+        return `${name} changed map to ${session.mapName || event.to}`;
+      case SessionEvent.PLAYER_JOINED:
+        return `${player.name} joined ${name} (${session.playerCount}/${session.maxPlayers ?? '?'})`;
+      case SessionEvent.PLAYER_LEFT:
+        return `${player.name} left ${name}`;
+      case SessionEvent.PLAYER_TEAM_CHANGED:
+        return `${player.name} moved to team ${event.to} in ${name}`;
+      default:
+        return `${event.type} in ${name}`;
+    }
+  }
+
+  /**
+   * Fill a JSON template with values from a context object
+   * Strings may contain {{path}} placeholders (dot paths into the context). A
+   * string that is exactly one placeholder keeps the value's type, so
+   * "{{session.playerCount}}" renders as a number; embedded placeholders are
+   * stringified and missing values render as ''. Objects and arrays are
+   * rendered recursively; other values are copied as-is.
+   * @param {*} template - Template value
+   * @param {Object} context - Values available to placeholders
+   * @returns {*} Rendered value
+   */
+  function renderTemplate(template, context) {
+    if (typeof template === 'string') {
+      const whole = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+      if (whole) return getFieldValue(context, whole[1]) ?? null;
+      return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => {
+        const value = getFieldValue(context, path);
+        if (value === null || value === undefined) return '';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+      });
+    }
+    if (Array.isArray(template)) {
+      return template.map(item => renderTemplate(item, context));
+    }
+    if (template && typeof template === 'object') {
+      return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, context)]));
+    }
+    return template;
+  }
+
+  /**
+   * Sign a request body with HMAC-SHA256 (WebCrypto)
+   * Receivers verify by computing the same value over the raw body.
+   * @param {string} body - Request body
+   * @param {string|CryptoKey} secret - Shared secret, or a key from crypto.subtle.importKey
+   * @returns {Promise<string>} Signature as "sha256=<hex>"
+   */
+  async function signWebhookBody(body, secret) {
+    const subtle = globalThis.crypto?.subtle;
+    if (!subtle) {
+      throw new Error('Webhook signing requires WebCrypto (crypto.subtle)');
+    }
+    const encoder = new TextEncoder();
+    const key = typeof secret === 'string'
+      ? await subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+      : secret;
+    const signature = await subtle.sign('HMAC', key, encoder.encode(body));
+    return 'sha256=' + Array.from(new Uint8Array(signature), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Create a sink that POSTs change events to an HTTP endpoint
+   * Templates see the event plus `event` (serializeEvent output), `text`
+   * (describeEvent) and `time` (epoch ms). With batchSize > 1, events are
+   * collected for up to batchIntervalMs and sent together as wrapBatch(items).
+   * Network errors, 429 and 5xx are retried with backoff (see sendJson).
+   * Emits 'sent' ({ events, body, status }) and 'error'.
+   * @param {Object} options - Sink options
+   * @param {string} options.url - Endpoint URL
+   * @param {string[]} options.events - Event types to forward (default: every SessionEvent)
+   * @param {Object|string} options.filter - Query criteria the event's session must match (see parseQuery)
+   * @param {*} options.template - JSON template, or (event, context) => body item (default: serializeEvent)
+   * @param {number} options.batchSize - Events per request (default: 1)
+   * @param {number} options.batchIntervalMs - Longest wait before sending a partial batch (default: 5000)
+   * @param {Function} options.wrapBatch - (items) => body for batches (default: { events: items })
+   * @param {string} options.method - HTTP method (default: 'POST')
+   * @param {Object} options.headers - Extra request headers
+   * @param {string} options.secret - HMAC secret; signs each body into signatureHeader
+   * @param {string} options.signatureHeader - Signature header name (default: WEBHOOK_SIGNATURE_HEADER)
+   * @param {number} options.retries - Extra attempts per request (default: 3)
+   * @param {number} options.retryDelay - Base backoff delay in ms, doubled each retry (default: 1000)
+   * @param {Object} options.transport - Transport used to post (default: the default client's)
+   * @returns {Object} Sink with send, attach, flush, on, off and once methods
+   */
+  function createWebhookSink(options = {}) {
+    const {
+      url,
+      events: eventTypes = Object.values(SessionEvent),
+      filter,
+      template = serializeEvent,
+      batchSize = 1,
+      batchIntervalMs = 5000,
+      wrapBatch = (items) => ({ events: items }),
+      method = 'POST',
+      headers = {},
+      secret,
+      signatureHeader = WEBHOOK_SIGNATURE_HEADER,
+      retries = 3,
+      retryDelay = 1000,
+      transport = defaultClient.transport
+    } = options;
+
+    if (!url) {
+      throw new Error('createWebhookSink requires a url');
+    }
+    if (secret && !globalThis.crypto?.subtle) {
+      throw new Error('Webhook signing requires WebCrypto (crypto.subtle)');
+    }
+
+    const emitter = createEmitter();
+    const types = new Set(eventTypes);
+    const filterCriteria = typeof filter === 'string' ? parseQuery(filter) : filter;
+    // Import the HMAC key once rather than per request
+    const signingKey = secret
+      ? globalThis.crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+      : null;
+    let pending = [];
+    let timer = null;
+    let sending = Promise.resolve();
+
+    /**
+     * Sign and send one body
+     * @returns {Promise<number>} Response status
+     */
+    async function post(body) {
+      const text = JSON.stringify(body);
+      const requestHeaders = { ...headers };
+      if (signingKey) requestHeaders[signatureHeader] = await signWebhookBody(text, await signingKey);
+      try {
+        const response = await sendJson(transport, url, text, { method, headers: requestHeaders, retries, retryDelay });
+        return response.status;
+      } catch (e) {
+        e.message = `Webhook failed: ${e.message}`;
+        throw e;
+      }
+    }
+
+    /**
+     * Send the pending batch after any request already in flight
+     */
+    function dispatch() {
+      clearTimeout(timer);
+      timer = null;
+      if (pending.length === 0) return sending;
+
+      const batch = pending;
+      pending = [];
+      const body = batchSize > 1 ? wrapBatch(batch.map(entry => entry.item)) : batch[0].item;
+      const events = batch.map(entry => entry.event);
+
+      sending = sending.then(async () => {
+        try {
+          const status = await post(body);
+          emitter.emit('sent', { events, body, status });
+        } catch (e) {
+          emitter.emit('error', Object.assign(e, { events }));
+        }
+      });
+      return sending;
+    }
+
+    /**
+     * Render one change event and queue it for sending
+     * @param {Object} event - Change event ({ type, session, ... })
+     * @returns {boolean} Whether the event passed the type and session filters
+     */
+    function send(event) {
+      if (!types.has(event.type)) return false;
+      if (filterCriteria && !matchSession(event.session, filterCriteria)) return false;
+
+      const stamped = event.timestamp ? event : { ...event, timestamp: new Date().toISOString() };
+      const context = {
+        ...stamped,
+        event: serializeEvent(stamped),
+        text: describeEvent(stamped),
+        time: Date.parse(stamped.timestamp)
+      };
+      const item = typeof template === 'function' ? template(stamped, context) : renderTemplate(template, context);
+      pending.push({ event: stamped, item });
+
+      if (pending.length >= batchSize) {
+        dispatch();
+      } else if (!timer) {
+        timer = setTimeout(dispatch, batchIntervalMs);
+      }
+      return true;
+    }
+
+    /**
+     * Forward every change event emitted by a session watcher
+     * @param {Object} watcher - Watcher from createSessionWatcher()
+     * @returns {Function} Unsubscribe function
+     */
+    function attach(watcher) {
+      return watcher.on('*', (payload, event) => {
+        if (types.has(event)) send(payload);
+      });
+    }
+
+    return {
+      send,
+      attach,
+      // Sends any partial batch now; resolves once every request has finished
+      flush: dispatch,
+      on: emitter.on,
+      off: emitter.off,
+      once: emitter.once
+    };
+  }
 
   // ============================================================================
   // PUBLIC API
   // ============================================================================
 
   return {
-    // Main functions
-    fetchSessions,
-    fetchRaw,
+    // Main functions (default client)
+    fetchSessions: defaultClient.fetchSessions,
+    fetchRaw: defaultClient.fetchRaw,
     parseSession,
     parsePlayer,
+    buildRawSession,
     buildDataCache,
+
+    // Validation
+    validateRawSession,
+    validateResult,
+    RAW_SESSION_SCHEMA,
+    RAW_PLAYER_SCHEMA,
+    RESULT_SCHEMA,
+
+    // Clients
+    createClient,
     
     // Map enrichment (opt-in)
-    fetchMapData,
-    enrichSessionsWithMapData,
-    clearMapCache,
+    fetchMapData: defaultClient.fetchMapData,
+    enrichSessionsWithMapData: defaultClient.enrichSessionsWithMapData,
+    clearMapCache: defaultClient.clearMapCache,
+    parseMapData,
+
+    // Player enrichment (opt-in)
+    fetchSteamPlayerSummaries: defaultClient.fetchSteamPlayerSummaries,
+    fetchGogPlayerInfo: defaultClient.fetchGogPlayerInfo,
+    enrichPlayerData: defaultClient.enrichPlayerData,
+    clearPlayerCache: defaultClient.clearPlayerCache,
+    parseSteamPlayerSummary,
+    parseGogUserInfo,
+
+    // Mod enrichment (opt-in)
+    fetchWorkshopDetails: defaultClient.fetchWorkshopDetails,
+    enrichModData: defaultClient.enrichModData,
+    clearModCache: defaultClient.clearModCache,
+    parseWorkshopFileDetails,
     
     // VSR map enrichment (opt-in)
     getVsrMapData,
     enrichSessionsWithVsrData,
     buildVsrMapLookup,
-    
+
+    // Session watching
+    createSessionWatcher,
+    diffSessions,
+    getSessionKey,
+    getPlayerKey,
+
+    // Session state inference
+    createStateTracker,
+    inferSessionState,
+    buildStateSignals,
+    DEFAULT_STATE_RULES,
+
+    // Record & replay
+    createReplaySource,
+    readCapture,
+    parseCapture,
+
+    // Session queries
+    query,
+    parseQuery,
+    matchSession,
+
+    // Storage adapters
+    createMemoryStorage,
+    createJsonLinesStorage,
+    createIndexedDBStorage,
+    createLocalStorageStorage,
+    getDefaultCacheStorage,
+
+    // Caching
+    createCache,
+
+    // Session history
+    createSessionRecorder,
+
+    // Player statistics
+    createPlayerStats,
+
+    // Match results
+    createMatchTracker,
+    inferMatchOutcome,
+
+    // Player ratings
+    createRatingEngine,
+    getModeFamily,
+
+    // Team balancing
+    suggestTeamSplits,
+
+    // Session clock
+    createSessionClock,
+
+    // Discord notifications
+    createDiscordNotifier,
+    buildDiscordPayload,
+    describeLobby,
+
+    // Webhook sinks
+    createWebhookSink,
+    serializeEvent,
+    describeEvent,
+    renderTemplate,
+    signWebhookBody,
+    WEBHOOK_SIGNATURE_HEADER,
+
     // Utilities
     decodeBase64Name,
     decodeRakNetGuid,
+    encodeBase64Name,
+    encodeRakNetGuid,
+    encodeGameSubType,
     cleanGogId,
     parseGameTypeAndMode,
     parseSessionState,
@@ -1174,6 +5643,8 @@ const BZ2API = (function() {
     parseTimeLimit,
     parseModIds,
     enrichMods,
+    buildTeams,
+    getTeamBalance,
     
     // URL builders
     buildSteamProfileUrl,
@@ -1185,15 +5656,22 @@ const BZ2API = (function() {
     ServerInfoMode,
     NATType,
     NATTypeNames,
+    SteamPersonaStateNames,
     GameType,
     GameMode,
     GameModeNames,
+    SessionEvent,
     VSR_MOD_ID,
     VSR_MAP_DATA,
     
+    // Transport
+    createTransport,
+
     // Config
     DEFAULT_API_URL,
     MAP_API_BASE_URL,
+    STEAM_API_BASE_URL,
+    GOG_API_BASE_URL,
     CORS_PROXIES
   };
 })();
@@ -9,7 +9,7 @@ class JsonExplorer {
       ? document.querySelector(container) 
       : container;
     
-    this.schema = options.schema || {};
+    this.schema = JsonExplorer.toTooltipMap(options.schema);
     this.data = null;
     this.rawData = null;
     this.searchTerm = '';
@@ -80,7 +80,32 @@ class JsonExplorer {
   }
   
   setSchema(schema) {
-    this.schema = schema;
+    this.schema = JsonExplorer.toTooltipMap(schema);
+  }
+  
+  /**
+   * Flatten a JSON Schema into the path -> description map used for tooltips
+   * e.g. properties.sessions.items.properties.name -> "sessions.*.name"
+   * Flat maps are returned unchanged.
+   */
+  static toTooltipMap(schema) {
+    if (!schema || !(schema.$schema || schema.properties || schema.items)) return schema || {};
+    
+    const tooltips = {};
+    const walk = (node, path) => {
+      if (!node || typeof node !== 'object') return;
+      if (path && node.description) tooltips[path] = node.description;
+      for (const [key, child] of Object.entries(node.properties || {})) {
+        walk(child, path ? `${path}.${key}` : key);
+      }
+      // Array items and map values both appear as "*" in tooltip paths
+      if (node.items) walk(node.items, `${path}.*`);
+      if (node.additionalProperties && typeof node.additionalProperties === 'object') {
+        walk(node.additionalProperties, `${path}.*`);
+      }
+    };
+    walk(schema, '');
+    return tooltips;
   }
   
   setViewMode(mode) {
@@ -0,0 +1,515 @@
+#!/usr/bin/env node
+/**
+ * Mock lobby server - offline stand-in for the Rebellion lobbyServer
+ *
+ * Serves { GET: [...] } payloads in the raw shape parseSession() consumes, plus
+ * a GameListAssets getdata.php endpoint, so fetchSessions({ apiUrl, enrichMaps })
+ * can be exercised end to end without network access. POSTs to /webhook/... are
+ * recorded, as a stand-in for Discord or any other webhook target.
+ *
+ * Sessions are driven by scenarios: a list of steps, each a list of operations
+ * (create a session, join/leave/move players, start, update stats, end, close).
+ * One step is applied per lobby request by default, so a session watcher polling
+ * the mock sees the scenario play out.
+ *
+ *   node mock/lobby-server.js --scenario match --port 8080
+ *   bz2api watch --api-url http://127.0.0.1:8080/lobbyServer --interval 1
+ */
+
+'use strict';
+
+const http = require('http');
+const BZ2API = require('../bz2api.js');
+
+const USAGE = `Usage: node mock/lobby-server.js [options]
+
+Options:
+  --port <n>            Port to listen on (default: 8080)
+  --host <host>         Interface to bind (default: 127.0.0.1)
+  --scenario <name>     Scenario: empty, lobby, match, busy (default: match)
+  --advance <mode>      'request' (one step per lobby request), 'manual',
+                        or a step interval in ms (default: request)
+  --loop                Restart the scenario after its last step
+  -h, --help            Show this help
+`;
+
+// ============================================================================
+// RAW SESSIONS
+// ============================================================================
+
+/**
+ * Build a raw lobby session object from a readable spec
+ * @param {Object} spec - Session spec
+ * @param {string} spec.name - Session name
+ * @param {string} spec.map - Map file (without extension)
+ * @param {string} spec.mode - Parsed gameMode: DM, TEAM_DM, KOTH, CTF, FFA, STRAT, MPI, ... (default: STRAT)
+ * @param {string[]} spec.mods - Workshop mod IDs, '0' for stock (default: ['0'])
+ * @param {number} spec.maxPlayers - Player limit (default: 10)
+ * @param {Array} spec.players - Players: { name, id, slot, kills, deaths, score }
+ * @param {string} spec.state - PreGame, InGame or PostGame (default: PreGame)
+ * @param {number} spec.elapsed - Minutes since the game started (default: 0)
+ * @param {bigint|number} spec.guid - Session GUID (default: 1)
+ * @returns {Object} Raw session object as served by the lobby
+ */
+function buildMockSession(spec) {
+  const gameMode = spec.mode || 'STRAT';
+  const players = spec.players || [];
+  const maxPlayers = spec.maxPlayers ?? 10;
+
+  return BZ2API.buildRawSession({
+    guid: BigInt(spec.guid ?? 1),
+    name: spec.name,
+    version: spec.version || '2.0.204.1',
+    mapFile: spec.map,
+    modHash: spec.modHash || '',
+    nat: { id: spec.nat ?? 0 },
+    gameType: ['FFA', 'STRAT', 'MPI'].includes(gameMode) ? 'STRAT' : 'DM',
+    gameMode,
+    respawn: spec.respawn,
+    vehicleOnly: spec.vehicleOnly,
+    state: spec.state || 'PreGame',
+    hasOpenSlots: players.length < maxPlayers,
+    maxPlayers,
+    mods: spec.mods || ['0'],
+    isLocked: spec.locked,
+    hasPassword: spec.password,
+    motd: spec.motd,
+    tps: spec.tps ?? 20,
+    maxPing: spec.maxPing ?? 750,
+    worstPingObserved: spec.worstPing ?? 120,
+    gameTimeMinutes: Math.min(spec.elapsed ?? 0, 255),
+    timeLimitMinutes: spec.timeLimit,
+    killLimit: spec.killLimit,
+    players: players.map(p => ({
+      name: p.name,
+      rawId: p.id,
+      teamSlot: p.slot ?? 255,
+      kills: p.kills ?? 0,
+      deaths: p.deaths ?? 0,
+      score: p.score ?? 0
+    }))
+  });
+}
+
+// ============================================================================
+// MAP DATA (getdata.php)
+// ============================================================================
+
+/**
+ * GameListAssets getdata.php responses keyed by "{modId}:{mapFile}"
+ */
+const MOCK_MAPS = {
+  '1325933293:vsrplaza': {
+    title: 'Plaza',
+    description: 'Mock VSR map served by the mock lobby server.',
+    image: 'mock/vsrplaza.jpg',
+    netVars: { svar1: 'Blue', svar2: 'Red' },
+    mods: { '1325933293': { name: 'VSR', workshop: true } }
+  },
+  '1325933293:vsrtwinpeaks': {
+    title: 'Twin Peaks',
+    description: 'Mock VSR map served by the mock lobby server.',
+    image: 'mock/vsrtwinpeaks.jpg',
+    netVars: { svar1: 'North', svar2: 'South' },
+    mods: { '1325933293': { name: 'VSR', workshop: true } }
+  },
+  '0:chill': {
+    title: 'Chill',
+    description: 'Stock deathmatch map.',
+    image: 'mock/chill.jpg',
+    netVars: {},
+    mods: {}
+  },
+  '0:hilo': {
+    title: 'Hi-Lo',
+    description: 'Stock MPI map.',
+    image: 'mock/hilo.jpg',
+    netVars: {},
+    mods: {}
+  }
+};
+
+// ============================================================================
+// SCENARIOS
+// ============================================================================
+
+const VSR = '1325933293';
+
+/**
+ * Built-in scenarios
+ * Each scenario is an array of steps; each step is an array of operations.
+ */
+const SCENARIOS = {
+  // Nobody online
+  empty: [[]],
+
+  // One lobby that fills up and never starts
+  lobby: [
+    [{ op: 'create', session: 'lobby', name: 'Mock Lobby', map: 'vsrplaza', mode: 'STRAT', mods: [VSR],
+      players: [{ name: 'Alice', id: 'S76561198000000001', slot: 1 }] }],
+    [{ op: 'join', session: 'lobby', player: { name: 'Bob', id: 'S76561198000000002', slot: 6 } }],
+    [{ op: 'join', session: 'lobby', player: { name: 'Carol', id: 'G46986000000000003', slot: 2 } }],
+    [{ op: 'join', session: 'lobby', player: { name: 'Dave', id: 'S76561198000000004', slot: 7 } }]
+  ],
+
+  // Full lifecycle of a 2v2 VSR game
+  match: [
+    [{ op: 'create', session: 'vsr', name: 'Mock VSR 2v2', map: 'vsrplaza', mode: 'STRAT', mods: [VSR],
+      players: [{ name: 'Alice', id: 'S76561198000000001', slot: 1 }] }],
+    [{ op: 'join', session: 'vsr', player: { name: 'Bob', id: 'S76561198000000002', slot: 6 } }],
+    [
+      { op: 'join', session: 'vsr', player: { name: 'Carol', id: 'G46986000000000003', slot: 2 } },
+      { op: 'join', session: 'vsr', player: { name: 'Dave', id: 'S76561198000000004', slot: 7 } }
+    ],
+    [{ op: 'start', session: 'vsr' }],
+    [
+      { op: 'tick', minutes: 5 },
+      { op: 'stats', session: 'vsr', player: 'Alice', kills: 2, deaths: 1, score: 40 },
+      { op: 'stats', session: 'vsr', player: 'Bob', kills: 1, deaths: 2, score: 25 }
+    ],
+    [{ op: 'move', session: 'vsr', player: 'Dave', slot: 8 }],
+    [
+      { op: 'tick', minutes: 10 },
+      { op: 'stats', session: 'vsr', player: 'Carol', kills: 4, deaths: 0, score: 70 },
+      { op: 'stats', session: 'vsr', player: 'Dave', kills: 0, deaths: 3, score: 10 }
+    ],
+    [{ op: 'leave', session: 'vsr', player: 'Dave' }],
+    [{ op: 'tick', minutes: 3 }, { op: 'end', session: 'vsr' }],
+    [{ op: 'close', session: 'vsr' }]
+  ],
+
+  // A static mix of modes and lobby flags, for UIs and filters
+  busy: [[
+    { op: 'create', session: 'vsr', name: 'VSR 3v3', map: 'vsrtwinpeaks', mode: 'STRAT', mods: [VSR], state: 'InGame',
+      elapsed: 42, players: [
+        { name: 'Alice', id: 'S76561198000000001', slot: 1, kills: 3, score: 60 },
+        { name: 'Bob', id: 'S76561198000000002', slot: 6, kills: 1, deaths: 2, score: 30 },
+        { name: 'Carol', id: 'G46986000000000003', slot: 2, score: 15 },
+        { name: 'Dave', id: 'S76561198000000004', slot: 7, deaths: 1, score: 20 }
+      ] },
+    { op: 'create', session: 'dm', name: 'Stock DM', map: 'chill', mode: 'DM', maxPlayers: 8, players: [
+      { name: 'Erin', id: 'S76561198000000005', slot: 1 },
+      { name: 'Frank', id: 'S76561198000000006', slot: 2 }
+    ] },
+    { op: 'create', session: 'mpi', name: 'MPI co-op', map: 'hilo', mode: 'MPI', maxPlayers: 4, state: 'InGame',
+      elapsed: 300, players: [{ name: 'Grace', id: 'S76561198000000007', slot: 1, kills: 12, score: 150 }] },
+    { op: 'create', session: 'private', name: 'Private', map: 'vsrplaza', mode: 'STRAT', mods: [VSR],
+      password: true, motd: 'Invite only', players: [{ name: 'Heidi', id: 'S76561198000000008', slot: 1 }] }
+  ]]
+};
+
+/**
+ * Apply one scenario operation to the session table
+ * @param {Map} sessions - Session specs keyed by scenario session name
+ * @param {Object} op - Operation
+ * @param {Function} nextGuid - Returns a fresh GUID for new sessions
+ */
+function applyOperation(sessions, op, nextGuid) {
+  if (op.op === 'tick') {
+    for (const spec of sessions.values()) {
+      if (spec.state === 'InGame') spec.elapsed = (spec.elapsed ?? 0) + op.minutes;
+    }
+    return;
+  }
+
+  const { op: type, session: key, ...fields } = op;
+  if (type === 'create') {
+    sessions.set(key, {
+      ...fields,
+      guid: fields.guid ?? nextGuid(),
+      players: (fields.players || []).map(p => ({ ...p }))
+    });
+    return;
+  }
+
+  const spec = sessions.get(key);
+  if (!spec) {
+    throw new Error(`Scenario operation '${type}' targets unknown session '${key}'`);
+  }
+  const findPlayer = name => {
+    const player = spec.players.find(p => p.name === name);
+    if (!player) throw new Error(`Scenario operation '${type}' targets unknown player '${name}'`);
+    return player;
+  };
+
+  switch (type) {
+    case 'join':
+      spec.players.push({ ...op.player });
+      break;
+    case 'leave':
+      spec.players = spec.players.filter(p => p.name !== op.player);
+      break;
+    case 'move':
+      findPlayer(op.player).slot = op.slot;
+      break;
+    case 'stats': {
+      const { player, ...stats } = fields;
+      Object.assign(findPlayer(player), stats);
+      break;
+    }
+    case 'start':
+      spec.state = 'InGame';
+      spec.elapsed = 0;
+      break;
+    case 'end':
+      spec.state = 'PostGame';
+      break;
+    case 'close':
+      sessions.delete(key);
+      break;
+    case 'set':
+      Object.assign(spec, fields);
+      break;
+    default:
+      throw new Error(`Unknown scenario operation: ${type}`);
+  }
+}
+
+// ============================================================================
+// SERVER
+// ============================================================================
+
+/**
+ * Create a mock lobby server
+ * @param {Object} options - Server options
+ * @param {string|Array} options.scenario - Built-in scenario name or step array (default: 'match')
+ * @param {string|number} options.advance - 'request', 'manual' or step interval in ms (default: 'request')
+ * @param {boolean} options.loop - Restart the scenario after its last step (default: false)
+ * @param {Object} options.maps - getdata.php responses keyed by "{modId}:{mapFile}" (default: MOCK_MAPS)
+ * @returns {Object} Mock server with listen, close, step, reset, setSessions, getPayload, getWebhooks and failNext methods
+ */
+function createMockLobbyServer(options = {}) {
+  const {
+    scenario = 'match',
+    advance = 'request',
+    loop = false,
+    maps = MOCK_MAPS
+  } = options;
+
+  const steps = typeof scenario === 'string' ? SCENARIOS[scenario] : scenario;
+  if (!Array.isArray(steps)) {
+    throw new Error(`Unknown scenario: ${scenario}. Available: ${Object.keys(SCENARIOS).join(', ')}`);
+  }
+
+  let sessions = new Map();
+  let stepIndex = -1;
+  let guidCounter = 0n;
+  let overridePayload = null;
+  let pendingFailures = [];
+  let timer = null;
+  let lobbyRequests = 0;
+  // Requests received on /webhook/...: { path, headers, body }
+  let webhooks = [];
+
+  // Spread GUIDs over the full 64 bits so they look like real ones
+  const nextGuid = () => (++guidCounter * 0x9E3779B97F4A7C15n) & 0xFFFFFFFFFFFFFFFFn;
+
+  /**
+   * Apply the next scenario step
+   * @returns {boolean} False once the scenario is finished (and not looping)
+   */
+  function step() {
+    if (stepIndex >= steps.length - 1) {
+      if (!loop) return false;
+      sessions = new Map();
+      stepIndex = -1;
+    }
+    stepIndex++;
+    for (const op of steps[stepIndex]) {
+      applyOperation(sessions, op, nextGuid);
+    }
+    return true;
+  }
+
+  /**
+   * Rewind to before the first step
+   */
+  function reset() {
+    sessions = new Map();
+    stepIndex = -1;
+    guidCounter = 0n;
+    overridePayload = null;
+    lobbyRequests = 0;
+    webhooks = [];
+  }
+
+  /**
+   * Serve a fixed list of raw sessions instead of the scenario (null to resume it)
+   * @param {Array|null} rawSessions - Raw session objects
+   */
+  function setSessions(rawSessions) {
+    overridePayload = rawSessions ? { GET: rawSessions } : null;
+  }
+
+  /**
+   * Current lobby payload
+   * @returns {Object} { GET: [...] }
+   */
+  function getPayload() {
+    if (overridePayload) return overridePayload;
+    return { GET: Array.from(sessions.values()).map(buildMockSession) };
+  }
+
+  /**
+   * Fail the next lobby requests with an HTTP status (for retry/fallback tests)
+   * @param {number} status - HTTP status code (default: 500)
+   * @param {number} count - Number of requests to fail (default: 1)
+   */
+  function failNext(status = 500, count = 1) {
+    for (let i = 0; i < count; i++) pendingFailures.push(status);
+  }
+
+  function send(res, status, body) {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+  }
+
+  function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === '/lobbyServer') {
+      lobbyRequests++;
+      if (pendingFailures.length > 0) {
+        send(res, pendingFailures.shift(), { error: 'Mock failure' });
+        return;
+      }
+      if (advance === 'request' || (stepIndex === -1 && steps.length > 0)) step();
+      send(res, 200, getPayload());
+      return;
+    }
+
+    if (url.pathname === '/bzcc/getdata.php') {
+      const key = `${url.searchParams.get('mod')}:${url.searchParams.get('map')}`;
+      if (maps[key]) send(res, 200, maps[key]);
+      else send(res, 404, { error: `No map data for ${key}` });
+      return;
+    }
+
+    if (url.pathname.startsWith('/webhook') && req.method === 'POST') {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        let parsed = body;
+        try {
+          parsed = JSON.parse(body);
+        } catch (e) {
+          // Keep non-JSON bodies as text
+        }
+        webhooks.push({ path: url.pathname, headers: req.headers, body: parsed });
+        res.writeHead(204, { 'Access-Control-Allow-Origin': '*' });
+        res.end();
+      });
+      return;
+    }
+
+    send(res, 404, { error: 'Not found' });
+  }
+
+  const server = http.createServer((req, res) => {
+    try {
+      handleRequest(req, res);
+    } catch (e) {
+      send(res, 500, { error: e.message });
+    }
+  });
+
+  /**
+   * Start listening
+   * @param {number} port - Port, 0 for a random free port (default: 0)
+   * @param {string} host - Interface to bind (default: '127.0.0.1')
+   * @returns {Promise<Object>} { url, apiUrl, mapApiBaseUrl, webhookUrl }
+   */
+  function listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        if (typeof advance === 'number') {
+          timer = setInterval(step, advance);
+          timer.unref?.();
+        }
+        const url = `http://${host}:${server.address().port}`;
+        resolve({ url, apiUrl: `${url}/lobbyServer`, mapApiBaseUrl: `${url}/bzcc`, webhookUrl: `${url}/webhook` });
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  function close() {
+    clearInterval(timer);
+    timer = null;
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  return {
+    listen,
+    close,
+    step,
+    reset,
+    setSessions,
+    getPayload,
+    failNext,
+    getStepIndex: () => stepIndex,
+    getRequestCount: () => lobbyRequests,
+    getWebhooks: () => [...webhooks],
+    server
+  };
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function parseArgs(argv) {
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') flags.help = true;
+    else if (arg === '--loop') flags.loop = true;
+    else if (['--port', '--host', '--scenario', '--advance'].includes(arg)) {
+      if (argv[i + 1] === undefined) throw new Error(`${arg} requires a value`);
+      flags[arg.slice(2)] = argv[++i];
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  return flags;
+}
+
+async function main(argv) {
+  const flags = parseArgs(argv);
+  if (flags.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  const advance = /^\d+$/.test(flags.advance || '') ? Number(flags.advance) : (flags.advance || 'request');
+  const mock = createMockLobbyServer({ scenario: flags.scenario || 'match', advance, loop: Boolean(flags.loop) });
+  const { apiUrl, mapApiBaseUrl, webhookUrl } = await mock.listen(Number(flags.port ?? 8080), flags.host || '127.0.0.1');
+
+  console.log(`Mock lobby server: ${apiUrl}`);
+  console.log(`Mock map data:     ${mapApiBaseUrl}/getdata.php?map=<map>&mod=<modId>`);
+  console.log(`Mock webhook:      ${webhookUrl}`);
+  process.on('SIGINT', () => mock.close().then(() => process.exit(0)));
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(e => {
+    console.error(`lobby-server: ${e.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  createMockLobbyServer,
+  buildMockSession,
+  SCENARIOS,
+  MOCK_MAPS
+};
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * Generate data/bz2-schema.json from BZ2API.RESULT_SCHEMA
+ *
+ * The JSON explorer reads its tooltips from the descriptions in this file, so
+ * run it after changing RESULT_SCHEMA. With --check, only report whether the
+ * file is up to date (exit code 1 if not).
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const BZ2API = require('../bz2api.js');
+
+const SCHEMA_PATH = path.join(__dirname, '..', 'data', 'bz2-schema.json');
+
+const USAGE = `Usage: node scripts/build-schema.js [--check]
+
+Writes data/bz2-schema.json from BZ2API.RESULT_SCHEMA.
+
+Options:
+  --check       Only report whether the file is up to date (exit code 1 if not)
+  -h, --help    Show this help
+`;
+
+function main(argv) {
+  if (argv.includes('-h') || argv.includes('--help')) {
+    console.log(USAGE);
+    return 0;
+  }
+  const unknown = argv.filter(arg => arg !== '--check');
+  if (unknown.length > 0) {
+    console.error(`Unknown option: ${unknown[0]}\n\n${USAGE}`);
+    return 1;
+  }
+
+  const expected = JSON.stringify(BZ2API.RESULT_SCHEMA, null, 2) + '\n';
+
+  if (argv.includes('--check')) {
+    const current = fs.existsSync(SCHEMA_PATH) ? fs.readFileSync(SCHEMA_PATH, 'utf8') : '';
+    if (current !== expected) {
+      console.error('data/bz2-schema.json is out of date. Run: npm run build:schema');
+      return 1;
+    }
+    console.log('data/bz2-schema.json is up to date');
+    return 0;
+  }
+
+  fs.writeFileSync(SCHEMA_PATH, expected);
+  console.log(`Wrote ${path.relative(process.cwd(), SCHEMA_PATH)}`);
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
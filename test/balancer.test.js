@@ -0,0 +1,72 @@
+/**
+ * Team balancer tests
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const BZ2API = require('../bz2api.js');
+
+const steamId = (i) => '76561198' + String(i).padStart(9, '0');
+
+/**
+ * Parse a STRAT lobby with one player per team slot (slots 1-5 are team 1, 6-10 team 2)
+ */
+function strategyLobby(slots, raw = {}) {
+  return BZ2API.parseSession({
+    g: '@ABCDEFGHIJ',
+    n: 'WA==',
+    si: BZ2API.ServerInfoMode.OPEN_WAITING,
+    gt: BZ2API.GameType.STRATEGY,
+    gtd: BZ2API.encodeGameSubType({ gameMode: 'STRAT' }),
+    pm: 10,
+    pl: slots.map((t, i) => ({ n: Buffer.from(`P${i}`).toString('base64'), i: `S${steamId(i)}`, t })),
+    ...raw
+  });
+}
+
+describe('suggestTeamSplits', () => {
+  it('keeps locked commanders on their team', () => {
+    const lobby = strategyLobby([1, 2, 3, 6, 7, 8]);
+    const ratings = { [steamId(0)]: 1500, [steamId(1)]: 1800, [steamId(2)]: 1700, [steamId(3)]: 1400 };
+    const { proposals } = BZ2API.suggestTeamSplits(lobby, { ratings });
+
+    assert.ok(proposals.length > 0);
+    for (const proposal of proposals) {
+      assert.equal(proposal.teams[0].commander, 'P0');
+      assert.equal(proposal.teams[1].commander, 'P3');
+    }
+  });
+
+  it('rates the current teams with their actual commanders when commanders are not locked', () => {
+    const lobby = strategyLobby([1, 2, 6, 7]);
+    // P1 outrates the real team 1 commander P0
+    const ratings = { [steamId(0)]: 1400, [steamId(1)]: 1800, [steamId(2)]: 1500, [steamId(3)]: 1500 };
+    const { current } = BZ2API.suggestTeamSplits(lobby, { ratings, lockCommanders: false });
+
+    assert.equal(current.teams[0].commander, 'P0');
+    assert.equal(current.teams[1].commander, 'P2');
+    // (1400 * 2 + 1800) / 3
+    assert.equal(current.teams[0].rating, 1533.3);
+  });
+
+  it('orders proposals by closeness to an even match', () => {
+    const lobby = strategyLobby([1, 2, 3, 4, 6, 7, 8, 9]);
+    const ratings = Object.fromEntries([1600, 1700, 1650, 1600, 1500, 1400, 1450, 1400].map((r, i) => [steamId(i), r]));
+    const { current, proposals } = BZ2API.suggestTeamSplits(lobby, { ratings, limit: 5 });
+
+    const distance = (p) => Math.abs(p.team1WinProbability - 0.5);
+    assert.ok(distance(proposals[0]) < distance(current));
+    for (let i = 1; i < proposals.length; i++) assert.ok(distance(proposals[i - 1]) <= distance(proposals[i]));
+  });
+
+  it('rejects sessions that are not STRAT lobbies in PreGame', () => {
+    const deathmatch = strategyLobby([1, 6], { gt: BZ2API.GameType.DEATHMATCH, gtd: BZ2API.encodeGameSubType({ gameMode: 'TEAM_DM' }) });
+    assert.throws(() => BZ2API.suggestTeamSplits(deathmatch), /STRAT game/);
+
+    const started = strategyLobby([1, 6], { si: BZ2API.ServerInfoMode.OPEN_PLAYING });
+    assert.equal(started.state, 'InGame');
+    assert.throws(() => BZ2API.suggestTeamSplits(started), /PreGame lobby/);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * TTL/LRU cache tests
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const BZ2API = require('../bz2api.js');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('createCache', () => {
+  it('tells misses from negative entries', async () => {
+    const cache = BZ2API.createCache();
+    await cache.set('found', { a: 1 });
+    await cache.set('missing', null);
+
+    assert.deepEqual(await cache.get('found'), { a: 1 });
+    assert.equal(await cache.get('missing'), null);
+    assert.equal(await cache.get('unknown'), undefined);
+    assert.equal(await cache.has('missing'), true);
+    assert.equal(await cache.has('unknown'), false);
+  });
+
+  it('expires values after ttl and negative entries after negativeTtl', async () => {
+    const cache = BZ2API.createCache({ ttl: 60000, negativeTtl: 20 });
+    await cache.set('value', 1);
+    await cache.set('negative', null);
+    await cache.set('short', 2, 20);
+
+    await sleep(40);
+    assert.equal(await cache.get('value'), 1);
+    assert.equal(await cache.get('negative'), undefined);
+    assert.equal(await cache.prune(), 1);
+    assert.equal(cache.size(), 1);
+  });
+
+  it('evicts the least recently used entry', async () => {
+    const cache = BZ2API.createCache({ maxEntries: 2 });
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+    await cache.get('a');
+    await cache.set('c', 3);
+
+    assert.equal(await cache.get('a'), 1);
+    assert.equal(await cache.get('b'), undefined);
+    assert.equal(await cache.get('c'), 3);
+  });
+
+  it('persists entries under its namespace and starts warm', async () => {
+    const storage = BZ2API.createMemoryStorage();
+    await storage.set('other:x', { value: 'untouched', expiresAt: null });
+    const first = BZ2API.createCache({ storage, namespace: 'map:' });
+    await first.set('vsrplaza', { name: 'Plaza' });
+    await first.set('gone', 1);
+    await first.delete('gone');
+
+    const second = BZ2API.createCache({ storage, namespace: 'map:' });
+    assert.deepEqual(await second.get('vsrplaza'), { name: 'Plaza' });
+    assert.equal(await second.get('gone'), undefined);
+    assert.equal(second.size(), 1);
+
+    await second.clear();
+    assert.deepEqual((await storage.entries('')).map(([key]) => key), ['other:x']);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Session clock tests
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const BZ2API = require('../bz2api.js');
+
+const T0 = Date.UTC(2026, 0, 1, 12);
+const MINUTE = 60000;
+
+function at(ms) {
+  return new Date(T0 + ms).toISOString();
+}
+
+function session(gameTimeMinutes, extra = {}) {
+  return { guid: 'g1', gameTimeMinutes, players: [], ...extra };
+}
+
+describe('createSessionClock', () => {
+  it('estimates the start from one poll to within half a minute', () => {
+    const clock = BZ2API.createSessionClock({ toleranceMs: 0 });
+    const [estimate] = clock.update([session(10)], at(0));
+
+    assert.equal(estimate.startedAt, at(-10.5 * MINUTE));
+    assert.equal(estimate.accuracyMinutes, 0.5);
+    assert.equal(estimate.elapsedMinutes, 10);
+    assert.equal(estimate.isLowerBound, false);
+  });
+
+  it('narrows the window across polls', () => {
+    const clock = BZ2API.createSessionClock({ toleranceMs: 0 });
+    clock.update([session(10)], at(0));
+    const [estimate] = clock.update([session(11)], at(MINUTE / 2));
+
+    assert.equal(estimate.startedAt, at(-10.75 * MINUTE));
+    // A quarter of a minute, rounded to one decimal
+    assert.equal(estimate.accuracyMinutes, 0.3);
+  });
+
+  it('keeps counting past 255 minutes once the start is known', () => {
+    const clock = BZ2API.createSessionClock({ toleranceMs: 0 });
+    clock.update([session(254)], at(0));
+    const [estimate] = clock.update([session(255)], at(120 * MINUTE));
+
+    assert.equal(estimate.elapsedMinutes, 374);
+    assert.equal(estimate.isLowerBound, false);
+  });
+
+  it('reports a lower bound for sessions first seen at 255 minutes', () => {
+    const clock = BZ2API.createSessionClock({ toleranceMs: 0 });
+    const [estimate] = clock.update([session(255, { timeLimitMinutes: 240 })], at(0));
+
+    assert.equal(estimate.startedAt, null);
+    assert.equal(estimate.isLowerBound, true);
+    assert.equal(estimate.elapsedMinutes, 255);
+    assert.equal(estimate.remainingMinutes, 0);
+    assert.equal(estimate.endsAt, null);
+  });
+
+  it('re-anchors and counts a restart when the clock goes backwards', () => {
+    const clock = BZ2API.createSessionClock({ toleranceMs: 0 });
+    clock.update([session(30)], at(0));
+    const [estimate] = clock.update([session(1)], at(MINUTE));
+
+    assert.equal(estimate.restarts, 1);
+    assert.equal(estimate.elapsedMinutes, 1);
+    assert.equal(estimate.firstSeen, at(0));
+  });
+
+  it('works out time and kill limits', () => {
+    const clock = BZ2API.createSessionClock({ toleranceMs: 0 });
+    const players = [{ kills: 7 }, { kills: 3 }];
+    const [estimate] = clock.update([session(10, { timeLimitMinutes: 30, killLimit: 10, players })], at(0));
+
+    assert.equal(estimate.remainingMinutes, 20);
+    assert.equal(estimate.endsAt, at(19.5 * MINUTE));
+    assert.equal(estimate.killsRemaining, 3);
+  });
+
+  it('carries estimates over polls without gtm and forgets vanished sessions', () => {
+    const clock = BZ2API.createSessionClock({ toleranceMs: 0 });
+    assert.deepEqual(clock.update([session(null)], at(0)), []);
+
+    clock.update([session(10)], at(0));
+    const [estimate] = clock.update([session(null)], at(2 * MINUTE));
+    assert.equal(estimate.elapsedMinutes, 12);
+    assert.equal(clock.get(session(null)).lastSeen, at(2 * MINUTE));
+
+    clock.update([], at(3 * MINUTE));
+    assert.equal(clock.get(session(null)), null);
+  });
+});
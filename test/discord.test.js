@@ -0,0 +1,103 @@
+/**
+ * Discord notifier tests
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const BZ2API = require('../bz2api.js');
+
+const HOUR = 60 * 60 * 1000;
+
+function lobby(open, guid = 'a1') {
+  return {
+    guid,
+    name: `Lobby ${guid}`,
+    state: 'PreGame',
+    hasOpenSlots: open,
+    isTeamGame: false,
+    gameModeName: 'Deathmatch',
+    playerCount: 1,
+    maxPlayers: 4,
+    players: []
+  };
+}
+
+/**
+ * Transport stub answering each post with the next status in the list (then 204)
+ */
+function stubTransport(statuses = [], headers = {}) {
+  const requests = [];
+  return {
+    requests,
+    request: async (url, init) => {
+      const status = statuses[requests.length] ?? 204;
+      requests.push({ url, ...init });
+      return { ok: status < 300, status, headers: new Map(Object.entries(headers)) };
+    }
+  };
+}
+
+function at(ms) {
+  return new Date(Date.UTC(2026, 0, 1) + ms).toISOString();
+}
+
+describe('createDiscordNotifier', () => {
+  it('keeps a per-rule cooldown when a session disappears and comes back', async () => {
+    const transport = stubTransport();
+    const notifier = BZ2API.createDiscordNotifier({
+      webhookUrl: 'http://discord.test/webhook',
+      transport,
+      cooldownMs: HOUR / 2,
+      rules: [{ name: 'open', when: { hasOpenSlots: true }, cooldownMs: 2 * HOUR }]
+    });
+
+    assert.equal(notifier.update([lobby(true)], at(0)).length, 1);
+    // Gone past the notifier-wide cooldown, back within the rule's own
+    notifier.update([], at(HOUR));
+    assert.equal(notifier.update([lobby(true)], at(HOUR + 1000)).length, 0);
+
+    notifier.update([], at(3 * HOUR));
+    assert.equal(notifier.update([lobby(true)], at(3 * HOUR + 1000)).length, 1);
+    await notifier.flush();
+  });
+
+  it('retries 429 and 5xx responses with the shared retry policy', async () => {
+    const transport = stubTransport([429, 502], { 'Retry-After': '0' });
+    const notifier = BZ2API.createDiscordNotifier({ webhookUrl: 'http://discord.test/webhook', transport, retryDelay: 1 });
+    const sent = [];
+    notifier.on('sent', item => sent.push(item));
+
+    notifier.update([lobby(true)], at(0));
+    await notifier.flush();
+    assert.equal(transport.requests.length, 3);
+    assert.equal(sent.length, 1);
+  });
+
+  it('does not retry 4xx responses', async () => {
+    const transport = stubTransport([404]);
+    const notifier = BZ2API.createDiscordNotifier({ webhookUrl: 'http://discord.test/webhook', transport, retryDelay: 1 });
+    const errors = [];
+    notifier.on('error', e => errors.push(e));
+
+    notifier.update([lobby(true)], at(0));
+    await notifier.flush();
+    assert.equal(transport.requests.length, 1);
+    assert.equal(errors[0].message, 'Discord webhook failed: HTTP 404');
+    assert.equal(errors[0].notification.session.guid, 'a1');
+  });
+
+  it('emits dropped pings when the queue is full', async () => {
+    const transport = stubTransport();
+    const notifier = BZ2API.createDiscordNotifier({ webhookUrl: 'http://discord.test/webhook', transport, maxQueue: 1 });
+    const dropped = [];
+    notifier.on('dropped', item => dropped.push(item.session.guid));
+
+    // The first ping is taken off the queue as soon as it is posted
+    notifier.update([lobby(true, 'a1'), lobby(true, 'a2'), lobby(true, 'a3')], at(0));
+    await notifier.flush();
+    assert.deepEqual(dropped, ['a2']);
+    assert.equal(transport.requests.length, 2);
+  });
+});
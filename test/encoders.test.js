@@ -0,0 +1,103 @@
+/**
+ * Encoder round-trip tests: raw → parseSession → buildRawSession → parseSession
+ * over every mock scenario step, plus the individual field encoders.
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const BZ2API = require('../bz2api.js');
+const { createMockLobbyServer, SCENARIOS } = require('../mock/lobby-server.js');
+
+/**
+ * Parsed session without the fields that describe the input rather than the session
+ */
+function comparable(session) {
+  const { _raw, warnings, ...rest } = session;
+  return rest;
+}
+
+/**
+ * Raw payloads for every step of a mock scenario
+ */
+function scenarioPayloads(name) {
+  const mock = createMockLobbyServer({ scenario: name, advance: 'manual' });
+  const payloads = [];
+  for (let i = 0; i < SCENARIOS[name].length; i++) {
+    mock.step();
+    payloads.push(mock.getPayload());
+  }
+  return payloads;
+}
+
+describe('buildRawSession round trip', () => {
+  for (const name of Object.keys(SCENARIOS)) {
+    it(`reproduces every session in the ${name} scenario`, () => {
+      for (const payload of scenarioPayloads(name)) {
+        for (const raw of payload.GET) {
+          const parsed = BZ2API.parseSession(raw);
+          const rebuilt = BZ2API.buildRawSession(parsed);
+          assert.deepEqual(rebuilt, raw);
+          assert.deepEqual(comparable(BZ2API.parseSession(rebuilt)), comparable(parsed));
+        }
+      }
+    });
+
+    it(`reproduces the ${name} scenario without the raw game type fields`, () => {
+      for (const payload of scenarioPayloads(name)) {
+        for (const raw of payload.GET) {
+          const parsed = BZ2API.parseSession(raw);
+          const stripped = { ...parsed, rawGameType: undefined, rawGameSubType: undefined };
+          const reparsed = BZ2API.parseSession(BZ2API.buildRawSession(stripped));
+          assert.deepEqual(comparable(reparsed), comparable(parsed));
+        }
+      }
+    });
+  }
+
+  it('encodes sessions with an unknown game mode instead of throwing', () => {
+    const [raw] = scenarioPayloads('lobby').find(payload => payload.GET.length > 0).GET;
+    const parsed = BZ2API.parseSession({ ...raw, gt: 0, gtd: 0 });
+    assert.equal(parsed.gameMode, null);
+
+    const stripped = { ...parsed, rawGameType: undefined, rawGameSubType: undefined };
+    const rebuilt = BZ2API.buildRawSession(stripped);
+    assert.equal(rebuilt.gt, 0);
+    assert.equal(rebuilt.gtd, 0);
+    assert.deepEqual(comparable(BZ2API.parseSession(rebuilt)), comparable(parsed));
+  });
+});
+
+describe('field encoders', () => {
+  it('round-trips names through cp1252 Base64', () => {
+    for (const name of ['Alice', 'Zoë’s “Lobby”', '€ 100%', '']) {
+      assert.equal(BZ2API.decodeBase64Name(BZ2API.encodeBase64Name(name)), name);
+    }
+  });
+
+  it('round-trips RakNet GUIDs', () => {
+    for (const guid of [0n, 1n, 0x9e3779b97f4a7c15n, 0xffffffffffffffffn]) {
+      const encoded = BZ2API.encodeRakNetGuid(guid);
+      assert.equal(encoded.length, 11);
+      assert.equal(BZ2API.decodeRakNetGuid(encoded), guid);
+    }
+  });
+
+  it('round-trips every game mode through gtd', () => {
+    const modes = ['DM', 'TEAM_DM', 'KOTH', 'TEAM_KOTH', 'CTF', 'TEAM_CTF', 'LOOT', 'TEAM_LOOT', 'RACE', 'TEAM_RACE', 'FFA', 'STRAT', 'MPI'];
+    for (const gameMode of modes) {
+      const gt = ['FFA', 'STRAT', 'MPI'].includes(gameMode) ? BZ2API.GameType.STRATEGY : BZ2API.GameType.DEATHMATCH;
+      for (const respawn of gt === BZ2API.GameType.DEATHMATCH ? ['One', 'Race', 'Any'] : ['One']) {
+        const gtd = BZ2API.encodeGameSubType({ gameMode, respawn });
+        const parsed = BZ2API.parseGameTypeAndMode(gt, gtd);
+        assert.equal(parsed.gameMode, gameMode);
+        assert.equal(parsed.respawn, respawn);
+      }
+    }
+  });
+
+  it('rejects game modes it cannot encode', () => {
+    assert.throws(() => BZ2API.encodeGameSubType({ gameMode: 'BOGUS' }), /Cannot encode game mode/);
+  });
+});
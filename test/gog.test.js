@@ -0,0 +1,90 @@
+/**
+ * GOG player enrichment tests: direct-only lookups and negative caching
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const BZ2API = require('../bz2api.js');
+
+const GOG_ID = '48628349957132247';
+const PROXY = 'https://proxy.test/?url=';
+
+function userInfo(username) {
+  return new Response(JSON.stringify({ username, avatars: { medium: 'https://images.gog.test/a.jpg' }, userSince: 1577836800 }), { status: 200 });
+}
+
+describe('fetchGogPlayerInfo', () => {
+  it('parses profiles and caches them', async () => {
+    const calls = [];
+    const fetch = async (url) => {
+      calls.push(url);
+      return userInfo('Alice');
+    };
+    const client = BZ2API.createClient({ fetch, gogApiUrl: 'http://gog.test' });
+
+    const first = await client.fetchGogPlayerInfo([GOG_ID, GOG_ID]);
+    const second = await client.fetchGogPlayerInfo([GOG_ID]);
+    assert.equal(first[GOG_ID].displayName, 'Alice');
+    assert.equal(first[GOG_ID].avatar, 'https://images.gog.test/a.jpg');
+    assert.equal(first[GOG_ID].accountCreated, '2020-01-01T00:00:00.000Z');
+    assert.deepEqual(second, first);
+    assert.deepEqual(calls, [`http://gog.test/users/info/${GOG_ID}`]);
+  });
+
+  it('treats a 4xx as an unknown profile without trying proxies or logging', async () => {
+    const calls = [];
+    const fetch = async (url) => {
+      calls.push(url);
+      return new Response('Not Found', { status: 404 });
+    };
+    const client = BZ2API.createClient({ fetch, corsProxies: [PROXY], gogApiUrl: 'http://gog.test' });
+
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = (...args) => warnings.push(args);
+    try {
+      assert.deepEqual(await client.fetchGogPlayerInfo([GOG_ID]), {});
+      assert.deepEqual(await client.fetchGogPlayerInfo([GOG_ID]), {});
+    } finally {
+      console.warn = warn;
+    }
+    assert.equal(calls.length, 1);
+    assert.ok(!calls[0].startsWith(PROXY));
+    assert.deepEqual(warnings, []);
+  });
+
+  it('does not send failed lookups through proxies', async () => {
+    const calls = [];
+    const fetch = async (url) => {
+      calls.push(url);
+      throw new TypeError('Failed to fetch');
+    };
+    const client = BZ2API.createClient({ fetch, corsProxies: [PROXY], gogApiUrl: 'http://gog.test' });
+
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      assert.deepEqual(await client.fetchGogPlayerInfo([GOG_ID]), {});
+    } finally {
+      console.warn = warn;
+    }
+    assert.deepEqual(calls, [`http://gog.test/users/info/${GOG_ID}`]);
+  });
+
+  it('retries unknown profiles after gogCacheNegativeTtl', async () => {
+    let requests = 0;
+    const fetch = async () => {
+      requests++;
+      return requests === 1 ? new Response('Not Found', { status: 404 }) : userInfo('Bob');
+    };
+    const client = BZ2API.createClient({ fetch, gogApiUrl: 'http://gog.test', gogCacheNegativeTtl: 20 });
+
+    assert.deepEqual(await client.fetchGogPlayerInfo([GOG_ID]), {});
+    await new Promise(resolve => setTimeout(resolve, 40));
+    const profiles = await client.fetchGogPlayerInfo([GOG_ID]);
+    assert.equal(requests, 2);
+    assert.equal(profiles[GOG_ID].displayName, 'Bob');
+  });
+});
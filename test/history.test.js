@@ -0,0 +1,93 @@
+/**
+ * Session recorder and JSON-lines storage tests
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BZ2API = require('../bz2api.js');
+
+const SESSION = {
+  guid: '9e3779b97f4a7c15',
+  name: 'Test',
+  state: 'PreGame',
+  playerCount: 1,
+  players: [{ name: 'Alice', steamId: '76561198000000001', team: 1 }]
+};
+
+function timestampAt(seconds) {
+  return new Date(Date.UTC(2026, 0, 1, 0, 0, seconds)).toISOString();
+}
+
+describe('createSessionRecorder', () => {
+  it('writes overlapping snapshots one at a time', async () => {
+    const memory = BZ2API.createMemoryStorage();
+    const slowStorage = {
+      ...memory,
+      get: async (key) => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        return memory.get(key);
+      }
+    };
+    const recorder = BZ2API.createSessionRecorder({ storage: slowStorage });
+
+    await Promise.all([1, 2, 3, 4, 5].map(i => recorder.record([SESSION], timestampAt(i))));
+
+    const session = await recorder.getSession(SESSION.guid);
+    assert.equal(session.snapshotCount, 5);
+    assert.equal(session.firstSeen, timestampAt(1));
+    assert.equal(session.lastSeen, timestampAt(5));
+  });
+});
+
+describe('createJsonLinesStorage', () => {
+  it('compacts the file once rewrites outnumber live keys', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bz2api-'));
+    const filePath = path.join(dir, 'history.jsonl');
+    try {
+      const recorder = BZ2API.createSessionRecorder({ storage: BZ2API.createJsonLinesStorage(filePath) });
+      for (let i = 0; i < 600; i++) await recorder.record([SESSION], timestampAt(i));
+
+      const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+      assert.ok(lines.length < 1000, `expected a compacted file, got ${lines.length} lines`);
+
+      const reopened = BZ2API.createJsonLinesStorage(filePath);
+      assert.equal((await reopened.get(`session:${SESSION.guid}`)).snapshotCount, 600);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('keeps writes made while the file is still loading', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bz2api-'));
+    const filePath = path.join(dir, 'kv.jsonl');
+    try {
+      fs.writeFileSync(filePath, JSON.stringify({ op: 'set', key: 'k', value: 'old' }) + '\n');
+      const storage = BZ2API.createJsonLinesStorage(filePath);
+
+      const [before] = await Promise.all([storage.get('k'), storage.set('k', 'new')]);
+      assert.equal(before, 'old');
+      assert.equal(await storage.get('k'), 'new');
+      assert.equal(await BZ2API.createJsonLinesStorage(filePath).get('k'), 'new');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('keeps every line when compactRatio is 0', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bz2api-'));
+    const filePath = path.join(dir, 'kv.jsonl');
+    try {
+      const storage = BZ2API.createJsonLinesStorage(filePath, { compactRatio: 0 });
+      for (let i = 0; i < 1200; i++) await storage.set('key', i);
+
+      assert.equal(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 1200);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Match tracker tests
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const BZ2API = require('../bz2api.js');
+
+function player(name, steamId, team, extra = {}) {
+  return { name, steamId, gogId: null, platform: 'Steam', team, teamSlot: team === 1 ? 1 : 6, isCommander: false, kills: 0, deaths: 0, score: 0, ...extra };
+}
+
+function session(state, players, extra = {}) {
+  return {
+    guid: 'g1',
+    name: 'VSR 1v1',
+    state,
+    mapFile: 'vsrplaza',
+    mapName: 'Plaza',
+    gameType: 'STRAT',
+    gameMode: 'STRAT',
+    gameModeName: 'Strategy',
+    gameBalance: 'VSR',
+    isTeamGame: true,
+    mods: [{ id: '1325933293' }],
+    players,
+    ...extra
+  };
+}
+
+function at(minutes) {
+  return new Date(Date.UTC(2026, 0, 1, 0, minutes)).toISOString();
+}
+
+describe('createMatchTracker', () => {
+  it('finishes a match at PostGame with the winning team and the final scoreboard', () => {
+    const tracker = BZ2API.createMatchTracker();
+    const emitted = [];
+    tracker.on('match', result => emitted.push(result));
+    const alice = player('Alice', '1', 1, { isCommander: true });
+    const bob = player('Bob', '2', 2);
+    const carol = player('Carol', '3', 2);
+
+    assert.deepEqual(tracker.update([session('PreGame', [alice, bob, carol])], at(0)), []);
+    tracker.update([session('InGame', [alice, bob, carol])], at(1));
+    tracker.update([session('InGame', [{ ...alice, isCommander: false, score: 20 }, { ...bob, isCommander: true, score: 5 }, carol])], at(20));
+    const [result] = tracker.update([session('PostGame', [{ ...alice, score: 30, kills: 4 }, { ...bob, score: 10 }])], at(30));
+
+    assert.equal(result.matchId, `g1:${at(1)}`);
+    assert.equal(result.endReason, 'postgame');
+    assert.equal(result.complete, true);
+    assert.equal(result.durationMinutes, 29);
+    assert.equal(result.mapName, 'Plaza');
+    assert.deepEqual(result.mods, ['1325933293']);
+    assert.equal(result.winningTeam, 1);
+    assert.equal(result.isDraw, false);
+    assert.deepEqual(result.teams.map(t => [t.team, t.playerKeys, t.score]), [[1, ['1'], 30], [2, ['2', '3'], 10]]);
+
+    const byKey = Object.fromEntries(result.players.map(p => [p.playerKey, p]));
+    assert.equal(byKey['1'].kills, 4);
+    assert.equal(byKey['1'].isCommander, true);
+    assert.equal(byKey['2'].isCommander, true);
+    assert.equal(byKey['3'].leftEarly, true);
+    assert.equal(byKey['1'].leftEarly, false);
+    assert.deepEqual(emitted, [result]);
+
+    // Lingering in PostGame doesn't end the match again
+    assert.deepEqual(tracker.update([session('PostGame', [alice, bob])], at(31)), []);
+  });
+
+  it('ends a match without a scoreboard when the lobby restarts', () => {
+    const tracker = BZ2API.createMatchTracker();
+    const players = [player('Alice', '1', 1), player('Bob', '2', 2)];
+
+    tracker.update([session('InGame', players)], at(0));
+    tracker.update([session('InGame', players)], at(10));
+    const [result] = tracker.update([session('PreGame', players)], at(12));
+
+    assert.equal(result.endReason, 'restarted');
+    assert.equal(result.complete, false);
+    assert.equal(result.endedAt, at(10));
+    assert.equal(result.isDraw, true);
+  });
+
+  it('ends a match when the session disappears', () => {
+    const tracker = BZ2API.createMatchTracker();
+    tracker.update({ sessions: [session('InGame', [player('Alice', '1', 1), player('Bob', '2', 2)])], timestamp: at(0) });
+    const [result] = tracker.update({ sessions: [], timestamp: at(5) });
+
+    assert.equal(result.endReason, 'disappeared');
+    assert.equal(result.endedAt, at(0));
+    assert.deepEqual(tracker.update([], at(6)), []);
+  });
+
+  it('starts a new match when a finished session goes back in game', () => {
+    const tracker = BZ2API.createMatchTracker();
+    const players = [player('Alice', '1', 1, { score: 1 }), player('Bob', '2', 2)];
+
+    tracker.update([session('InGame', players)], at(0));
+    tracker.update([session('PostGame', players)], at(10));
+    tracker.update([session('InGame', players)], at(12));
+    const [result] = tracker.update([session('PostGame', players)], at(20));
+    assert.equal(result.matchId, `g1:${at(12)}`);
+  });
+
+  it('picks the top scorer in free-for-all games and no winner in MPI', () => {
+    const tracker = BZ2API.createMatchTracker();
+    const ffa = { guid: 'ffa', gameType: 'STRAT', gameMode: 'FFA', isTeamGame: false };
+    const mpi = { guid: 'mpi', gameMode: 'MPI', isTeamGame: false };
+    const players = [player('Alice', '1', null, { score: 10 }), player('Bob', '2', null, { score: 25 })];
+
+    tracker.update([session('InGame', players, ffa), session('InGame', players, mpi)], at(0));
+    const results = tracker.update([session('PostGame', players, ffa), session('PostGame', players, mpi)], at(15));
+    const byGuid = Object.fromEntries(results.map(r => [r.guid, r]));
+
+    assert.equal(byGuid.ffa.winnerPlayerKey, '2');
+    assert.equal(byGuid.ffa.winningTeam, null);
+    assert.equal(byGuid.mpi.winnerPlayerKey, null);
+    assert.equal(byGuid.mpi.isDraw, false);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Session query tests: criteria matching, query strings and sorting
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const BZ2API = require('../bz2api.js');
+
+const SESSIONS = [
+  { name: 'Alpha', mapFile: 'vsrplaza', gameMode: 'STRAT', gameBalance: 'VSR', playerCount: 4, maxPlayers: 10, hasPassword: false, nat: { name: 'FULL' }, players: [{ name: 'Ann', steamId: '1' }] },
+  { name: 'Bravo', mapFile: 'vsrcanyon', gameMode: 'STRAT', gameBalance: 'VSR', playerCount: 8, maxPlayers: 8, hasPassword: false, nat: { name: 'NONE' }, players: [{ name: 'Bob', steamId: '2' }] },
+  { name: 'Charlie', mapFile: 'dmarena', gameMode: 'DM', gameBalance: null, playerCount: 2, maxPlayers: 6, hasPassword: true, nat: { name: 'FULL' }, players: [{ name: 'Cy', gogId: '3' }] },
+  { name: 'Delta', mapFile: 'mpimission', gameMode: 'MPI', gameBalance: null, playerCount: 1, maxPlayers: null, hasPassword: false, nat: { name: 'FULL' }, players: [] }
+];
+
+const names = (sessions) => sessions.map(s => s.name);
+
+describe('query', () => {
+  it('matches literals, lists, operators and dotted paths', () => {
+    assert.deepEqual(names(BZ2API.query(SESSIONS, { gameMode: 'STRAT' })), ['Alpha', 'Bravo']);
+    assert.deepEqual(names(BZ2API.query(SESSIONS, { gameMode: ['DM', 'MPI'] })), ['Charlie', 'Delta']);
+    assert.deepEqual(names(BZ2API.query(SESSIONS, { playerCount: { gte: 2, lt: 8 } })), ['Alpha', 'Charlie']);
+    assert.deepEqual(names(BZ2API.query(SESSIONS, { 'nat.name': { ne: 'FULL' } })), ['Bravo']);
+  });
+
+  it('supports the alias criteria', () => {
+    assert.deepEqual(names(BZ2API.query(SESSIONS, { minPlayers: 4 })), ['Alpha', 'Bravo']);
+    assert.deepEqual(names(BZ2API.query(SESSIONS, { minOpenSlots: 1, gameMode: 'STRAT' })), ['Alpha']);
+    assert.deepEqual(names(BZ2API.query(SESSIONS, { player: 'Bob' })), ['Bravo']);
+    assert.deepEqual(names(BZ2API.query(SESSIONS, { player: '3' })), ['Charlie']);
+  });
+
+  it('matches every session with a global or sticky regex', () => {
+    assert.deepEqual(names(BZ2API.query(SESSIONS, { mapFile: /vsr/g })), ['Alpha', 'Bravo']);
+    assert.deepEqual(names(BZ2API.query(SESSIONS, { mapFile: /vsr/y })), ['Alpha', 'Bravo']);
+  });
+
+  it('sorts ascending and descending with nulls last, then applies limit', () => {
+    assert.deepEqual(names(BZ2API.query(SESSIONS, {}, { sort: '-playerCount' })), ['Bravo', 'Alpha', 'Charlie', 'Delta']);
+    assert.deepEqual(names(BZ2API.query(SESSIONS, {}, { sort: 'maxPlayers' })), ['Charlie', 'Bravo', 'Alpha', 'Delta']);
+    assert.deepEqual(names(BZ2API.query(SESSIONS, {}, { sort: '-maxPlayers' })), ['Alpha', 'Bravo', 'Charlie', 'Delta']);
+    assert.deepEqual(names(BZ2API.query(SESSIONS, {}, { sort: ['gameMode', '-name'], limit: 3 })), ['Charlie', 'Delta', 'Bravo']);
+  });
+
+  it('accepts query strings', () => {
+    const results = BZ2API.query(SESSIONS, 'gameBalance:VSR hasPassword:false sort:-playerCount limit:1');
+    assert.deepEqual(names(results), ['Bravo']);
+  });
+});
+
+describe('parseQuery', () => {
+  it('parses typed values, lists, regexes, quotes and comparisons', () => {
+    const criteria = BZ2API.parseQuery('gameMode:STRAT,MPI&hasPassword=false minPlayers:>=2 name:"My Lobby" mapFile:/vsr,dm/i state:!=PostGame maxPlayers:null');
+    assert.deepEqual(criteria.gameMode, ['STRAT', 'MPI']);
+    assert.equal(criteria.hasPassword, false);
+    assert.deepEqual(criteria.minPlayers, { gte: 2 });
+    assert.equal(criteria.name, 'My Lobby');
+    assert.ok(criteria.mapFile instanceof RegExp);
+    assert.equal(criteria.mapFile.source, 'vsr,dm');
+    assert.equal(criteria.mapFile.flags, 'i');
+    assert.deepEqual(criteria.state, { ne: 'PostGame' });
+    assert.equal(criteria.maxPlayers, null);
+  });
+
+  it('parses sort keys and limit', () => {
+    assert.deepEqual(BZ2API.parseQuery('sort:-playerCount,name limit:5'), { sort: ['-playerCount', 'name'], limit: 5 });
+    assert.deepEqual(BZ2API.parseQuery('  '), {});
+  });
+
+  it('throws on terms that are not field:value', () => {
+    assert.throws(() => BZ2API.parseQuery('bogus'), /Invalid query term: "bogus"/);
+    assert.throws(() => BZ2API.parseQuery('gameBalance:VSR players>=x'), /Invalid query term: "players>=x"/);
+    assert.throws(() => BZ2API.parseQuery('name:"unterminated'), /Invalid query term/);
+  });
+
+  it('throws on a non-numeric limit', () => {
+    assert.throws(() => BZ2API.parseQuery('limit:abc'), /Invalid query limit: "abc"/);
+    assert.throws(() => BZ2API.parseQuery('limit:-1'), /Invalid query limit/);
+  });
+});
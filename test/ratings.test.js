@@ -0,0 +1,170 @@
+/**
+ * Rating engine tests
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const BZ2API = require('../bz2api.js');
+
+function player(name, steamId, team, extra = {}) {
+  return { playerKey: steamId, name, steamId, gogId: null, platform: 'Steam', team, isCommander: false, score: 0, ...extra };
+}
+
+function match(players, extra = {}) {
+  return {
+    matchId: 'g1:2026-01-01T00:00:00.000Z',
+    gameType: 'STRAT',
+    gameMode: 'STRAT',
+    isTeamGame: true,
+    complete: true,
+    endedAt: '2026-01-01T00:30:00.000Z',
+    winningTeam: 1,
+    winnerPlayerKey: null,
+    isDraw: false,
+    players,
+    ...extra
+  };
+}
+
+function deltas(rated) {
+  return Object.fromEntries(rated.changes.map(c => [c.playerKey, c.delta]));
+}
+
+describe('getModeFamily', () => {
+  it('maps game types to families and skips MPI', () => {
+    assert.equal(BZ2API.getModeFamily({ gameType: 'DM', gameMode: 'KOTH' }), 'DM');
+    assert.equal(BZ2API.getModeFamily({ gameType: 'STRAT', gameMode: 'FFA' }), 'STRAT');
+    assert.equal(BZ2API.getModeFamily({ gameType: 'STRAT', gameMode: 'MPI' }), null);
+  });
+});
+
+describe('createRatingEngine', () => {
+  it('moves evenly matched 1v1 ratings by half the K-factor', async () => {
+    const engine = BZ2API.createRatingEngine();
+    const rated = await engine.rateMatch(match([player('Alice', '1', 1), player('Bob', '2', 2)]));
+
+    assert.equal(rated.family, 'STRAT');
+    assert.deepEqual(deltas(rated), { 1: 16, 2: -16 });
+    const alice = await engine.getRating('1', 'STRAT');
+    assert.equal(alice.rating, 1516);
+    assert.equal(alice.peakRating, 1516);
+    assert.deepEqual([alice.matches, alice.wins, alice.draws, alice.losses], [1, 1, 0, 0]);
+    assert.equal((await engine.getRating('2', 'STRAT')).rating, 1484);
+  });
+
+  it('gives Strategy commanders a larger share of the team result', async () => {
+    const engine = BZ2API.createRatingEngine({ commanderWeight: 2 });
+    const rated = await engine.rateMatch(match([
+      player('Cmd1', '1', 1, { isCommander: true }),
+      player('Thug1', '2', 1),
+      player('Cmd2', '3', 2, { isCommander: true }),
+      player('Thug2', '4', 2)
+    ]));
+
+    // A team change of 16 per player, split 2:1 between commander and thug
+    assert.deepEqual(deltas(rated), { 1: 21.3, 2: 10.7, 3: -21.3, 4: -10.7 });
+    assert.equal((await engine.getRating('1', 'STRAT')).commanderMatches, 1);
+  });
+
+  it('rates each match once', async () => {
+    const engine = BZ2API.createRatingEngine();
+    const result = match([player('Alice', '1', 1), player('Bob', '2', 2)]);
+    const rated = [];
+    engine.on('rated', r => rated.push(r.matchId));
+
+    assert.ok(await engine.rateMatch(result));
+    assert.equal(await engine.rateMatch(result), null);
+    assert.equal((await engine.getRating('1', 'STRAT')).matches, 1);
+    assert.deepEqual(rated, [result.matchId]);
+  });
+
+  it('skips incomplete matches unless completeOnly is off, and MPI always', async () => {
+    const players = [player('Alice', '1', 1), player('Bob', '2', 2)];
+    const strict = BZ2API.createRatingEngine();
+    assert.equal(await strict.rateMatch(match(players, { complete: false })), null);
+    assert.equal(await strict.rateMatch(match(players, { gameMode: 'MPI', isTeamGame: false })), null);
+
+    const lenient = BZ2API.createRatingEngine({ completeOnly: false });
+    assert.ok(await lenient.rateMatch(match(players, { complete: false })));
+  });
+
+  it('counts anonymous players towards team strength without rating them', async () => {
+    const engine = BZ2API.createRatingEngine();
+    const rated = await engine.rateMatch(match([
+      player('Alice', '1', 1),
+      player('Guest', null, 1, { playerKey: 'name:Guest' }),
+      player('Bob', '2', 2)
+    ]));
+
+    assert.deepEqual(rated.changes.map(c => c.playerKey), ['1', '2']);
+    assert.equal(await engine.getRating('name:Guest', 'STRAT'), null);
+  });
+
+  it('leaves even ratings unchanged by a draw', async () => {
+    const engine = BZ2API.createRatingEngine();
+    const rated = await engine.rateMatch(match([player('Alice', '1', 1), player('Bob', '2', 2)], { winningTeam: null, isDraw: true }));
+
+    assert.deepEqual(deltas(rated), { 1: 0, 2: 0 });
+    assert.equal((await engine.getRating('1', 'STRAT')).draws, 1);
+  });
+
+  it('scores free-for-all games pairwise by final score', async () => {
+    const engine = BZ2API.createRatingEngine();
+    const rated = await engine.rateMatch(match([
+      player('Alice', '1', null, { score: 30 }),
+      player('Bob', '2', null, { score: 20 }),
+      player('Carol', '3', null, { score: 10 })
+    ], { gameType: 'DM', gameMode: 'DM', isTeamGame: false, winningTeam: null, winnerPlayerKey: '1' }));
+
+    assert.equal(rated.family, 'DM');
+    assert.deepEqual(deltas(rated), { 1: 16, 2: 0, 3: -16 });
+    assert.equal((await engine.getRating('2', 'DM')).losses, 1);
+    assert.equal(await engine.getRating('1', 'STRAT'), null);
+  });
+
+  it('serializes concurrent matches so ratings build on each other', async () => {
+    const engine = BZ2API.createRatingEngine();
+    const players = [player('Alice', '1', 1), player('Bob', '2', 2)];
+    await Promise.all([
+      engine.rateMatch(match(players, { matchId: 'a' })),
+      engine.rateMatch(match(players, { matchId: 'b' }))
+    ]);
+
+    const alice = await engine.getRating('1', 'STRAT');
+    assert.equal(alice.matches, 2);
+    assert.ok(alice.rating > 1516);
+  });
+
+  it('ranks the leaderboard per family and resets', async () => {
+    const engine = BZ2API.createRatingEngine();
+    await engine.rateMatch(match([player('Alice', '1', 1), player('Bob', '2', 2)], { matchId: 'a' }));
+    await engine.rateMatch(match([player('Alice', '1', 1), player('Carol', '3', 2)], { matchId: 'b' }));
+
+    const board = await engine.getLeaderboard();
+    assert.deepEqual(board.map(r => [r.rank, r.name]), [[1, 'Alice'], [2, 'Carol'], [3, 'Bob']]);
+    assert.deepEqual((await engine.getLeaderboard({ minMatches: 2 })).map(r => r.name), ['Alice']);
+    assert.deepEqual((await engine.getLeaderboard({ limit: 1 })).map(r => r.name), ['Alice']);
+    assert.deepEqual(await engine.getLeaderboard({ family: 'DM' }), []);
+
+    await engine.reset();
+    assert.deepEqual(await engine.getLeaderboard(), []);
+    assert.ok(await engine.rateMatch(match([player('Alice', '1', 1), player('Bob', '2', 2)], { matchId: 'a' })));
+  });
+
+  it('rates matches emitted by an attached tracker', async () => {
+    const engine = BZ2API.createRatingEngine();
+    const tracker = BZ2API.createMatchTracker();
+    engine.attach(tracker);
+    const rated = new Promise(resolve => engine.once('rated', resolve));
+    const session = (state) => ({
+      guid: 'g1', name: 'VSR', state, mapFile: 'vsrplaza', gameType: 'STRAT', gameMode: 'STRAT', isTeamGame: true, mods: [],
+      players: [player('Alice', '1', 1, { score: 10 }), player('Bob', '2', 2)]
+    });
+
+    tracker.update([session('InGame')], '2026-01-01T00:00:00.000Z');
+    tracker.update([session('PostGame')], '2026-01-01T00:20:00.000Z');
+    assert.deepEqual(deltas(await rated), { 1: 16, 2: -16 });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Lobby traffic recording and replay tests
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BZ2API = require('../bz2api.js');
+const { buildMockSession } = require('../mock/lobby-server.js');
+
+const T0 = Date.UTC(2026, 0, 1, 12);
+
+function frame(seconds, name) {
+  const response = { GET: name ? [buildMockSession({ name, map: 'vsrplaza', players: [] })] : [] };
+  return { timestamp: new Date(T0 + seconds * 1000).toISOString(), response };
+}
+
+const FRAMES = [frame(0, 'First'), frame(30, 'Second'), frame(60, 'Third')];
+
+describe('recording', () => {
+  it('records every fetchRaw response to a capture file that reads back in order', async () => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'bz2api-capture-'));
+    const file = path.join(dir, 'lobby.jsonl');
+    try {
+      let calls = 0;
+      const fetch = async () => new Response(JSON.stringify(FRAMES[calls++].response), { status: 200 });
+      const client = BZ2API.createClient({ fetch, record: file });
+
+      await client.fetchRaw();
+      await client.fetchRaw();
+      const frames = await BZ2API.readCapture(file);
+      assert.deepEqual(frames.map(f => f.response), [FRAMES[0].response, FRAMES[1].response]);
+      assert.ok(frames.every(f => !Number.isNaN(Date.parse(f.timestamp))));
+    } finally {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('passes frames to a callback target', async () => {
+    const recorded = [];
+    const fetch = async () => new Response(JSON.stringify(FRAMES[0].response), { status: 200 });
+    const client = BZ2API.createClient({ fetch });
+
+    await client.fetchRaw({ record: f => recorded.push(f) });
+    assert.deepEqual(recorded.map(f => f.response), [FRAMES[0].response]);
+  });
+
+  it('sorts capture text by timestamp and skips corrupt lines', () => {
+    const text = [FRAMES[1], FRAMES[0]].map(f => JSON.stringify(f)).join('\n') + '\n{not json\n\n';
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      assert.deepEqual(BZ2API.parseCapture(text), [FRAMES[0], FRAMES[1]]);
+    } finally {
+      console.warn = warn;
+    }
+  });
+});
+
+describe('createReplaySource', () => {
+  it('follows the replay clock at the given speed', async () => {
+    let clock = 0;
+    const source = BZ2API.createReplaySource(FRAMES, { speed: 10, now: () => clock });
+
+    const first = await BZ2API.fetchSessions({ source });
+    assert.equal(first.sessions[0].name, 'First');
+    assert.equal(first.timestamp, FRAMES[0].timestamp);
+
+    // 3.5 s of real time is 35 s of capture time
+    clock = 3500;
+    assert.equal((await BZ2API.fetchSessions({ source })).sessions[0].name, 'Second');
+    assert.equal(source.isDone(), false);
+
+    clock = 60000;
+    assert.equal((await BZ2API.fetchSessions({ source })).sessions[0].name, 'Third');
+    assert.equal(source.isDone(), true);
+  });
+
+  it('steps one frame per fetch at infinite speed and loops', async () => {
+    const source = BZ2API.createReplaySource(FRAMES, { speed: Infinity, loop: true });
+    const indexes = [];
+    for (let i = 0; i < 4; i++) {
+      await source.fetchRaw();
+      indexes.push(source.getFrameIndex());
+    }
+    assert.deepEqual(indexes, [0, 1, 2, 0]);
+    assert.equal(source.isDone(), false);
+
+    source.reset();
+    assert.equal(source.getTimestamp(), null);
+  });
+
+  it('accepts capture text and rejects empty captures and bad speeds', () => {
+    const source = BZ2API.createReplaySource(FRAMES.map(f => JSON.stringify(f)).join('\n'));
+    assert.equal(source.frames.length, 3);
+    assert.throws(() => BZ2API.createReplaySource([]), /at least one frame/);
+    assert.throws(() => BZ2API.createReplaySource(FRAMES, { speed: 0 }), /positive number/);
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Result schema validation tests
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const BZ2API = require('../bz2api.js');
+const { createMockLobbyServer, SCENARIOS } = require('../mock/lobby-server.js');
+
+/**
+ * Parse every step of a mock scenario through fetchSessions()
+ */
+async function scenarioResults(scenario) {
+  const server = createMockLobbyServer({ scenario, advance: 'manual' });
+  const frames = [];
+  while (server.step()) {
+    frames.push({ timestamp: new Date(Date.UTC(2026, 0, 1, 0, frames.length)).toISOString(), response: server.getPayload() });
+  }
+  const source = BZ2API.createReplaySource(frames, { speed: Infinity });
+  const results = [];
+  for (let i = 0; i < frames.length; i++) {
+    results.push(await BZ2API.fetchSessions({ source }));
+  }
+  return results;
+}
+
+describe('validateResult', () => {
+  for (const scenario of Object.keys(SCENARIOS)) {
+    it(`accepts every parsed step of the "${scenario}" scenario`, async () => {
+      for (const result of await scenarioResults(scenario)) {
+        assert.deepEqual(BZ2API.validateResult(result), []);
+      }
+    });
+  }
+
+  it('reports wrong types, unknown fields and missing fields by path', async () => {
+    const [result] = await scenarioResults('lobby');
+    const session = result.sessions[0];
+    session.playerCount = 'one';
+    session.players[0].nickname = 'Al';
+    delete session.name;
+
+    const warnings = BZ2API.validateResult(result).map(w => `${w.keyword} ${w.path}`);
+    assert.ok(warnings.includes('type sessions[0].playerCount'));
+    assert.ok(warnings.includes('additionalProperties sessions[0].players[0].nickname'));
+    assert.ok(warnings.includes('required sessions[0]'));
+  });
+});
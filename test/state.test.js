@@ -0,0 +1,87 @@
+/**
+ * Session state inference tests
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const BZ2API = require('../bz2api.js');
+
+const { OPEN_WAITING, OPEN_PLAYING, EXITING } = BZ2API.ServerInfoMode;
+
+function player(kills, score) {
+  return { name: 'Alice', steamId: '1', gogId: null, kills, deaths: 0, score };
+}
+
+function session(si, players, gameTimeMinutes = 0) {
+  return { guid: 'g1', serverInfoMode: si, players, gameTimeMinutes };
+}
+
+describe('parseSessionState', () => {
+  it('follows si when nothing contradicts it', () => {
+    assert.deepEqual(
+      { ...BZ2API.parseSessionState(OPEN_WAITING, [player(0, 0)]) },
+      { state: 'PreGame', stateDetail: 'waiting', stateConfidence: 1, stateReason: 'si=1 (waiting)', serverInfoMode: OPEN_WAITING, hasOpenSlots: true }
+    );
+    assert.equal(BZ2API.parseSessionState(EXITING).state, 'PostGame');
+    assert.equal(BZ2API.parseSessionState(99).state, 'Unknown');
+  });
+
+  it('trusts in-game stats over a waiting si', () => {
+    const state = BZ2API.parseSessionState(OPEN_WAITING, [player(3, 20)]);
+    assert.equal(state.state, 'InGame');
+    assert.equal(state.stateConfidence, 0.55);
+    assert.equal(state.stateReason, 'players have non-zero stats');
+  });
+});
+
+describe('inferSessionState', () => {
+  it('ignores custom rules that throw', () => {
+    const rules = [
+      { name: 'broken', evaluate() { throw new Error('boom'); } },
+      { name: 'always', evaluate: () => ({ state: 'InGame', stateDetail: 'custom', weight: 1, reason: 'custom rule' }) }
+    ];
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      const state = BZ2API.inferSessionState(BZ2API.buildStateSignals({ si: OPEN_WAITING }), rules);
+      assert.deepEqual(state, { state: 'InGame', stateDetail: 'custom', stateConfidence: 1, stateReason: 'custom rule' });
+    } finally {
+      console.warn = warn;
+    }
+  });
+
+  it('reports Unknown when no rule votes', () => {
+    assert.equal(BZ2API.inferSessionState(BZ2API.buildStateSignals({ si: OPEN_WAITING }), []).state, 'Unknown');
+  });
+});
+
+describe('createStateTracker', () => {
+  it('tells leftover scores from a game in progress across polls', () => {
+    const tracker = BZ2API.createStateTracker();
+    const poll = (s, minute) => tracker.update([s], new Date(Date.UTC(2026, 0, 1, 0, minute)).toISOString())[0];
+
+    assert.equal(poll(session(OPEN_WAITING, [player(3, 20)]), 0).state, 'InGame');
+    // The same scores a poll later are left over from the last game
+    const stale = poll(session(OPEN_WAITING, [player(3, 20)]), 1);
+    assert.equal(stale.state, 'PreGame');
+    assert.match(stale.stateReason, /stats unchanged/);
+    // Moving scores mean si is lagging behind a running game
+    const moving = poll(session(OPEN_WAITING, [player(4, 30)]), 2);
+    assert.equal(moving.state, 'InGame');
+    assert.match(moving.stateReason, /stats changed/);
+  });
+
+  it('counts advancing game time as play and forgets vanished sessions', () => {
+    const tracker = BZ2API.createStateTracker();
+    tracker.update([session(OPEN_PLAYING, [], 5)], '2026-01-01T00:00:00.000Z');
+    const [advanced] = tracker.update([session(OPEN_PLAYING, [], 6)], '2026-01-01T00:01:00.000Z');
+    assert.equal(advanced.state, 'InGame');
+    assert.match(advanced.stateReason, /game time advanced/);
+
+    tracker.update([], '2026-01-01T00:02:00.000Z');
+    const [fresh] = tracker.update([session(OPEN_PLAYING, [], 7)], '2026-01-01T00:03:00.000Z');
+    assert.equal(fresh.stateReason, 'si=3 (playing)');
+  });
+});
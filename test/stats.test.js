@@ -0,0 +1,72 @@
+/**
+ * Player statistics tests
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const BZ2API = require('../bz2api.js');
+
+function player(name, steamId, extra = {}) {
+  return { name, steamId, gogId: null, platform: 'Steam', team: 1, isCommander: false, kills: 0, deaths: 0, score: 0, ...extra };
+}
+
+function session(state, players) {
+  return { guid: 'g1', name: 'Lobby', state, mapFile: 'vsrplaza', mods: [{ id: '1325933293' }], players };
+}
+
+function at(minutes) {
+  return new Date(Date.UTC(2026, 0, 1, 0, minutes)).toISOString();
+}
+
+describe('createPlayerStats', () => {
+  it('credits only players who were in the session while it was playing', () => {
+    const stats = BZ2API.createPlayerStats();
+    const host = player('Host', '1', { isCommander: true });
+    const leaver = player('Leaver', '2', { isCommander: true, team: 2 });
+    const guest = player('Guest', '3', { team: 2 });
+
+    stats.add([session('PreGame', [host, leaver])], at(0));
+    stats.add([session('PreGame', [host, guest])], at(1));
+    stats.add([session('InGame', [{ ...host, kills: 3 }, { ...guest, isCommander: true, kills: 1 }])], at(2));
+    stats.add([session('InGame', [{ ...host, kills: 5, score: 40 }, { ...guest, isCommander: true, kills: 2 }])], at(3));
+    stats.add([], at(4));
+
+    const leaverStats = stats.getPlayer('2');
+    assert.equal(leaverStats.gamesPlayed, 0);
+    assert.equal(leaverStats.commanderGames, 0);
+    assert.deepEqual(leaverStats.maps, {});
+    assert.deepEqual(leaverStats.mods, {});
+
+    const hostStats = stats.getPlayer('1');
+    assert.equal(hostStats.gamesPlayed, 1);
+    assert.equal(hostStats.commanderGames, 1);
+    assert.equal(hostStats.kills, 5);
+    assert.equal(hostStats.score, 40);
+    assert.deepEqual(hostStats.maps, { vsrplaza: 1 });
+    assert.equal(hostStats.timeInGameMinutes, 1);
+
+    const guestStats = stats.getPlayer('3');
+    assert.equal(guestStats.gamesPlayed, 1);
+    assert.equal(guestStats.commanderGames, 1);
+  });
+
+  it('does not count commander status held only in the lobby', () => {
+    const stats = BZ2API.createPlayerStats();
+    stats.add([session('PreGame', [player('A', '1', { isCommander: true })])], at(0));
+    stats.add([session('InGame', [player('A', '1')])], at(1));
+    stats.flush();
+
+    assert.equal(stats.getPlayer('1').gamesPlayed, 1);
+    assert.equal(stats.getPlayer('1').commanderGames, 0);
+  });
+
+  it('ignores sessions that never started', () => {
+    const stats = BZ2API.createPlayerStats();
+    stats.add([session('PreGame', [player('A', '1')])], at(0));
+    stats.add([], at(1));
+
+    assert.equal(stats.getPlayer('1').gamesPlayed, 0);
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Transport tests: timeout, retry and CORS proxy fallback, driven through
+ * createClient({ fetch }) stubs and the mock lobby server.
+ */
+
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const BZ2API = require('../bz2api.js');
+const { createMockLobbyServer } = require('../mock/lobby-server.js');
+
+const PROXY = 'https://proxy.test/?url=';
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * Build a fetch stub that answers from a handler and records requested URLs
+ */
+function stubFetch(handler) {
+  const calls = [];
+  const fetch = async (url, init = {}) => {
+    calls.push(url);
+    return handler(url, init, calls.length);
+  };
+  return { fetch, calls };
+}
+
+/**
+ * Run fn and collect anything it logs with console.warn
+ * Failures are reported through onStatus, so the transport should log nothing.
+ */
+async function collectWarnings(fn) {
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = (...args) => warnings.push(args);
+  try {
+    await fn();
+  } finally {
+    console.warn = warn;
+  }
+  return warnings;
+}
+
+describe('transport timeout', () => {
+  it('aborts a request that takes longer than the timeout', async () => {
+    const { fetch } = stubFetch((url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    }));
+    const transport = BZ2API.createTransport({ fetch, timeout: 20, useProxies: false });
+
+    await assert.rejects(transport.request('http://lobby.test/'), /timed out after 20ms/);
+  });
+
+  it('passes a caller abort through instead of reporting a timeout', async () => {
+    const { fetch } = stubFetch((url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new Error('aborted by caller')));
+    }));
+    const transport = BZ2API.createTransport({ fetch, timeout: 1000 });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 10);
+
+    await assert.rejects(transport.request('http://lobby.test/', { signal: controller.signal }), /aborted by caller/);
+  });
+});
+
+describe('transport retry', () => {
+  it('retries 5xx responses and network errors with backoff', async () => {
+    const { fetch, calls } = stubFetch((url, init, n) => {
+      if (n === 1) return jsonResponse({}, 503);
+      if (n === 2) throw new Error('ECONNRESET');
+      return jsonResponse({ ok: true });
+    });
+    const transport = BZ2API.createTransport({ fetch, retries: 2, retryDelay: 1 });
+
+    const response = await transport.request('http://lobby.test/');
+    assert.equal(response.status, 200);
+    assert.equal(calls.length, 3);
+  });
+
+  it('returns 4xx responses without retrying', async () => {
+    const { fetch, calls } = stubFetch(() => jsonResponse({}, 404));
+    const transport = BZ2API.createTransport({ fetch, retries: 3, retryDelay: 1 });
+
+    const response = await transport.request('http://lobby.test/');
+    assert.equal(response.status, 404);
+    assert.equal(calls.length, 1);
+  });
+
+  it('returns the last 5xx response once retries run out', async () => {
+    const { fetch, calls } = stubFetch(() => jsonResponse({}, 500));
+    const transport = BZ2API.createTransport({ fetch, retries: 1, retryDelay: 1 });
+
+    const response = await transport.request('http://lobby.test/');
+    assert.equal(response.status, 500);
+    assert.equal(calls.length, 2);
+  });
+});
+
+describe('transport proxy fallback', () => {
+  it('falls back to a proxy when the direct fetch fails and remembers it', async () => {
+    const other = 'https://other.test/?u=';
+    const { fetch, calls } = stubFetch((url) => {
+      if (url.startsWith(PROXY)) return jsonResponse({ GET: [] });
+      throw new TypeError('Failed to fetch');
+    });
+    const client = BZ2API.createClient({ fetch, corsProxies: [other, PROXY] });
+
+    const statuses = [];
+    let raw;
+    const warnings = await collectWarnings(async () => {
+      raw = await client.fetchRaw({ apiUrl: 'http://lobby.test/', bustCache: false, onStatus: s => statuses.push(`${s.step}:${s.status}`) });
+    });
+    assert.deepEqual(raw, { GET: [] });
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(statuses.slice(-5), ['direct:failed', 'proxy:pending', 'proxy:failed', 'proxy:pending', 'proxy:success']);
+    assert.deepEqual(calls, ['http://lobby.test/', other + encodeURIComponent('http://lobby.test/'), PROXY + encodeURIComponent('http://lobby.test/')]);
+    assert.equal(client.transport.getLastSuccessfulMethod(), PROXY);
+    assert.deepEqual(client.transport.getProxyOrder(), [PROXY, other]);
+  });
+
+  it('does not use proxies when useProxies is false', async () => {
+    const { fetch, calls } = stubFetch(() => { throw new TypeError('Failed to fetch'); });
+    const client = BZ2API.createClient({ fetch, corsProxies: [PROXY], useProxies: false });
+
+    await assert.rejects(client.fetchRaw({ apiUrl: 'http://lobby.test/' }), /Failed to fetch/);
+    assert.equal(calls.length, 1);
+  });
+
+  it('reports failure when every proxy fails', async () => {
+    const { fetch } = stubFetch(() => jsonResponse({}, 502));
+    const client = BZ2API.createClient({ fetch, corsProxies: [PROXY] });
+
+    const warnings = await collectWarnings(() => assert.rejects(client.fetchRaw({ apiUrl: 'http://lobby.test/' }), /All fetch attempts failed/));
+    assert.deepEqual(warnings, []);
+  });
+
+  it('caches unknown maps as null without trying proxies', async () => {
+    const { fetch, calls } = stubFetch(() => jsonResponse({}, 404));
+    const client = BZ2API.createClient({ fetch, corsProxies: [PROXY], mapApiBaseUrl: 'http://maps.test' });
+
+    assert.equal(await client.fetchMapData('nosuchmap'), null);
+    assert.equal(await client.fetchMapData('nosuchmap'), null);
+    assert.equal(calls.length, 1);
+    assert.equal(client.transport.getLastSuccessfulMethod(), null);
+  });
+});
+
+describe('transport against the mock lobby server', () => {
+  const mock = createMockLobbyServer({ scenario: 'lobby', advance: 'manual' });
+  let urls;
+
+  before(async () => {
+    urls = await mock.listen(0, '127.0.0.1');
+  });
+
+  after(() => mock.close());
+
+  beforeEach(() => mock.reset());
+
+  it('fetches and parses sessions directly', async () => {
+    const client = BZ2API.createClient({ apiUrl: urls.apiUrl, useProxies: false });
+    mock.step();
+
+    const result = await client.fetchSessions();
+    assert.ok(result.sessions.length > 0);
+    assert.equal(client.transport.getLastSuccessfulMethod(), 'direct');
+  });
+
+  it('retries lobby 5xx responses', async () => {
+    const client = BZ2API.createClient({ apiUrl: urls.apiUrl, useProxies: false, retries: 2, retryDelay: 1 });
+    mock.failNext(503, 2);
+
+    const raw = await client.fetchRaw();
+    assert.ok(Array.isArray(raw.GET));
+  });
+
+  it('gives up once retries run out', async () => {
+    const client = BZ2API.createClient({ apiUrl: urls.apiUrl, useProxies: false, retries: 1, retryDelay: 1 });
+    mock.failNext(500, 2);
+
+    await assert.rejects(client.fetchRaw(), /HTTP 500/);
+  });
+});
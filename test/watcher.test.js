@@ -0,0 +1,60 @@
+/**
+ * Session watcher and emitter tests
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const BZ2API = require('../bz2api.js');
+
+describe('createSessionWatcher', () => {
+  it('keeps a single poll chain when restarted during a poll', async () => {
+    let polls = 0;
+    let release;
+    const fetchSessions = async () => {
+      polls++;
+      if (polls === 1) await new Promise(resolve => { release = resolve; });
+      return { sessions: [], timestamp: new Date().toISOString() };
+    };
+    const watcher = BZ2API.createSessionWatcher({ fetchSessions, interval: 20, stateTracker: null });
+
+    watcher.start();
+    watcher.stop();
+    watcher.start();
+    release();
+
+    await new Promise(resolve => setTimeout(resolve, 110));
+    watcher.stop();
+    // One chain: the stalled poll, then about one poll per 20 ms (two chains would double it)
+    assert.ok(polls >= 3 && polls <= 7, `expected one poll chain, got ${polls} polls`);
+  });
+
+  it('does not poll again after stop()', async () => {
+    let polls = 0;
+    const fetchSessions = async () => {
+      polls++;
+      return { sessions: [], timestamp: new Date().toISOString() };
+    };
+    const watcher = BZ2API.createSessionWatcher({ fetchSessions, interval: 10, stateTracker: null });
+
+    watcher.start();
+    watcher.stop();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(polls, 1);
+    assert.equal(watcher.isRunning(), false);
+  });
+});
+
+describe('watcher events', () => {
+  it('passes the event name to once() handlers', async () => {
+    const fetchSessions = async () => ({ sessions: [], timestamp: new Date().toISOString() });
+    const watcher = BZ2API.createSessionWatcher({ fetchSessions, stateTracker: null });
+    const seen = [];
+    watcher.once('*', (payload, event) => seen.push(event));
+
+    await watcher.poll();
+    await watcher.poll();
+    assert.deepEqual(seen, ['update']);
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Webhook sink tests, driven through an injected transport
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const BZ2API = require('../bz2api.js');
+
+const SESSION = { name: 'VSR 2v2', state: 'PreGame', mapFile: 'vsrplaza', gameMode: 'STRAT', gameBalance: 'VSR', playerCount: 2, maxPlayers: 4, players: [] };
+const PLAYER = { name: 'Bob', steamId: '76561198000000002', gogId: null, team: 2, isCommander: false };
+
+function joined(name = 'Bob', timestamp = '2026-01-01T00:00:00.000Z') {
+  return { type: 'player:joined', key: 'g1', session: SESSION, player: { ...PLAYER, name }, playerKey: PLAYER.steamId, timestamp };
+}
+
+/**
+ * Transport stub answering each request with the next status in the list (then 200)
+ */
+function stubTransport(statuses = [], headers = {}) {
+  const requests = [];
+  return {
+    requests,
+    request: async (url, init) => {
+      const status = statuses[requests.length] ?? 200;
+      requests.push({ url, ...init, body: JSON.parse(init.body), rawBody: init.body });
+      return { ok: status < 300, status, headers: new Map(Object.entries(headers)) };
+    }
+  };
+}
+
+describe('createWebhookSink', () => {
+  it('renders templates with typed placeholders', async () => {
+    const transport = stubTransport();
+    const sink = BZ2API.createWebhookSink({
+      url: 'http://hooks.test/slack',
+      transport,
+      template: { text: '{{text}}', count: '{{session.playerCount}}', who: 'p={{player.name}}', missing: '{{nope}}', tags: ['bz2', '{{type}}'] }
+    });
+
+    sink.send(joined());
+    await sink.flush();
+
+    assert.deepEqual(transport.requests[0].body, {
+      text: 'Bob joined "VSR 2v2" (2/4)',
+      count: 2,
+      who: 'p=Bob',
+      missing: null,
+      tags: ['bz2', 'player:joined']
+    });
+  });
+
+  it('filters by event type and session criteria', async () => {
+    const transport = stubTransport();
+    const sink = BZ2API.createWebhookSink({ url: 'http://hooks.test/', transport, events: ['player:joined'], filter: 'gameBalance:VSR' });
+
+    assert.equal(sink.send({ ...joined(), type: 'player:left' }), false);
+    assert.equal(sink.send({ ...joined(), session: { ...SESSION, gameBalance: null } }), false);
+    assert.equal(sink.send(joined()), true);
+    await sink.flush();
+    assert.equal(transport.requests.length, 1);
+    assert.equal(transport.requests[0].body.type, 'player:joined');
+  });
+
+  it('signs the body with HMAC-SHA256', async () => {
+    const transport = stubTransport();
+    const sink = BZ2API.createWebhookSink({ url: 'http://hooks.test/', transport, secret: 'shh' });
+
+    sink.send(joined());
+    await sink.flush();
+
+    const { headers, rawBody } = transport.requests[0];
+    const expected = 'sha256=' + crypto.createHmac('sha256', 'shh').update(rawBody).digest('hex');
+    assert.equal(headers[BZ2API.WEBHOOK_SIGNATURE_HEADER], expected);
+    assert.equal(await BZ2API.signWebhookBody(rawBody, 'shh'), expected);
+  });
+
+  it('batches events into one wrapBatch body once the interval passes', async () => {
+    const transport = stubTransport();
+    const sink = BZ2API.createWebhookSink({
+      url: 'http://hooks.test/',
+      transport,
+      batchSize: 10,
+      batchIntervalMs: 30,
+      template: '{{player.name}}',
+      wrapBatch: (items) => ({ names: items })
+    });
+    const sent = [];
+    sink.on('sent', delivery => sent.push(delivery));
+
+    sink.send(joined('A'));
+    sink.send(joined('B'));
+    sink.send(joined('C'));
+    assert.equal(transport.requests.length, 0);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    await sink.flush();
+    assert.equal(transport.requests.length, 1);
+    assert.deepEqual(transport.requests[0].body, { names: ['A', 'B', 'C'] });
+    assert.equal(sent[0].events.length, 3);
+  });
+
+  it('sends a full batch immediately and a partial batch on flush()', async () => {
+    const transport = stubTransport();
+    const sink = BZ2API.createWebhookSink({ url: 'http://hooks.test/', transport, batchSize: 2, batchIntervalMs: 60000 });
+
+    sink.send(joined('A'));
+    sink.send(joined('B'));
+    sink.send(joined('C'));
+    await sink.flush();
+
+    assert.deepEqual(transport.requests.map(r => r.body.events.length), [2, 1]);
+  });
+
+  it('retries 5xx and 429 responses', async () => {
+    const transport = stubTransport([503, 429]);
+    const sink = BZ2API.createWebhookSink({ url: 'http://hooks.test/', transport, retryDelay: 1 });
+    const sent = [];
+    sink.on('sent', delivery => sent.push(delivery));
+
+    sink.send(joined());
+    await sink.flush();
+    assert.equal(transport.requests.length, 3);
+    assert.equal(sent[0].status, 200);
+  });
+
+  it('waits for a Retry-After given as an HTTP date', async () => {
+    const retryAt = new Date(Date.now() + 2000).toUTCString();
+    const transport = stubTransport([429], { 'Retry-After': retryAt });
+    const sink = BZ2API.createWebhookSink({ url: 'http://hooks.test/', transport, retryDelay: 1 });
+
+    const started = Date.now();
+    sink.send(joined());
+    await sink.flush();
+    assert.equal(transport.requests.length, 2);
+    // HTTP dates have one-second resolution, so the wait is between one and two seconds
+    assert.ok(Date.now() - started >= 900, 'expected the sink to wait for Retry-After');
+  });
+
+  it('does not retry 4xx responses and reports the error', async () => {
+    const transport = stubTransport([400]);
+    const sink = BZ2API.createWebhookSink({ url: 'http://hooks.test/', transport, retryDelay: 1 });
+    const errors = [];
+    sink.on('error', e => errors.push(e));
+
+    sink.send(joined());
+    await sink.flush();
+    assert.equal(transport.requests.length, 1);
+    assert.match(errors[0].message, /HTTP 400/);
+    assert.equal(errors[0].events.length, 1);
+  });
+
+  it('gives up after the configured retries', async () => {
+    const transport = stubTransport([500, 500, 500]);
+    const sink = BZ2API.createWebhookSink({ url: 'http://hooks.test/', transport, retries: 2, retryDelay: 1 });
+    const errors = [];
+    sink.on('error', e => errors.push(e));
+
+    sink.send(joined());
+    await sink.flush();
+    assert.equal(transport.requests.length, 3);
+    assert.match(errors[0].message, /HTTP 500/);
+  });
+
+  it('requires a url', () => {
+    assert.throws(() => BZ2API.createWebhookSink({}), /requires a url/);
+  });
+});
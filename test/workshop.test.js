@@ -0,0 +1,65 @@
+/**
+ * Workshop mod enrichment tests: direct-only POST, negative caching and the
+ * default persistent cache
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const BZ2API = require('../bz2api.js');
+
+const MOD_ID = '1325933293';
+const PROXY = 'https://proxy.test/?url=';
+
+function workshopResponse(details) {
+  return new Response(JSON.stringify({ response: { publishedfiledetails: details } }), { status: 200 });
+}
+
+describe('fetchWorkshopDetails', () => {
+  it('posts directly and never through CORS proxies', async () => {
+    const calls = [];
+    const fetch = async (url, init) => {
+      calls.push({ url, method: init?.method });
+      throw new TypeError('Failed to fetch');
+    };
+    const client = BZ2API.createClient({ fetch, corsProxies: [PROXY], steamApiUrl: 'http://steam.test', modCacheStorage: null });
+
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      assert.deepEqual(await client.fetchWorkshopDetails([MOD_ID]), {});
+    } finally {
+      console.warn = warn;
+    }
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].method, 'POST');
+    assert.ok(calls[0].url.startsWith('http://steam.test/'));
+  });
+
+  it('caches missing items for modCacheNegativeTtl only', async () => {
+    let requests = 0;
+    const fetch = async () => {
+      requests++;
+      return workshopResponse([{ publishedfileid: MOD_ID, result: 9 }]);
+    };
+    const storage = BZ2API.createMemoryStorage();
+    const client = BZ2API.createClient({ fetch, steamApiUrl: 'http://steam.test', modCacheStorage: storage, modCacheNegativeTtl: 60000 });
+
+    await client.fetchWorkshopDetails([MOD_ID]);
+    await client.fetchWorkshopDetails([MOD_ID]);
+    assert.equal(requests, 1);
+
+    const [[, entry]] = await storage.entries('mod:');
+    assert.equal(entry.value, null);
+    assert.ok(entry.expiresAt - Date.now() <= 60000);
+  });
+});
+
+describe('getDefaultCacheStorage', () => {
+  it('returns one shared persistent adapter in Node.js', () => {
+    const storage = BZ2API.getDefaultCacheStorage();
+    assert.equal(BZ2API.getDefaultCacheStorage(), storage);
+    assert.equal(typeof storage.compact, 'function');
+  });
+});